@@ -1,85 +1,298 @@
-import OpenAI from "openai";
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { createProvider } from "./providers.js";
+import { DEFAULT_COACH, coachInstructions, fallbackText, styleText } from "./coach.js";
+import { recordUsage } from "./usage.js";
 
 /* =========================
    Core AI helper
    NOTE: Daily quota is managed in index.js via reserveAIQuota() (DB-backed).
    The old in-memory token counter was removed because it resets on every
    server restart/sleep (Render free tier restarts frequently), making it useless.
+
+   Every exported helper takes a context { coach, userId, date, memory, goals } last:
+   the coach (coach.js) shapes coaching prompts, `memory` (memory.js) tells them what
+   the user has been doing lately, `goals` (goals.js) what they're working towards,
+   userId/date attribute the tokens and cost that askAI records in ai_usage (usage.js).
+
+   Every call names its message type. Settings per type come from MESSAGE_SETTINGS,
+   then AI_TIMEOUT_MS, then AI_SETTINGS (JSON), e.g.
+   AI_SETTINGS='{"summary": {"model": "gpt-4o", "maxTokens": 300}}'
 ========================= */
-async function askAI(systemPrompt, userPrompt) {
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: userPrompt }
-    ],
-    temperature: 0.7,
-    max_tokens: 150,
-  });
+const MESSAGE_SETTINGS = {
+  praise:   { temperature: 0.7, maxTokens: 150 },
+  scold:    { temperature: 0.7, maxTokens: 150 },
+  judge:    { temperature: 0,   maxTokens: 60 },
+  parse:    { temperature: 0,   maxTokens: 400 },
+  summary:  { temperature: 0.7, maxTokens: 150 },
+  report:   { temperature: 0.7, maxTokens: 150 },
+  stuck:    { temperature: 0.7, maxTokens: 150 },
+  morning:  { temperature: 0.7, maxTokens: 150 },
+  planning: { temperature: 0.7, maxTokens: 150 },
+};
+const DEFAULT_TIMEOUT_MS = 15000;
+
+let provider = null;
+let overrides = null;
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
 
-  return response.choices[0].message.content.trim();
+// AI_SETTINGS must be an object of per-type objects; anything else is logged and ignored
+function parseOverrides(json) {
+  if (!json) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    console.error("AI_SETTINGS is not valid JSON, using defaults:", err.message);
+    return {};
+  }
+  if (!isObject(parsed)) {
+    console.error("AI_SETTINGS must be a JSON object, using defaults");
+    return {};
+  }
+  const valid = {};
+  for (const [type, settings] of Object.entries(parsed)) {
+    if (isObject(settings)) valid[type] = settings;
+    else console.error(`AI_SETTINGS.${type} must be an object, ignoring it`);
+  }
+  return valid;
+}
+
+// Created on first use so .env has been loaded by then
+function getProvider() {
+  if (!provider) {
+    overrides = parseOverrides(process.env.AI_SETTINGS);
+    provider = createProvider(process.env);
+    console.log(`AI provider: ${provider.name} (${provider.defaultModel})`);
+  }
+  return provider;
+}
+
+export function aiProviderName() {
+  return getProvider().name;
+}
+
+async function askAI(type, { system, user, stub }, ctx = {}) {
+  const llm = getProvider();
+  const settings = {
+    model: llm.defaultModel,
+    timeoutMs: Number(process.env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    ...MESSAGE_SETTINGS[type],
+    ...overrides[type],
+  };
+  const result = await llm.complete({ type, system, user, stub, ...settings });
+  try {
+    await recordUsage({
+      userId: ctx.userId, date: ctx.date, type, provider: llm.name, model: settings.model,
+      promptTokens: result.promptTokens, completionTokens: result.completionTokens,
+    });
+  } catch (err) { console.error("AI usage record error:", err); }
+  return result.text;
+}
+
+// Coaching text: persona preamble + instruction, offline template from coach.js
+async function askCoach(type, ctx, instruction, user, data) {
+  const coach = ctx.coach || DEFAULT_COACH;
+  const text = await askAI(type, {
+    system: `${coachInstructions(coach)}\n${instruction}` +
+      (ctx.memory ? `\n\nWhat you know about this user (refer to it when it's relevant):\n${ctx.memory}` : "") +
+      (ctx.goals ? `\n\nTheir long-term goals (tie your message to the one it concerns, if any):\n${ctx.goals}` : ""),
+    user,
+    stub: () => fallbackText(coach, type, data),
+  }, ctx);
+  return styleText(coach, text);
 }
 
 /* =========================
    😌 PRAISE MODE
 ========================= */
-export async function praiseMessage(taskName) {
-  return askAI(
-    `You are a strict but caring discipline coach. When someone completes their task, give brief genuine praise with a warm tone. Use emojis like 😌, ✅, 💪, 🎯. Keep it under 2 sentences.`,
-    `The user planned "${taskName}" and they're doing it right now on time.`
+export async function praiseMessage(taskName, ctx = {}) {
+  return askCoach("praise", ctx,
+    `Someone is doing the task they planned, on time. Give brief genuine praise. Keep it under 2 sentences.`,
+    `The user planned "${taskName}" and they're doing it right now on time.`,
+    { taskName }
   );
 }
 
 /* =========================
    😡 ANGRY MODE
 ========================= */
-export async function angryMessage(taskName, userResponse) {
-  return askAI(
-    `You are a strict discipline coach who holds people accountable. Be direct and firm. Use 😡, ⚠️, 💢. 2–3 short sentences.`,
-    `Planned: "${taskName}". User did: "${userResponse}".`
+export async function angryMessage(taskName, userResponse, ctx = {}) {
+  return askCoach("scold", ctx,
+    `Someone skipped the task they planned. Hold them accountable. 2–3 short sentences.`,
+    `Planned: "${taskName}". User did: "${userResponse}".`,
+    { taskName, userResponse }
   );
 }
 
+/* =========================
+   ⚖️ RESPONSE JUDGEMENT
+   Classifies a "doing" reply against the planned task:
+   on_task | related | off_task | refusal, with a 0–1 confidence.
+========================= */
+export const VERDICTS = ["on_task", "related", "off_task", "refusal"];
+
+export async function judgeResponse(taskName, userResponse, ctx = {}) {
+  const raw = await askAI("judge", {
+    system: `You judge whether a person is doing the task they planned. Reply with JSON only, no prose: {"verdict": "on_task" | "related" | "off_task" | "refusal", "confidence": number between 0 and 1}.
+on_task: they are doing the task, described in any words (e.g. "squats" for "Gym").
+related: they are preparing for it, doing part of it, or something closely connected.
+off_task: they are doing something else.
+refusal: they say they are not doing it, skipping it, or will do it later.`,
+    user: `Planned: "${taskName}". User says: "${userResponse}".`,
+    stub: () => JSON.stringify(heuristicJudgement(taskName, userResponse)),
+  }, ctx);
+  const parsed = JSON.parse(raw.replace(/^```(?:json)?|```$/g, "").trim());
+  const confidence = Number(parsed.confidence);
+  if (!VERDICTS.includes(parsed.verdict) || isNaN(confidence)) {
+    throw new Error(`Unexpected judgement: ${raw}`);
+  }
+  return { verdict: parsed.verdict, confidence: Math.min(1, Math.max(0, confidence)) };
+}
+
+// Local fallback used when the AI quota is exhausted or the call fails
+const SYNONYMS = [
+  ["gym", "workout", "exercise", "training", "lift", "weights", "squat", "deadlift", "bench", "pushup", "cardio", "treadmill", "fitness"],
+  ["run", "jog", "sprint", "cardio", "treadmill"],
+  ["walk", "stroll", "hike"],
+  ["study", "learn", "revise", "revision", "homework", "lecture", "course", "practice", "notes", "read", "tutorial", "exam"],
+  ["read", "book", "novel", "chapter", "article"],
+  ["work", "office", "meeting", "project", "code", "program", "develop", "debug", "task", "email"],
+  ["code", "program", "develop", "debug", "build", "commit", "implement"],
+  ["meditate", "meditation", "breathe", "mindfulness", "yoga"],
+  ["cook", "meal", "lunch", "dinner", "breakfast", "kitchen"],
+  ["clean", "tidy", "laundry", "dishes", "vacuum", "chores"],
+  ["sleep", "nap", "bed", "rest"],
+  ["write", "writing", "blog", "draft", "journal", "essay"],
+  ["call", "phone", "talk", "chat"],
+];
+const NEGATIONS = new Set([
+  "no", "not", "never", "nothing", "nope", "nah", "skip", "skipping", "skipped", "later",
+  "won't", "wont", "can't", "cant", "didn't", "didnt", "don't", "dont", "isn't", "aren't", "haven't",
+]);
+const PREP_WORDS = ["about to", "getting ready", "preparing", "going to", "gonna", "heading", "on my way", "starting soon"];
+const STOP_WORDS = new Set(["doing", "the", "a", "an", "my", "i", "im", "i'm", "am", "at", "on", "for", "to", "some", "now", "right", "just", "with", "it", "and", "of", "in"]);
+
+function stem(word) {
+  let w = word.toLowerCase().replace(/[^a-z']/g, "");
+  if (w.length <= 3) return w;
+  if (/(ies|ied)$/.test(w)) return w.slice(0, -3) + "y";
+  if (w.endsWith("s") && !w.endsWith("ss")) w = w.slice(0, -1);
+  const bare = w.replace(/(ing|ed)$/, "");
+  if (bare.length >= 3) w = bare;
+  if (w.length > 3 && w.endsWith("e")) w = w.slice(0, -1);
+  if (/([^aeiou])\1$/.test(w) && !/(ss|ll)$/.test(w)) w = w.slice(0, -1);
+  return w;
+}
+
+const SYNONYM_STEMS = SYNONYMS.map(group => group.map(stem));
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^a-z']+/).filter(Boolean);
+}
+
+export function heuristicJudgement(taskName, userResponse) {
+  const taskStems = tokenize(taskName).filter(w => !STOP_WORDS.has(w)).map(stem);
+  const words = tokenize(userResponse);
+  const lower = userResponse.toLowerCase();
+
+  const related = new Set();
+  for (const group of SYNONYM_STEMS) {
+    if (group.some(w => taskStems.includes(w))) group.forEach(w => related.add(w));
+  }
+
+  let direct = false, synonym = false, negatedMatch = false;
+  words.forEach((word, i) => {
+    const st = stem(word);
+    const isDirect = taskStems.includes(st);
+    const isSynonym = !isDirect && related.has(st);
+    if (!isDirect && !isSynonym) return;
+    // "not doing study", "won't go to gym" — a negation shortly before the task word
+    if (words.slice(Math.max(0, i - 3), i).some(w => NEGATIONS.has(w))) negatedMatch = true;
+    else if (isDirect) direct = true;
+    else synonym = true;
+  });
+
+  const negated = words.some(w => NEGATIONS.has(w));
+
+  if (negatedMatch) return { verdict: "refusal", confidence: 0.75 };
+  if (negated && !direct && !synonym) return { verdict: "refusal", confidence: 0.6 };
+  if ((direct || synonym) && PREP_WORDS.some(p => lower.includes(p))) return { verdict: "related", confidence: 0.6 };
+  if (direct) return { verdict: "on_task", confidence: 0.8 };
+  if (synonym) return { verdict: "on_task", confidence: 0.65 };
+  return { verdict: "off_task", confidence: 0.5 };
+}
+
+/* =========================
+   📝 TASK PARSING
+   For lines the local parser in parser.js couldn't understand.
+   Returns [{ date, time, name }] or throws on malformed output.
+========================= */
+export async function parseTasksAI(lines, { today, weekday, now, activeDate }, ctx = {}) {
+  const raw = await askAI("parse", {
+    system: `You convert short to-do notes into scheduled tasks. Reply with a JSON array only, no prose: [{"date": "YYYY-MM-DD", "time": "HH:MM" (24h), "name": string}]. Skip lines that have no time you can infer. Use ${activeDate} when no day is given.`,
+    user: `Today is ${weekday} ${today}, current time ${now}.\nNotes:\n${lines.join("\n")}`,
+    // These lines already failed the local parser, so offline there's nothing more to find
+    stub: () => "[]",
+  }, ctx);
+  const parsed = JSON.parse(raw.replace(/^```(?:json)?|```$/g, "").trim());
+  if (!Array.isArray(parsed)) throw new Error(`Unexpected task parse: ${raw}`);
+  return parsed.filter(t =>
+    t && /^\d{4}-\d{2}-\d{2}$/.test(t.date) && /^([01]\d|2[0-3]):[0-5]\d$/.test(t.time) &&
+    typeof t.name === "string" && t.name.trim()
+  ).map(t => ({ date: t.date, time: t.time, name: t.name.trim() }));
+}
+
 /* =========================
    📊 DAILY SUMMARY
 ========================= */
-export async function summaryMessage({ planned, completed, missed, success, streak }) {
-  return askAI(
-    `You are a discipline mentor. ${success ? "Celebrate but push harder." : "Be firm but motivating."}`,
-    `Planned ${planned}, completed ${completed}, missed ${missed}, streak ${streak}.`
+export async function summaryMessage({ planned, completed, partial = 0, skipped = 0, missed, success, streak }, ctx = {}) {
+  return askCoach("summary", ctx,
+    `Comment on their day in 1–2 sentences. ${success ? "Celebrate but push harder." : "Be motivating about tomorrow."}`,
+    `Planned ${planned}, completed ${completed}, partially done ${partial}, skipped with a reason ${skipped}, missed ${missed}, streak ${streak}.`,
+    { planned, completed, missed, success, streak }
+  );
+}
+
+/* =========================
+   📈 WEEKLY REPORT
+========================= */
+export async function reportCommentary({ completionPercent, successfulDays, days, bestDay, worstDay, mostSkipped }, ctx = {}) {
+  return askCoach("report", ctx,
+    `You're reviewing someone's week. Give one sharp, specific observation and one concrete thing to change next week. Keep it under 2 sentences.`,
+    `Completion ${completionPercent}%, successful days ${successfulDays}/${days}, ` +
+      `best day ${bestDay || "n/a"}, worst day ${worstDay || "n/a"}, most skipped task ${mostSkipped || "none"}.`,
+    { completionPercent, bestDay, worstDay, mostSkipped }
   );
 }
 
 /* =========================
    🧠 STUCK MODE
 ========================= */
-export async function stuckHelp(problem) {
-  return askAI(
-    `You are a practical productivity coach. Give 2–3 actionable micro-steps.`,
-    `User is stuck: "${problem}".`
+export async function stuckHelp(problem, ctx = {}) {
+  return askCoach("stuck", ctx,
+    `Someone is stuck. Give 2–3 practical, actionable micro-steps.`,
+    `User is stuck: "${problem}".`,
+    { problem }
   );
 }
 
 /* =========================
    🌅 MORNING
 ========================= */
-export async function morningMessage(todayTaskCount) {
-  return askAI(
-    `You are a discipline coach starting the day. Be energetic and motivating. Use 🌅 or ☀️. Keep it under 2 sentences.`,
-    `User has ${todayTaskCount} tasks today.`
+export async function morningMessage(todayTaskCount, ctx = {}) {
+  return askCoach("morning", ctx,
+    `Start their day with energy and motivation. Keep it under 2 sentences.`,
+    `User has ${todayTaskCount} tasks today.`,
+    { count: todayTaskCount }
   );
 }
 
 /* =========================
    📌 PLANNING PROMPT
 ========================= */
-export async function planningPrompt() {
-  return askAI(
-    `You are a discipline coach at night. Encourage the user to plan tomorrow so they wake up with purpose. Use 📌 or 🌙. Keep it under 2 sentences.`,
+export async function planningPrompt(ctx = {}) {
+  return askCoach("planning", ctx,
+    `It's night. Encourage them to plan tomorrow so they wake up with purpose. Keep it under 2 sentences.`,
     `Remind user to plan tomorrow.`
   );
 }
\ No newline at end of file
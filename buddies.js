@@ -0,0 +1,117 @@
+import crypto from "crypto";
+import { pool } from "./db.js";
+import { SETTINGS_COLUMNS } from "./settings.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+//--------------
+// Accountability partners
+// /buddy invite makes a one-time code; the other user sends /buddy accept <code> and
+// the two become partners (a row each way in `buddies`). Partners hear when the other
+// misses a task or finishes a day. users.share_level decides what partners — and groups
+// the user joined — see: "counts" (numbers only, the default) or "tasks" (task names too).
+// Partners are told in their own language; groups get DEFAULT_LOCALE.
+//--------------
+const INVITE_TTL_HOURS = 24;
+export const MAX_BUDDIES = 5;
+
+// Described by share.<level> in the catalog
+export const SHARE_LEVELS = ["counts", "tasks"];
+
+// Telegram first name (+ last initial), saved when someone uses /buddy or joins a group
+export async function saveDisplayName(userId, from) {
+  if (!from?.first_name) return;
+  const name = `${from.first_name}${from.last_name ? ` ${from.last_name[0]}.` : ""}`.slice(0, 40);
+  await pool.query("UPDATE users SET display_name = $1 WHERE id = $2", [name, userId]);
+}
+
+// How `userId` appears to partners and groups: { name, showTasks } (name is null until saved)
+export async function sharerOf(userId) {
+  const result = await pool.query("SELECT display_name, share_level FROM users WHERE id = $1", [userId]);
+  const row = result.rows[0] || {};
+  return { name: row.display_name || null, showTasks: row.share_level === "tasks" };
+}
+
+export function sharerName(sharer, locale = DEFAULT_LOCALE) {
+  return sharer.name || t(locale, "buddy.yourPartner");
+}
+
+export async function createInvite(userId) {
+  const code = crypto.randomBytes(4).toString("hex").toUpperCase();
+  await pool.query("DELETE FROM buddy_invites WHERE user_id = $1", [userId]);
+  await pool.query(
+    `INSERT INTO buddy_invites (code, user_id, expires_at) VALUES ($1, $2, NOW() + $3 * interval '1 hour')`,
+    [code, userId, INVITE_TTL_HOURS]
+  );
+  return { code, hours: INVITE_TTL_HOURS };
+}
+
+async function buddyCount(userId) {
+  const result = await pool.query("SELECT COUNT(*) AS n FROM buddies WHERE user_id = $1", [userId]);
+  return Number(result.rows[0].n);
+}
+
+// Pairs `userId` with the invite's owner. Returns { inviterId } or { error }.
+export async function acceptInvite(userId, code, locale = DEFAULT_LOCALE) {
+  const invite = await pool.query(
+    "SELECT user_id FROM buddy_invites WHERE code = $1 AND expires_at > NOW()", [code.toUpperCase()]
+  );
+  if (invite.rowCount === 0) return { error: t(locale, "buddy.codeInvalid") };
+  const inviterId = invite.rows[0].user_id;
+  if (inviterId === userId) return { error: t(locale, "buddy.ownCode") };
+  const already = await pool.query(
+    "SELECT 1 FROM buddies WHERE user_id = $1 AND buddy_id = $2", [userId, inviterId]
+  );
+  if (already.rowCount > 0) return { error: t(locale, "buddy.already") };
+  if (await buddyCount(userId) >= MAX_BUDDIES || await buddyCount(inviterId) >= MAX_BUDDIES) {
+    return { error: t(locale, "buddy.limit", { max: MAX_BUDDIES }) };
+  }
+  await pool.query("DELETE FROM buddy_invites WHERE code = $1", [code.toUpperCase()]);
+  await pool.query(
+    `INSERT INTO buddies (user_id, buddy_id) VALUES ($1, $2), ($2, $1) ON CONFLICT DO NOTHING`,
+    [userId, inviterId]
+  );
+  return { inviterId };
+}
+
+// Active partners with what's needed to message them (chat, language, zone, quiet hours)
+export async function getBuddies(userId) {
+  const result = await pool.query(
+    `SELECT u.id, u.chat_id, u.display_name, u.language, u.timezone_offset, u.timezone, ${SETTINGS_COLUMNS}
+     FROM buddies b JOIN users u ON u.id = b.buddy_id
+     WHERE b.user_id = $1 AND u.inactive_at IS NULL
+     ORDER BY b.created_at ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+export async function removeBuddy(userId, buddyId) {
+  await pool.query(
+    "DELETE FROM buddies WHERE (user_id = $1 AND buddy_id = $2) OR (user_id = $2 AND buddy_id = $1)",
+    [userId, buddyId]
+  );
+}
+
+//--------------
+// What partners and groups are told
+//--------------
+export function missedTaskText(sharer, taskName, locale = DEFAULT_LOCALE) {
+  const name = sharerName(sharer, locale);
+  return sharer.showTasks
+    ? t(locale, "buddy.missed", { name, task: taskName })
+    : t(locale, "buddy.missedTask", { name });
+}
+
+// `day` as in the daily summary, plus `tasks` ({ task_name, status }) for the names
+export function dayText(sharer, day, locale = DEFAULT_LOCALE) {
+  let text = t(locale, day.success ? "buddy.dayPassed" : "buddy.dayFailed", {
+    name: sharerName(sharer, locale), completed: day.completed, planned: day.planned, streak: day.streak,
+  });
+  if (sharer.showTasks) {
+    const done = day.tasks.filter(task => task.status === "done" || task.status === "partial").map(task => task.task_name);
+    const missed = day.tasks.filter(task => task.status === "pending" || task.status === "missed").map(task => task.task_name);
+    if (done.length) text += `\n✅ ${done.join(", ")}`;
+    if (missed.length) text += `\n❌ ${missed.join(", ")}`;
+  }
+  return text;
+}
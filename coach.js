@@ -0,0 +1,117 @@
+import { LOCALES, DEFAULT_LOCALE, localeOf, t } from "./i18n.js";
+
+//--------------
+// Coaching persona
+// Stored on the user row (coach_persona, coach_strictness, language, coach_emoji) and
+// passed to every coaching prompt in ai.js and every plain-text fallback in index.js.
+// Display names are in the catalog (persona.<name>, strictness.<name>).
+// "silent" never calls the AI and keeps messages short and factual.
+//--------------
+export const PERSONAS = {
+  sergeant: { voice: "a drill sergeant: blunt, loud, short commands, no excuses accepted" },
+  mentor: { voice: "a calm, wise mentor: patient and reflective, focused on long-term growth" },
+  peer: { voice: "a friend working on the same goals: casual, warm and honest" },
+  silent: { voice: null },
+};
+
+export const STRICTNESS = {
+  1: { name: "gentle", rule: "Be gentle: encourage, never shame." },
+  2: { name: "firm", rule: "Be firm: hold them accountable but stay respectful." },
+  3: { name: "harsh", rule: "Be harsh: no sugar-coating, call out excuses directly." },
+};
+
+export const DEFAULT_COACH = { persona: "sergeant", strictness: 2, language: "en", emoji: true };
+
+// Columns to select wherever a coach is needed
+export const COACH_COLUMNS = "coach_persona, coach_strictness, language, coach_emoji";
+
+export function coachFromUser(row) {
+  return {
+    persona: PERSONAS[row.coach_persona] ? row.coach_persona : DEFAULT_COACH.persona,
+    strictness: STRICTNESS[row.coach_strictness] ? Number(row.coach_strictness) : DEFAULT_COACH.strictness,
+    language: row.language || DEFAULT_COACH.language,
+    emoji: row.coach_emoji !== false,
+  };
+}
+
+export function usesAI(coach) {
+  return coach.persona !== "silent";
+}
+
+//--------------
+// Language
+//--------------
+const languageNames = new Intl.DisplayNames(["en"], { type: "language" });
+const displayNames = locale => new Intl.DisplayNames([LOCALES[locale].intl], { type: "language" });
+const COMMON_LANGUAGES = [
+  "en", "hi", "bn", "mr", "ta", "te", "gu", "kn", "ml", "pa", "ur", "es", "fr", "de", "it",
+  "pt", "ru", "ar", "tr", "zh", "ja", "ko", "id", "vi", "th", "nl", "pl", "uk", "sv", "fa",
+];
+
+// Name of `code` in the given locale's language
+export function languageName(code, locale = DEFAULT_LOCALE) {
+  return locale === DEFAULT_LOCALE ? languageNames.of(code) : displayNames(locale).of(code);
+}
+
+// "hi", "Hindi" or "pt-BR" → canonical code, or null if unknown
+export function parseLanguage(input) {
+  const text = input.trim();
+  if (/^[a-z]{2,3}(-[a-z]{2})?$/i.test(text)) {
+    try {
+      const [code] = Intl.getCanonicalLocales(text);
+      if (languageNames.of(code) !== code) return code;
+    } catch {
+      return null;
+    }
+  }
+  return COMMON_LANGUAGES.find(code => languageNames.of(code).toLowerCase() === text.toLowerCase()) || null;
+}
+
+//--------------
+// Prompt & text styling
+//--------------
+// System-prompt preamble: who the coach is and how they talk
+export function coachInstructions(coach) {
+  const persona = PERSONAS[coach.persona].voice || PERSONAS[DEFAULT_COACH.persona].voice;
+  const lines = [`You are a discipline coach speaking as ${persona}.`, STRICTNESS[coach.strictness].rule];
+  if (coach.language !== "en") lines.push(`Always reply in ${languageName(coach.language)}.`);
+  lines.push(coach.emoji ? "Use a fitting emoji or two." : "Do not use any emojis.");
+  return lines.join(" ");
+}
+
+const EMOJI_RE = /[\p{Extended_Pictographic}\p{Regional_Indicator}\u{FE0F}\u{200D}\u{20E3}]/gu;
+
+export function styleText(coach, text) {
+  if (coach.emoji) return text;
+  return text.replace(EMOJI_RE, "").replace(/[ \t]{2,}/g, " ").replace(/^[ \t]+/gm, "").trim();
+}
+
+//--------------
+// Plain-text messages: used when the AI is off (silent), out of quota or failing,
+// by the offline stub provider, and for /coach preview. The texts are in the catalog
+// under fallback.<kind>.<persona>; scolds come in one per strictness level.
+//--------------
+// kind: praise | scold | morning | planning | summary | stuck | report
+export function fallbackText(coach, kind, data = {}) {
+  const locale = localeOf(coach);
+  let key = `fallback.${kind}.${coach.persona}`;
+  if (kind === "scold" && coach.persona !== "silent") key += `.${coach.strictness}`;
+  if (kind === "summary") key += data.success ? ".pass" : ".fail";
+  if (kind === "report") key += data.mostSkipped ? ".skipped" : "";
+  return styleText(coach, t(locale, key, {
+    ...data,
+    userResponse: data.userResponse || t(locale, "fallback.nothing"),
+    bestDay: data.bestDay || t(locale, "fallback.bestDay"),
+    worstDay: data.worstDay || t(locale, "fallback.worstDay"),
+  }));
+}
+
+export function describeCoach(coach) {
+  const locale = localeOf(coach);
+  return t(locale, "coach.describe", {
+    persona: t(locale, `persona.${coach.persona}`),
+    strictness: t(locale, `strictness.${STRICTNESS[coach.strictness].name}`),
+    language: languageName(coach.language, locale),
+    emoji: t(locale, coach.emoji ? "common.on" : "common.off"),
+  });
+}
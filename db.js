@@ -1,8 +1,17 @@
 import pkg from "pg";
-const { Pool } = pkg;
+const { Pool, types } = pkg;
 
+// DATE columns come back as "YYYY-MM-DD" strings, like every date the code builds,
+// instead of JS Dates at midnight in the server's timezone
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Each running scheduled job holds a connection for its advisory lock (scheduler.js),
+// so the pool leaves room for all eight jobs at once plus the webhook and workers.
+// Waiting for a connection fails after 10 s instead of hanging the caller.
 export const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
+  max: Number(process.env.DATABASE_POOL_SIZE) || 20,
+  connectionTimeoutMillis: 10000,
   ssl: {
     rejectUnauthorized: false,
   },
@@ -0,0 +1,218 @@
+import { pool } from "./db.js";
+import { callTelegram, uploadDocument } from "./telegram.js";
+
+//--------------
+// Outbound delivery
+// Every message to a user (and every inline keyboard edit) goes through here so that:
+// - sends are spaced to Telegram's limits (≈30/s overall, 1/s per chat, 20/min per group)
+// - 429s, 5xx errors and network failures are queued in `outbox` and retried with
+//   exponential backoff (or Telegram's retry_after), surviving restarts
+// - "bot was blocked", deactivated accounts and deleted chats flag the user inactive
+// - messages held back for quiet hours wait in `outbox` until their not_before time
+// Callers get a result: { ok: true, messageId | deferred } or { ok: false, queued | blocked, error }.
+// A queued message will still go out, so once-a-day jobs count it as sent (see handedOff).
+//--------------
+const GLOBAL_GAP_MS = 35;
+const CHAT_GAP_MS = 1000;
+const GROUP_GAP_MS = 3000;
+const MAX_ATTEMPTS = 8;
+export const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const QUEUE_TTL_HOURS = 6; // a reminder that's hours late is just noise
+const WORKER_INTERVAL_MS = 5000;
+
+const BLOCKED_PATTERNS = [
+  /bot was blocked by the user/i,
+  /user is deactivated/i,
+  /bot was kicked/i,
+  /chat not found/i,
+  /not enough rights to send/i,
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let globalNextAt = 0;
+const chatNextAt = new Map();
+
+// Reserves the next free send slot for `chatId` and waits for it
+async function waitForSlot(chatId) {
+  chatId = String(chatId);
+  const now = Date.now();
+  const at = Math.max(now, globalNextAt, chatNextAt.get(chatId) || 0);
+  globalNextAt = at + GLOBAL_GAP_MS;
+  chatNextAt.set(chatId, at + (String(chatId).startsWith("-") ? GROUP_GAP_MS : CHAT_GAP_MS));
+  if (chatNextAt.size > 5000) {
+    for (const [id, next] of chatNextAt) if (next < now) chatNextAt.delete(id);
+  }
+  if (at > now) await sleep(at - now);
+}
+
+// Sorts a Telegram response (or network error) into what to do next
+export function classify(response) {
+  if (response.ok) return { kind: "sent", messageId: response.result?.message_id };
+  const error = response.description || `HTTP ${response.error_code}`;
+  if (response.error_code === 429) {
+    const retryAfter = response.parameters?.retry_after || 5;
+    return { kind: "retry", error, retryAfterMs: retryAfter * 1000 };
+  }
+  if (!response.error_code || response.error_code >= 500) return { kind: "retry", error };
+  if (BLOCKED_PATTERNS.some(p => p.test(error))) return { kind: "blocked", error };
+  return { kind: "failed", error };
+}
+
+async function attempt(chatId, send) {
+  await waitForSlot(chatId);
+  try {
+    const outcome = classify(await send());
+    // Telegram asked us to slow down for this chat; hold everything else for it too
+    if (outcome.retryAfterMs) chatNextAt.set(String(chatId), Date.now() + outcome.retryAfterMs);
+    return outcome;
+  } catch (err) {
+    return { kind: "retry", error: err.message };
+  }
+}
+
+// Exponential from 5 s, capped at MAX_BACKOFF_MS, with jitter over the upper half
+export function backoffMs(attempts) {
+  const base = Math.min(5000 * 2 ** attempts, MAX_BACKOFF_MS);
+  return base / 2 + Math.random() * base / 2;
+}
+
+async function markChatInactive(chatId, reason) {
+  await pool.query(
+    `UPDATE users SET inactive_at = NOW(), inactive_reason = $2 WHERE chat_id = $1 AND inactive_at IS NULL`,
+    [String(chatId), reason]
+  );
+  await pool.query(
+    `UPDATE outbox SET status = 'blocked', last_error = $2 WHERE chat_id = $1 AND status = 'queued'`,
+    [String(chatId), reason]
+  );
+  console.warn(`Chat ${chatId} marked inactive: ${reason}`);
+}
+
+async function enqueue(chatId, method, payload, outcome) {
+  const delay = outcome.retryAfterMs || backoffMs(0);
+  await pool.query(
+    `INSERT INTO outbox (chat_id, method, payload, attempts, next_attempt_at, last_error)
+     VALUES ($1, $2, $3, 1, NOW() + $4 * interval '1 millisecond', $5)`,
+    [String(chatId), method, JSON.stringify(payload), Math.round(delay), outcome.error]
+  );
+}
+
+// Sends a Bot API call to a chat; retryable failures are queued for the worker
+export async function deliver(method, payload) {
+  const chatId = payload.chat_id;
+  const outcome = await attempt(chatId, () => callTelegram(method, payload));
+  switch (outcome.kind) {
+    case "sent":
+      return { ok: true, messageId: outcome.messageId };
+    case "retry":
+      try {
+        await enqueue(chatId, method, payload, outcome);
+        return { ok: false, queued: true, error: outcome.error };
+      } catch (err) {
+        console.error(`Outbox insert failed for chat ${chatId}:`, err);
+        return { ok: false, error: outcome.error };
+      }
+    case "blocked":
+      await markChatInactive(chatId, outcome.error);
+      return { ok: false, blocked: true, error: outcome.error };
+    default:
+      console.error(`Telegram ${method} to ${chatId} failed: ${outcome.error}`);
+      return { ok: false, error: outcome.error };
+  }
+}
+
+// Telegram has the message, or the outbox will deliver it (queued for a retry or held
+// for quiet hours). Once-a-day senders mark the day on this, or the next tick sends again.
+export function handedOff(result) {
+  return result.ok || Boolean(result.queued);
+}
+
+// `extra` is merged into the request, e.g. { reply_markup: { inline_keyboard: [...] } }
+export function sendMessage(chatId, text, extra = {}) {
+  return deliver("sendMessage", { chat_id: chatId, text, ...extra });
+}
+
+// Passing no markup removes the inline keyboard from the message. Queued like a message,
+// so buttons the user already answered don't stay live through an outage.
+export function editMessageReplyMarkup(chatId, messageId, replyMarkup) {
+  return deliver("editMessageReplyMarkup", {
+    chat_id: chatId,
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] },
+  });
+}
+
+// Holds a message in the outbox until `notBefore` (ms since epoch), e.g. the end of quiet hours
+export async function sendMessageLater(chatId, text, notBefore, extra = {}) {
+  await pool.query(
+    `INSERT INTO outbox (chat_id, method, payload, attempts, next_attempt_at, not_before)
+     VALUES ($1, 'sendMessage', $2, 0, $3, $3)`,
+    [String(chatId), JSON.stringify({ chat_id: chatId, text, ...extra }), new Date(notBefore)]
+  );
+  return { ok: true, deferred: true };
+}
+
+// Files aren't queued (the upload isn't kept); the caller sees the failure instead
+export async function sendDocument(chatId, filename, content, mimeType, caption) {
+  const outcome = await attempt(chatId, () => uploadDocument(chatId, filename, content, mimeType, caption));
+  if (outcome.kind === "sent") return { ok: true, messageId: outcome.messageId };
+  if (outcome.kind === "blocked") {
+    await markChatInactive(chatId, outcome.error);
+    return { ok: false, blocked: true, error: outcome.error };
+  }
+  console.error(`Telegram sendDocument to ${chatId} failed: ${outcome.error}`);
+  return { ok: false, error: outcome.error };
+}
+
+//--------------
+// Retry worker
+// Claims due rows by pushing their next_attempt_at forward first, so two instances
+// never retry the same message.
+//--------------
+async function retryQueued() {
+  await pool.query(
+    `UPDATE outbox SET status = 'failed', last_error = 'expired'
+     WHERE status = 'queued' AND COALESCE(not_before, created_at) < NOW() - $1 * interval '1 hour'`,
+    [QUEUE_TTL_HOURS]
+  );
+  const due = await pool.query(
+    `UPDATE outbox SET next_attempt_at = NOW() + interval '5 minutes'
+     WHERE id IN (
+       SELECT id FROM outbox WHERE status = 'queued' AND next_attempt_at <= NOW()
+       ORDER BY id LIMIT 20 FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, chat_id, method, payload, attempts`
+  );
+  for (const row of due.rows.sort((a, b) => a.id - b.id)) {
+    const outcome = await attempt(row.chat_id, () => callTelegram(row.method, row.payload));
+    const attempts = row.attempts + 1;
+    if (outcome.kind === "sent") {
+      await pool.query(`UPDATE outbox SET status = 'sent', sent_at = NOW(), attempts = $2 WHERE id = $1`, [row.id, attempts]);
+    } else if (outcome.kind === "blocked") {
+      await markChatInactive(row.chat_id, outcome.error);
+    } else if (outcome.kind === "retry" && attempts < MAX_ATTEMPTS) {
+      await pool.query(
+        `UPDATE outbox SET attempts = $2, last_error = $3,
+           next_attempt_at = NOW() + $4 * interval '1 millisecond' WHERE id = $1`,
+        [row.id, attempts, outcome.error, Math.round(outcome.retryAfterMs || backoffMs(attempts))]
+      );
+    } else {
+      await pool.query(
+        `UPDATE outbox SET status = 'failed', attempts = $2, last_error = $3 WHERE id = $1`,
+        [row.id, attempts, outcome.error]
+      );
+    }
+  }
+}
+
+export function startDeliveryWorker() {
+  let busy = false;
+  setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try { await retryQueued(); }
+    catch (err) { console.error("Delivery worker error:", err); }
+    finally { busy = false; }
+  }, WORKER_INTERVAL_MS);
+}
@@ -0,0 +1,53 @@
+import { pool } from "./db.js";
+
+//--------------
+// Export helpers (CSV / JSON); iCalendar lives in ics.js
+//--------------
+export const EXPORT_FORMATS = {
+  csv:  { mimeType: "text/csv",        extension: "csv" },
+  json: { mimeType: "application/json", extension: "json" },
+  ics:  { mimeType: "text/calendar",   extension: "ics" },
+};
+
+const TASK_COLUMNS = [
+  "task_date", "task_time", "end_time", "task_name", "status", "skip_reason",
+  "user_response", "verdict", "verdict_confidence", "reminded_at", "responded_at",
+  "snooze_count", "carried_from", "priority",
+];
+
+export async function getExportData(userId) {
+  const [tasks, stats] = await Promise.all([
+    pool.query(
+      `SELECT id, ${TASK_COLUMNS.join(", ")} FROM tasks
+       WHERE user_id = $1 ORDER BY task_date ASC, task_time ASC`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT current_streak, longest_streak, last_success_date, last_summary_date, freezes
+       FROM user_stats WHERE user_id = $1`,
+      [userId]
+    ),
+  ]);
+  return { tasks: tasks.rows, stats: stats.rows[0] || null };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function buildCsv({ tasks }) {
+  const rows = [TASK_COLUMNS.join(",")];
+  for (const t of tasks) rows.push(TASK_COLUMNS.map(c => csvValue(t[c])).join(","));
+  return rows.join("\r\n") + "\r\n";
+}
+
+export function buildJson({ tasks, stats }, zone) {
+  return JSON.stringify({
+    exported_at: new Date().toISOString(),
+    timezone: zone,
+    stats,
+    tasks: tasks.map(t => Object.fromEntries(TASK_COLUMNS.map(c => [c, t[c]]))),
+  }, null, 2);
+}
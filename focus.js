@@ -0,0 +1,167 @@
+import { pool } from "./db.js";
+import { sendMessage } from "./delivery.js";
+import { DEFAULT_LOCALE, localeOf, t } from "./i18n.js";
+
+//--------------
+// Focus sessions
+// /focus 25 starts a timer: `cycles` focus periods with a break between each. The timer
+// lives in focus_sessions (phase + phase_ends_at), and a worker polls for phases that have
+// ended, so a restart only delays the next message by a poll. One active session per user.
+// Finished focus periods are evidence for the linked task: once the session ends the task
+// is credited done (focused for at least half its block, or at all for a point task) or
+// partial, unless it's already settled. The angry check leaves tasks with a running
+// session alone until then, and judges them on its next run after the session ends
+// even when that's past its usual window.
+//--------------
+export const FOCUS_DEFAULTS = { minutes: 25, breakMinutes: 5, cycles: 1 };
+export const FOCUS_LIMITS = { minutes: [5, 120], breakMinutes: [1, 30], cycles: [1, 8] };
+const WORKER_INTERVAL_MS = 15000;
+
+const SESSION_COLUMNS = `id, user_id, task_id, label, focus_minutes, break_minutes, cycles, cycle, phase,
+  phase_ends_at, cycles_done, status`;
+
+// Returns { session } or { error } when one is already running
+export async function startFocus(userId, { date, taskId = null, label = null, minutes, breakMinutes, cycles }, locale = DEFAULT_LOCALE) {
+  const result = await pool.query(
+    `INSERT INTO focus_sessions (user_id, task_id, label, session_date, focus_minutes, break_minutes, cycles, phase_ends_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + $5 * interval '1 minute')
+     ON CONFLICT (user_id) WHERE status = 'active' DO NOTHING
+     RETURNING ${SESSION_COLUMNS}`,
+    [userId, taskId, label, date, minutes, breakMinutes, cycles]
+  );
+  if (result.rowCount === 0) return { error: t(locale, "focus.running") };
+  return { session: result.rows[0] };
+}
+
+export async function activeFocus(userId) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS} FROM focus_sessions WHERE user_id = $1 AND status = 'active'`, [userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Ends the running session; finished focus periods still count. Returns it, or null.
+export async function stopFocus(userId) {
+  const result = await pool.query(
+    `UPDATE focus_sessions SET status = 'stopped', ended_at = NOW()
+     WHERE user_id = $1 AND status = 'active'
+     RETURNING ${SESSION_COLUMNS}`,
+    [userId]
+  );
+  const session = result.rows[0];
+  if (!session) return null;
+  session.credit = await creditTask(session.task_id);
+  return session;
+}
+
+// Marks the task done/partial from its finished focus periods → the new status, or null
+async function creditTask(taskId) {
+  if (!taskId) return null;
+  const focus = await pool.query(
+    `SELECT COALESCE(SUM(f.cycles_done * f.focus_minutes), 0) AS minutes,
+            EXTRACT(EPOCH FROM (t.end_time::time - t.task_time::time)) / 60 AS block_minutes
+     FROM tasks t LEFT JOIN focus_sessions f ON f.task_id = t.id
+     WHERE t.id = $1 GROUP BY t.id`,
+    [taskId]
+  );
+  const row = focus.rows[0];
+  const minutes = Number(row?.minutes || 0);
+  if (minutes === 0) return null;
+  const status = row.block_minutes === null || minutes >= Number(row.block_minutes) / 2 ? "done" : "partial";
+  // Never downgrades, and leaves /skip and closed days alone
+  const updated = await pool.query(
+    `UPDATE tasks SET status = $2, skip_reason = NULL, status_at = NOW()
+     WHERE id = $1 AND closed_at IS NULL
+       AND (status IN ('pending', 'missed') OR (status = 'partial' AND $2 = 'done'))
+     RETURNING id`,
+    [taskId, status]
+  );
+  return updated.rowCount > 0 ? status : null;
+}
+
+// Finished focus periods and minutes on the user's local `date`
+export async function focusTotals(userId, date) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(cycles_done), 0) AS cycles, COALESCE(SUM(cycles_done * focus_minutes), 0) AS minutes
+     FROM focus_sessions WHERE user_id = $1 AND session_date = $2`,
+    [userId, date]
+  );
+  return { cycles: Number(result.rows[0].cycles), minutes: Number(result.rows[0].minutes) };
+}
+
+export function minutesLeft(session, now = Date.now()) {
+  return Math.max(0, Math.ceil((new Date(session.phase_ends_at).getTime() - now) / 60000));
+}
+
+export function describeFocus(session, locale = DEFAULT_LOCALE) {
+  const what = session.label ? ` — ${session.label}` : "";
+  const cycle = session.cycles > 1 ? t(locale, "focus.cycleOf", { cycle: session.cycle, cycles: session.cycles }) : "";
+  return t(locale, session.phase === "focus" ? "focus.focusing" : "focus.onBreak", { what, cycle, minutes: minutesLeft(session) });
+}
+
+//--------------
+// Worker
+// Moves each session whose phase has ended to the next one. The UPDATE only matches
+// while phase and cycle are unchanged, so a second instance can't advance it twice.
+//--------------
+async function advance(session) {
+  const lastFocus = session.phase === "focus" && session.cycle >= session.cycles;
+  const result = await pool.query(
+    lastFocus
+      ? `UPDATE focus_sessions SET status = 'completed', ended_at = NOW(), cycles_done = cycles_done + 1
+         WHERE id = $1 AND status = 'active' AND phase = $2 AND cycle = $3 RETURNING ${SESSION_COLUMNS}`
+      : session.phase === "focus"
+        ? `UPDATE focus_sessions SET phase = 'break', cycles_done = cycles_done + 1,
+             phase_ends_at = NOW() + break_minutes * interval '1 minute'
+           WHERE id = $1 AND status = 'active' AND phase = $2 AND cycle = $3 RETURNING ${SESSION_COLUMNS}`
+        : `UPDATE focus_sessions SET phase = 'focus', cycle = cycle + 1,
+             phase_ends_at = NOW() + focus_minutes * interval '1 minute'
+           WHERE id = $1 AND status = 'active' AND phase = $2 AND cycle = $3 RETURNING ${SESSION_COLUMNS}`,
+    [session.id, session.phase, session.cycle]
+  );
+  const next = result.rows[0];
+  if (!next) return;
+
+  const locale = localeOf(session);
+  const what = next.label ? t(locale, "focus.on", { label: next.label }) : "";
+  if (lastFocus) {
+    const credit = await creditTask(next.task_id);
+    const total = next.cycles_done * next.focus_minutes;
+    await sendMessage(session.chat_id,
+      t(locale, "focus.finished", { minutes: total, what }) +
+      (credit ? t(locale, "focus.counted", { icon: credit === "done" ? "✅" : "🌓", status: t(locale, `status.${credit}`) }) : "")
+    );
+  } else if (next.phase === "break") {
+    await sendMessage(session.chat_id,
+      t(locale, "focus.break", { cycle: next.cycle, cycles: next.cycles, minutes: next.break_minutes })
+    );
+  } else {
+    await sendMessage(session.chat_id,
+      t(locale, "focus.resume", { cycle: next.cycle, cycles: next.cycles, minutes: next.focus_minutes, what })
+    );
+  }
+}
+
+async function advanceDue() {
+  const due = await pool.query(
+    `SELECT f.id, f.phase, f.cycle, f.cycles, f.phase_ends_at, u.chat_id, u.language
+     FROM focus_sessions f JOIN users u ON u.id = f.user_id
+     WHERE f.status = 'active' AND f.phase_ends_at <= NOW()
+     ORDER BY f.phase_ends_at ASC LIMIT 100`
+  );
+  for (const session of due.rows) {
+    try { await advance(session); }
+    catch (err) { console.error(`Focus session ${session.id} error:`, err); }
+  }
+}
+
+export function startFocusWorker() {
+  let busy = false;
+  setInterval(async () => {
+    if (busy) return;
+    busy = true;
+    try { await advanceDue(); }
+    catch (err) { console.error("Focus worker error:", err); }
+    finally { busy = false; }
+  }, WORKER_INTERVAL_MS);
+}
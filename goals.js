@@ -0,0 +1,197 @@
+import { pool } from "./db.js";
+import { getDatePlusDays } from "./time.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+//--------------
+// Long-term goals
+//   /goal add "Learn Go" #go by 2026-12-31 target 40h
+// Tasks and routines whose text carries a goal's #tag count towards it (the tag is taken
+// out of the task name). Progress is done tasks, or hours of done blocks with "target 40h";
+// partial tasks count as half, as they do for streaks. Goals are added to the morning,
+// summary and stuck prompts, and a goal with no progress for STALL_DAYS gets a nudge
+// with the plan reminder (at most once every STALL_DAYS).
+//--------------
+export const GOAL_KINDS = new Set(["morning", "summary", "stuck"]);
+export const MAX_GOALS = 10;
+export const STALL_DAYS = 7;
+
+const MAX_PROMPT_GOALS = 3;
+const TAG_RE = /(^|\s)#([a-z0-9_]{1,20})(?=\s|$)/gi;
+const GOAL_RE = new RegExp(
+  String.raw`^(?:"([^"]+)"|(.+?))(?:\s+#([a-z0-9_]{1,20}))?(?:\s+by\s+(\d{4}-\d{2}-\d{2}))?` +
+  String.raw`(?:\s+target\s+(\d+(?:\.\d+)?)\s*(h|hrs?|hours?|tasks?))?$`,
+  "i"
+);
+
+function dayNumber(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+}
+
+const amount = n => (Number.isInteger(n) ? String(n) : n.toFixed(1));
+
+// Everything after "/goal add" → { title, tag, deadline, targetHours, targetTasks }, or null.
+// Without a #tag the title is used ("Learn Go" → #learngo).
+export function parseGoal(text) {
+  const match = text.trim().match(GOAL_RE);
+  if (!match) return null;
+  const title = (match[1] || match[2]).trim();
+  const tag = (match[3] || title.replace(/[^a-z0-9_]/gi, "").slice(0, 20)).toLowerCase();
+  const deadline = match[4] || null;
+  if (!title || !tag) return null;
+  if (deadline && new Date(Date.parse(`${deadline}T00:00:00Z`) || 0).toISOString().slice(0, 10) !== deadline) return null;
+  const target = match[5] ? Number(match[5]) : null;
+  const inHours = match[6] ? match[6].toLowerCase().startsWith("h") : false;
+  if (target !== null && (target <= 0 || (!inHours && !Number.isInteger(target)))) return null;
+  return {
+    title: title.slice(0, 80),
+    tag,
+    deadline,
+    targetHours: inHours ? target : null,
+    targetTasks: target !== null && !inHours ? target : null,
+  };
+}
+
+// Returns { id } or { error }
+export async function addGoal(userId, goal, locale = DEFAULT_LOCALE) {
+  const count = await pool.query(
+    "SELECT COUNT(*) AS n FROM goals WHERE user_id = $1 AND completed_at IS NULL", [userId]
+  );
+  if (Number(count.rows[0].n) >= MAX_GOALS) return { error: t(locale, "goal.limit", { max: MAX_GOALS }) };
+  const result = await pool.query(
+    `INSERT INTO goals (user_id, title, tag, deadline, target_hours, target_tasks)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (user_id, tag) WHERE completed_at IS NULL DO NOTHING
+     RETURNING id`,
+    [userId, goal.title, goal.tag, goal.deadline, goal.targetHours, goal.targetTasks]
+  );
+  if (result.rowCount === 0) return { error: t(locale, "goal.tagTaken", { tag: goal.tag }) };
+  return { id: result.rows[0].id };
+}
+
+// Active goals with progress as of the user's `today`
+export async function getGoals(userId, today) {
+  const result = await pool.query(
+    `SELECT g.id, g.title, g.tag, g.deadline, g.target_hours, g.target_tasks, g.nudged_on,
+            g.created_at::date AS created_on,
+            COUNT(t.id) FILTER (WHERE t.status = 'done') AS done,
+            COUNT(t.id) FILTER (WHERE t.status = 'partial') AS partial,
+            COALESCE(SUM(EXTRACT(EPOCH FROM (t.end_time::time - t.task_time::time)) / 3600 *
+                CASE t.status WHEN 'done' THEN 1 WHEN 'partial' THEN 0.5 ELSE 0 END), 0) AS hours,
+            MAX(t.task_date) FILTER (WHERE t.status IN ('done', 'partial')) AS last_progress,
+            COUNT(t.id) FILTER (WHERE t.task_date >= $2 AND t.status = 'pending') AS planned_ahead
+     FROM goals g LEFT JOIN tasks t ON t.goal_id = g.id
+     WHERE g.user_id = $1 AND g.completed_at IS NULL
+     GROUP BY g.id ORDER BY g.created_at ASC`,
+    [userId, today]
+  );
+  return result.rows.map(g => ({
+    ...g,
+    done: Number(g.done),
+    partial: Number(g.partial),
+    hours: Number(g.hours),
+    planned_ahead: Number(g.planned_ahead),
+    target_hours: g.target_hours === null ? null : Number(g.target_hours),
+  }));
+}
+
+export async function completeGoal(goalId) {
+  await pool.query("UPDATE goals SET completed_at = NOW() WHERE id = $1", [goalId]);
+}
+
+// Linked tasks keep their history; the FK unlinks them
+export async function removeGoal(goalId) {
+  await pool.query("DELETE FROM goals WHERE id = $1", [goalId]);
+}
+
+// Share of the target reached (0–1), or null for goals without a target
+export function goalProgress(goal) {
+  if (goal.target_hours) return Math.min(1, goal.hours / goal.target_hours);
+  if (goal.target_tasks) return Math.min(1, (goal.done + goal.partial / 2) / goal.target_tasks);
+  return null;
+}
+
+function progressText(goal, locale) {
+  const tasks = t(locale, "goal.tasks", { count: amount(goal.done + goal.partial / 2) });
+  if (goal.target_hours) return t(locale, "goal.hoursOf", { done: amount(goal.hours), target: amount(goal.target_hours) });
+  if (goal.target_tasks) return t(locale, "goal.tasksOf", { tasks, target: goal.target_tasks });
+  return goal.hours > 0 ? t(locale, "goal.doneHours", { tasks, hours: amount(goal.hours) }) : t(locale, "goal.done", { tasks });
+}
+
+// Whether progress trails the share of time already used up to the deadline
+function behindPace(goal, today) {
+  const progress = goalProgress(goal);
+  if (progress === null || !goal.deadline) return false;
+  const span = dayNumber(goal.deadline) - dayNumber(goal.created_on);
+  if (span <= 0) return false;
+  const elapsed = (dayNumber(today) - dayNumber(goal.created_on)) / span;
+  return progress < elapsed - 0.1;
+}
+
+// Line block for /goals
+export function describeGoal(goal, i, today, locale = DEFAULT_LOCALE) {
+  const progress = goalProgress(goal);
+  let text = `${i + 1}. 🎯 ${goal.title} #${goal.tag}\n   `;
+  if (progress !== null) {
+    const filled = Math.round(progress * 10);
+    text += `${"▓".repeat(filled)}${"░".repeat(10 - filled)} ${Math.round(progress * 100)}% · `;
+  }
+  text += progressText(goal, locale);
+  if (goal.deadline) {
+    const left = dayNumber(goal.deadline) - dayNumber(today);
+    text += left >= 0 ? ` · ${t(locale, "goal.daysLeft", { days: left })}` : ` · ${t(locale, "goal.deadlinePassed")}`;
+    if (left >= 0 && behindPace(goal, today)) text += ` · ${t(locale, "goal.behind")}`;
+  }
+  return text;
+}
+
+// Pulls the first #tag matching an active goal out of a task name → { name, goalId, tag }
+export async function resolveGoalTag(userId, name) {
+  const tags = [...name.matchAll(TAG_RE)].map(m => m[2].toLowerCase());
+  if (tags.length === 0) return { name, goalId: null };
+  const result = await pool.query(
+    "SELECT id, title, tag FROM goals WHERE user_id = $1 AND completed_at IS NULL AND tag = ANY($2)",
+    [userId, tags]
+  );
+  const goal = tags.map(tag => result.rows.find(g => g.tag === tag)).find(Boolean);
+  if (!goal) return { name, goalId: null };
+  const stripped = name
+    .replace(TAG_RE, (whole, space, tag) => (tag.toLowerCase() === goal.tag ? space : whole))
+    .replace(/\s+/g, " ")
+    .trim();
+  return { name: stripped || goal.title, goalId: goal.id, tag: goal.tag };
+}
+
+// Prompt section for the AI: the goals today's tasks serve first, then the rest; "" without goals
+export async function goalsForPrompt(userId, date) {
+  const goals = await getGoals(userId, date);
+  if (goals.length === 0) return "";
+  const today = await pool.query(
+    `SELECT goal_id, task_name FROM tasks WHERE user_id = $1 AND task_date = $2 AND goal_id IS NOT NULL`,
+    [userId, date]
+  );
+  const lines = goals.map(g => {
+    const todays = today.rows.filter(task => task.goal_id === g.id).map(task => `"${task.task_name}"`);
+    let line = `- "${g.title}": ${progressText(g, DEFAULT_LOCALE)}`;
+    if (g.deadline) line += `, deadline ${g.deadline}`;
+    if (behindPace(g, date)) line += ", behind pace";
+    if (todays.length) line += `; today's tasks for it: ${todays.join(", ")}`;
+    return { line, today: todays.length };
+  });
+  lines.sort((a, b) => b.today - a.today);
+  return lines.slice(0, MAX_PROMPT_GOALS).map(l => l.line).join("\n");
+}
+
+// Goals without progress or anything planned for STALL_DAYS, not nudged in that time
+export function stalledGoals(goals, today) {
+  const since = getDatePlusDays(today, -STALL_DAYS);
+  return goals.filter(g =>
+    g.created_on <= since &&
+    (!g.last_progress || g.last_progress <= since) &&
+    g.planned_ahead === 0 &&
+    (!g.nudged_on || g.nudged_on <= since)
+  );
+}
+
+export async function markNudged(goalIds, today) {
+  await pool.query("UPDATE goals SET nudged_on = $2 WHERE id = ANY($1)", [goalIds, today]);
+}
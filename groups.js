@@ -0,0 +1,82 @@
+import { pool } from "./db.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+//--------------
+// Group chats
+// Added to a group, the bot posts each member's end-of-day result there and a weekly
+// streak leaderboard. Members opt in with /join in the group (after starting the bot in
+// a private chat, which is where their tasks live) and out with /leave.
+// What a member's posts show follows their share level (see buddies.js).
+// Everyone in a group reads the same posts, so they're in DEFAULT_LOCALE.
+//--------------
+const LEADERBOARD_SIZE = 15;
+
+export async function addGroup(chatId, title) {
+  await pool.query(
+    `INSERT INTO groups (chat_id, title) VALUES ($1, $2)
+     ON CONFLICT (chat_id) DO UPDATE SET title = EXCLUDED.title`,
+    [chatId, title || null]
+  );
+}
+
+export async function removeGroup(chatId) {
+  await pool.query("DELETE FROM group_members WHERE group_chat_id = $1", [chatId]);
+  await pool.query("DELETE FROM groups WHERE chat_id = $1", [chatId]);
+}
+
+// A group upgraded to a supergroup gets a new chat id
+export async function migrateGroup(oldChatId, newChatId) {
+  await pool.query("UPDATE groups SET chat_id = $2 WHERE chat_id = $1", [oldChatId, newChatId]);
+  await pool.query("UPDATE group_members SET group_chat_id = $2 WHERE group_chat_id = $1", [oldChatId, newChatId]);
+}
+
+// Returns false when the user was already a member
+export async function joinGroup(chatId, userId) {
+  const result = await pool.query(
+    `INSERT INTO group_members (group_chat_id, user_id) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+    [chatId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+export async function leaveGroup(chatId, userId) {
+  const result = await pool.query(
+    "DELETE FROM group_members WHERE group_chat_id = $1 AND user_id = $2", [chatId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+export async function groupsOf(userId) {
+  const result = await pool.query("SELECT group_chat_id FROM group_members WHERE user_id = $1", [userId]);
+  return result.rows.map(r => r.group_chat_id);
+}
+
+export async function getGroups() {
+  const result = await pool.query("SELECT chat_id, title FROM groups ORDER BY created_at ASC");
+  return result.rows;
+}
+
+// Streak leaderboard text, or null when nobody has joined yet
+export async function buildLeaderboard(chatId) {
+  const result = await pool.query(
+    `SELECT COALESCE(u.display_name, 'Member') AS name,
+            COALESCE(s.current_streak, 0) AS current_streak,
+            COALESCE(s.longest_streak, 0) AS longest_streak
+     FROM group_members m
+     JOIN users u ON u.id = m.user_id
+     LEFT JOIN user_stats s ON s.user_id = m.user_id
+     WHERE m.group_chat_id = $1
+     ORDER BY current_streak DESC, longest_streak DESC, name ASC
+     LIMIT $2`,
+    [chatId, LEADERBOARD_SIZE]
+  );
+  if (result.rowCount === 0) return null;
+  const medals = ["🥇", "🥈", "🥉"];
+  const lines = result.rows.map((r, i) => t(DEFAULT_LOCALE, "group.leaderboardLine", {
+    rank: medals[i] || `${i + 1}.`,
+    name: r.name,
+    current: r.current_streak,
+    longest: r.longest_streak,
+  }));
+  return t(DEFAULT_LOCALE, "group.leaderboard", { lines: lines.join("\n") });
+}
@@ -0,0 +1,79 @@
+import en from "./locales/en.js";
+import hi from "./locales/hi.js";
+
+//--------------
+// Localization
+// Bot messages live in a catalog per locale (locales/*.js): t(locale, key, vars) fills in
+// {name} placeholders, and keys a locale doesn't have fall back to English. A user's
+// locale is their language (/language, or /coach language — the AI answers in it too)
+// when there's a catalog for it, English otherwise. Group chats are shared, so they
+// always use DEFAULT_LOCALE.
+//--------------
+export const LOCALES = {
+  en: { name: "English", intl: "en-GB", messages: en },
+  hi: { name: "हिन्दी", intl: "hi-IN", messages: hi },
+};
+export const DEFAULT_LOCALE = "en";
+
+const englishNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+// Anything with a `language` (user row, coach) → a locale with a catalog
+export function localeOf(row) {
+  const base = String(row?.language || "").split("-")[0].toLowerCase();
+  return LOCALES[base] ? base : DEFAULT_LOCALE;
+}
+
+// "hi", "Hindi" or "हिन्दी" → locale code, or null
+export function parseLocale(input) {
+  const text = input.trim().toLowerCase();
+  return Object.keys(LOCALES).find(code =>
+    code === text || LOCALES[code].name.toLowerCase() === text || englishNames.of(code).toLowerCase() === text
+  ) || null;
+}
+
+export function t(locale, key, vars = {}) {
+  const text = LOCALES[locale]?.messages[key] ?? LOCALES[DEFAULT_LOCALE].messages[key];
+  if (text === undefined) {
+    console.error(`Missing message "${key}"`);
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (whole, name) => (name in vars ? String(vars[name]) : whole));
+}
+
+//--------------
+// Dates, times & numbers
+// Dates are "YYYY-MM-DD" and times "HH:MM" wall-clock strings, so they're formatted as UTC.
+//--------------
+const formatters = new Map();
+
+function formatter(locale, kind, options) {
+  const id = `${locale}:${kind}`;
+  let fmt = formatters.get(id);
+  if (!fmt) {
+    const intl = (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).intl;
+    fmt = kind === "number" ? new Intl.NumberFormat(intl, options) : new Intl.DateTimeFormat(intl, { timeZone: "UTC", ...options });
+    formatters.set(id, fmt);
+  }
+  return fmt;
+}
+
+// "2026-10-19" → "Mon 19 Oct" / "सोम, 19 अक्टू॰"
+export function formatDate(locale, date) {
+  return formatter(locale, "date", { weekday: "short", day: "numeric", month: "short" })
+    .format(new Date(`${date}T00:00:00Z`));
+}
+
+// "19:05" → "19:05" / "7:05 pm"
+export function formatTime(locale, time) {
+  return formatter(locale, "time", { hour: "numeric", minute: "2-digit" })
+    .format(new Date(`1970-01-01T${time.slice(0, 5)}:00Z`));
+}
+
+export function formatNumber(locale, n) {
+  return formatter(locale, "number").format(n);
+}
+
+// 0 = Sunday
+export function weekdayName(locale, day) {
+  return formatter(locale, "weekday", { weekday: "short" }).format(new Date(Date.UTC(2026, 0, 4 + day)));
+}
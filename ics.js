@@ -0,0 +1,294 @@
+import { localToInstant, getLocalParts, normalizeTimeZone } from "./time.js";
+
+//--------------
+// iCalendar (RFC 5545) helpers
+//--------------
+const DEFAULT_EVENT_MINUTES = 30;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets are continued on the next line with a leading space
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+function formatUtc(instant) {
+  return new Date(instant).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Each task becomes an event at its local time in `zone`, written in UTC so every
+// calendar app places it correctly regardless of its own timezone database.
+// Tasks without an end time get a default length.
+export function buildCalendar(tasks, zone) {
+  const stamp = formatUtc(Date.now());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//PrathamStrictBot//Discipline AI//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:Discipline AI",
+  ];
+  for (const t of tasks) {
+    const start = localToInstant(t.task_date, t.task_time.slice(0, 5), zone);
+    const end = t.end_time
+      ? localToInstant(t.task_date, t.end_time.slice(0, 5), zone)
+      : start + DEFAULT_EVENT_MINUTES * 60000;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:task-${t.id}@prathamstrictbot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(start)}`,
+      `DTEND:${formatUtc(end)}`,
+      `SUMMARY:${escapeText(t.task_name)}`,
+      `DESCRIPTION:${escapeText(`Status: ${t.status}${t.skip_reason ? ` (${t.skip_reason})` : ""}`)}`,
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+//--------------
+// Parsing
+//--------------
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "DTSTART;TZID=Europe/Berlin:20260105T090000" → { name, params, value }
+function parseLine(line) {
+  // The first colon outside a quoted parameter value ends the name/params part
+  let colon = -1, quoted = false;
+  for (let i = 0; i < line.length && colon === -1; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) colon = i;
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const p of rawParams) {
+    const [k, v = ""] = p.split("=");
+    params[k.toUpperCase()] = v.replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Date-time value → { date: "YYYY-MM-DD", time: "HH:MM" | null, zone }
+// zone is "UTC" for ...Z values, the TZID if present, or null for floating times.
+function parseDateValue(value, params) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (params.VALUE === "DATE" || !m[4]) return { date, time: null, zone: null };
+  return { date, time: `${m[4]}:${m[5]}`, zone: m[6] ? "UTC" : (params.TZID || null) };
+}
+
+// "PT1H30M" / "P1D" → minutes (null if unparseable)
+function parseDuration(value) {
+  const m = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, min = 0] = m;
+  const minutes = ((+w * 7 + +d) * 24 + +h) * 60 + +min;
+  return sign === "-" ? -minutes : minutes;
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(";")) {
+    const [k, v] = part.split("=");
+    if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+  }
+  return {
+    freq: rule.FREQ,
+    interval: parseInt(rule.INTERVAL || "1", 10),
+    count: rule.COUNT ? parseInt(rule.COUNT, 10) : null,
+    until: rule.UNTIL ? `${rule.UNTIL.slice(0, 4)}-${rule.UNTIL.slice(4, 6)}-${rule.UNTIL.slice(6, 8)}` : null,
+    byDay: rule.BYDAY ? rule.BYDAY.split(",") : null,
+    byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(",").map(Number) : null,
+    byMonth: rule.BYMONTH ? rule.BYMONTH.split(",").map(Number) : null,
+  };
+}
+
+// Returns the VEVENTs of a calendar as plain objects
+export function parseCalendar(text) {
+  const lines = text.replace(/\r\n[ \t]/g, "").replace(/\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let depth = 0; // skip nested components such as VALARM
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+    if (line.name === "BEGIN") {
+      if (line.value === "VEVENT" && !current) current = { exdates: [] };
+      else if (current) depth++;
+      continue;
+    }
+    if (line.name === "END") {
+      if (current && depth > 0) depth--;
+      else if (current && line.value === "VEVENT") { events.push(current); current = null; }
+      continue;
+    }
+    if (!current || depth > 0) continue;
+    switch (line.name) {
+      case "UID": current.uid = line.value; break;
+      case "SUMMARY": current.summary = unescapeText(line.value).trim(); break;
+      case "STATUS": current.status = line.value.toUpperCase(); break;
+      case "DTSTART": current.start = parseDateValue(line.value, line.params); break;
+      case "DTEND": current.end = parseDateValue(line.value, line.params); break;
+      case "DURATION": current.duration = parseDuration(line.value); break;
+      case "RRULE": current.rule = parseRule(line.value); break;
+      case "RECURRENCE-ID": current.recurrenceId = parseDateValue(line.value, line.params); break;
+      case "EXDATE":
+        for (const v of line.value.split(",")) {
+          const ex = parseDateValue(v, line.params);
+          if (ex) current.exdates.push(ex.date);
+        }
+        break;
+    }
+  }
+  return events.filter(e => e.start && e.status !== "CANCELLED");
+}
+
+//--------------
+// Recurrence expansion (the subset calendars actually emit:
+// DAILY / WEEKLY / MONTHLY / YEARLY with INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH)
+//--------------
+const ICAL_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+function dayNumber(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+}
+
+function dateParts(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), dow: d.getUTCDay() };
+}
+
+function matchesByDay(byDay, date) {
+  const { year, month, day, dow } = dateParts(date);
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return byDay.some(entry => {
+    const m = entry.match(/^([+-]?\d+)?([A-Z]{2})$/);
+    if (!m || ICAL_DAYS.indexOf(m[2]) !== dow) return false;
+    if (!m[1]) return true;
+    const n = parseInt(m[1], 10);
+    return n > 0 ? Math.ceil(day / 7) === n : Math.ceil((daysInMonth - day + 1) / 7) === -n;
+  });
+}
+
+// Does the rule generate an occurrence on `date` (ignoring COUNT)?
+function ruleMatches(rule, startDate, date) {
+  const start = dateParts(startDate);
+  const d = dateParts(date);
+  const days = dayNumber(date) - dayNumber(startDate);
+  if (rule.byMonth && !rule.byMonth.includes(d.month)) return false;
+  switch (rule.freq) {
+    case "DAILY":
+      return days % rule.interval === 0 && (!rule.byDay || matchesByDay(rule.byDay, date));
+    case "WEEKLY": {
+      // Weeks start on Monday (RFC 5545 default WKST)
+      const weekStart = n => n - ((new Date(n * 86400000).getUTCDay() + 6) % 7);
+      const weeks = (weekStart(dayNumber(date)) - weekStart(dayNumber(startDate))) / 7;
+      const byDay = rule.byDay || [ICAL_DAYS[start.dow]];
+      return weeks % rule.interval === 0 && matchesByDay(byDay, date);
+    }
+    case "MONTHLY": {
+      const months = (d.year - start.year) * 12 + (d.month - start.month);
+      if (months % rule.interval !== 0) return false;
+      if (rule.byDay) return matchesByDay(rule.byDay, date);
+      return (rule.byMonthDay || [start.day]).includes(d.day);
+    }
+    case "YEARLY":
+      return (d.year - start.year) % rule.interval === 0 &&
+        d.month === start.month && (rule.byMonthDay || [start.day]).includes(d.day);
+    default:
+      return false;
+  }
+}
+
+function occursOn(event, date) {
+  const startDate = event.start.date;
+  if (date < startDate) return false;
+  if (!event.rule) return date === startDate;
+  if (event.exdates.includes(date) || (event.overrides && event.overrides.includes(date))) return false;
+  const { rule } = event;
+  if (rule.until && date > rule.until) return false;
+  if (!ruleMatches(rule, startDate, date)) return false;
+  if (rule.count === null) return true;
+  // COUNT: the occurrence must be within the first `count` generated dates
+  let seen = 0;
+  for (let n = dayNumber(startDate); n <= dayNumber(date); n++) {
+    const d = new Date(n * 86400000).toISOString().slice(0, 10);
+    if (d === startDate || ruleMatches(rule, startDate, d)) seen++;
+    if (seen > rule.count) return false;
+  }
+  return true;
+}
+
+// Length of a timed event in minutes, from DTEND or DURATION (null if neither is usable)
+function eventMinutes(event, eventZone) {
+  if (event.end && event.end.time) {
+    const endZone = event.end.zone === "UTC" ? 0 : (event.end.zone && normalizeTimeZone(event.end.zone)) || eventZone;
+    const start = localToInstant(event.start.date, event.start.time, eventZone);
+    const minutes = (localToInstant(event.end.date, event.end.time, endZone) - start) / 60000;
+    return minutes > 0 ? minutes : null;
+  }
+  return event.duration > 0 ? event.duration : null;
+}
+
+// Occurrences of `events` that fall on local `date` in the user's `zone`.
+// Returns { time: "HH:MM" | null, end: "HH:MM" | null, name, allDay } sorted by time; all-day
+// events have time null. `end` is only set when the event ends on the same local day.
+// Times with an unknown TZID (e.g. Windows zone names) are treated as floating, i.e. user-local.
+export function eventsOnDate(events, date, zone) {
+  const overrides = new Map();
+  for (const e of events) {
+    if (e.uid && e.recurrenceId) {
+      if (!overrides.has(e.uid)) overrides.set(e.uid, []);
+      overrides.get(e.uid).push(e.recurrenceId.date);
+    }
+  }
+
+  const found = [];
+  for (const e of events) {
+    const event = e.rule && e.uid && !e.recurrenceId ? { ...e, overrides: overrides.get(e.uid) } : e;
+    const name = event.summary || "(untitled event)";
+
+    if (!event.start.time) {
+      if (occursOn(event, date)) found.push({ time: null, end: null, name, allDay: true });
+      continue;
+    }
+
+    const eventZone = event.start.zone === "UTC" ? 0 : (event.start.zone && normalizeTimeZone(event.start.zone)) || zone;
+    const minutes = eventMinutes(event, eventZone);
+    // The event's own calendar day can differ from the user's by one in either direction
+    for (const offset of [-1, 0, 1]) {
+      const candidate = new Date((dayNumber(date) + offset) * 86400000).toISOString().slice(0, 10);
+      if (!occursOn(event, candidate)) continue;
+      const start = localToInstant(candidate, event.start.time, eventZone);
+      const local = getLocalParts(zone, start);
+      if (local.date !== date) continue;
+      const localEnd = minutes ? getLocalParts(zone, start + minutes * 60000) : null;
+      const end = localEnd && localEnd.date === date && localEnd.time > local.time ? localEnd.time : null;
+      found.push({ time: local.time, end, name, allDay: false });
+    }
+  }
+  return found.sort((a, b) => (a.time || "").localeCompare(b.time || ""));
+}
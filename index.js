@@ -1,14 +1,154 @@
 import express from "express";
+import crypto from "crypto";
 import { pool } from "./db.js";
-import { sendMessage } from "./telegram.js";
+import {
+  downloadFile,
+  answerCallbackQuery,
+  setWebhook
+} from "./telegram.js";
+import {
+  sendMessage,
+  sendMessageLater,
+  sendDocument,
+  editMessageReplyMarkup,
+  handedOff,
+  startDeliveryWorker
+} from "./delivery.js";
 import { 
   praiseMessage, 
   angryMessage, 
   summaryMessage, 
   stuckHelp,
   morningMessage,
-  planningPrompt 
+  planningPrompt,
+  judgeResponse,
+  heuristicJudgement,
+  reportCommentary,
+  parseTasksAI,
+  aiProviderName
 } from "./ai.js";
+import { looksLikeTask, parseNaturalTask } from "./parser.js";
+import {
+  PERSONAS,
+  STRICTNESS,
+  COACH_COLUMNS,
+  coachFromUser,
+  usesAI,
+  fallbackText,
+  parseLanguage,
+  languageName,
+  describeCoach
+} from "./coach.js";
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  localeOf,
+  parseLocale,
+  t,
+  formatDate,
+  formatTime,
+  formatNumber,
+  weekdayName
+} from "./i18n.js";
+import {
+  parseRoutine,
+  describeRoutine,
+  getRoutines,
+  addRoutine,
+  removeRoutine,
+  materializeRoutines,
+  skipRoutineOccurrence,
+  parseWeekdays,
+  formatWeekdays
+} from "./routines.js";
+import { EXPORT_FORMATS, getExportData, buildCsv, buildJson } from "./exporters.js";
+import { buildCalendar, parseCalendar, eventsOnDate } from "./ics.js";
+import { runJob, startScheduler, getJobRuns, describeSchedule } from "./scheduler.js";
+import { pendingMigrations } from "./migrate.js";
+import {
+  DEFAULT_SETTINGS,
+  MAX_LEAD_MINUTES,
+  THRESHOLD_RANGE,
+  SETTINGS_COLUMNS,
+  settingsFromUser,
+  isRestDay,
+  inQuietHours,
+  quietEndsAt,
+  describeSettings
+} from "./settings.js";
+import {
+  SHARE_LEVELS,
+  saveDisplayName,
+  sharerOf,
+  sharerName,
+  createInvite,
+  acceptInvite,
+  getBuddies,
+  removeBuddy,
+  missedTaskText,
+  dayText
+} from "./buddies.js";
+import {
+  addGroup,
+  removeGroup,
+  migrateGroup,
+  joinGroup,
+  leaveGroup,
+  groupsOf,
+  getGroups,
+  buildLeaderboard
+} from "./groups.js";
+import {
+  GOAL_KINDS,
+  STALL_DAYS,
+  parseGoal,
+  addGoal,
+  getGoals,
+  completeGoal,
+  removeGoal,
+  describeGoal,
+  resolveGoalTag,
+  goalsForPrompt,
+  stalledGoals,
+  markNudged
+} from "./goals.js";
+import {
+  FOCUS_DEFAULTS,
+  FOCUS_LIMITS,
+  startFocus,
+  activeFocus,
+  stopFocus,
+  focusTotals,
+  describeFocus,
+  startFocusWorker
+} from "./focus.js";
+import { MEMORY_KINDS, buildMemory, rememberStuck, forgetUser } from "./memory.js";
+import { budgetLimits, budgetBlock, getUserUsage, getUsageByType } from "./usage.js";
+import {
+  PRIORITIES,
+  FREEZE_EVERY,
+  isSuccessfulCounts,
+  dayScore,
+  advanceStreak,
+  DAY_COUNTS_SQL,
+  completionRate,
+  computeStats,
+  countsText,
+  formatStatsReport
+} from "./stats.js";
+import {
+  userZone,
+  normalizeTimeZone,
+  formatZone,
+  getUserDate,
+  getUserTime,
+  getUserMinutes,
+  getDatePlusDays,
+  getUserTomorrowDate,
+  getActiveDate,
+  getLocalParts,
+  minutesUntil
+} from "./time.js";
 import dotenv from 'dotenv';
 dotenv.config();
 
@@ -18,77 +158,73 @@ app.use(express.json());
 const CRON_SECRET = process.env.CRON_SECRET;
 const AI_DAILY_LIMIT = 20;
 
-//--------------
-// Timezone & Date Helpers
-//--------------
-function getUserDate(timezoneOffset = 0) {
-  const now = new Date();
-  const utc = now.getTime() + (now.getTimezoneOffset() * 60000);
-  const userTime = new Date(utc + (timezoneOffset * 60000));
-  return userTime.toISOString().split("T")[0];
-}
-
-function getUserTime(timezoneOffset = 0) {
-  const now = new Date();
-  const utcMs = now.getTime() + now.getTimezoneOffset() * 60000;
-  const userTime = new Date(utcMs + timezoneOffset * 60000);
-  return userTime.toISOString().slice(11, 16); // HH:MM
-}
-
-function getUserMinutes(timezoneOffset = 0) {
-  const t = getUserTime(timezoneOffset);
-  const [h, m] = t.split(':').map(Number);
-  return h * 60 + m;
-}
-
-function getDatePlusDays(baseDate, days) {
-  const d = new Date(baseDate);
-  d.setDate(d.getDate() + days);
-  return d.toISOString().split("T")[0];
-}
-
-function getUserTomorrowDate(timezoneOffset = 0) {
-  return getDatePlusDays(getUserDate(timezoneOffset), 1);
-}
-
-function getActiveDate(timezoneOffset = 0) {
-  const userMinutes = getUserMinutes(timezoneOffset);
-  if (userMinutes >= 18 * 60) {
-    return { date: getUserTomorrowDate(timezoneOffset), label: "tomorrow" };
-  }
-  return { date: getUserDate(timezoneOffset), label: "today" };
-}
-
 //--------------
 // DB Helpers
 //--------------
 async function getOrCreateUser(chatId) {
   const result = await pool.query(
-    "SELECT id, timezone_offset FROM users WHERE chat_id = $1", [chatId]
+    `SELECT id, timezone_offset, timezone, inactive_at, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE chat_id = $1`, [chatId]
   );
-  if (result.rows.length > 0) return result.rows[0];
+  if (result.rows.length > 0) {
+    const user = result.rows[0];
+    // Writing to the bot again means they've unblocked it
+    if (user.inactive_at) {
+      await pool.query("UPDATE users SET inactive_at = NULL, inactive_reason = NULL WHERE id = $1", [user.id]);
+    }
+    return user;
+  }
   const insert = await pool.query(
-    "INSERT INTO users (chat_id, timezone_offset) VALUES ($1, 0) RETURNING id, timezone_offset",
+    `INSERT INTO users (chat_id, timezone_offset) VALUES ($1, 0) RETURNING id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS}`,
     [chatId]
   );
   return insert.rows[0];
 }
 
+// Day new tasks go to: today, or tomorrow from the user's cutoff hour
+function activeDate(user) {
+  return getActiveDate(userZone(user), settingsFromUser(user).cutoff);
+}
+
+// "07:00" or "10:00-12:00" → { time, end } (end is null for a point in time)
+const TIME_SPAN_RE = /^([01]\d|2[0-3]):([0-5]\d)(?:\s*-\s*([01]\d|2[0-3]):([0-5]\d))?$/;
+
+function parseTimeSpan(text) {
+  const match = text.match(TIME_SPAN_RE);
+  if (!match) return null;
+  const time = `${match[1]}:${match[2]}`;
+  const end = match[3] ? `${match[3]}:${match[4]}` : null;
+  if (end && end <= time) return null;
+  return { time, end };
+}
+
+// "!high" / "!low" / "!normal" anywhere in a task name → { name, priority } (null when absent)
+const PRIORITY_RE = /(^|\s)!(high|normal|low)(?=\s|$)/i;
+
+function takePriority(name) {
+  const match = name.match(PRIORITY_RE);
+  if (!match) return { name, priority: null };
+  return { name: name.replace(PRIORITY_RE, "$1").replace(/\s+/g, " ").trim() || name, priority: match[2].toLowerCase() };
+}
+
 function parseTasks(text) {
   const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
   const tasks = [];
   for (const line of lines) {
-    const match = line.match(/^([01]\d|2[0-3]):([0-5]\d)\s+(.+)$/);
-    if (!match) continue;
-    tasks.push({ time: `${match[1]}:${match[2]}`, name: match[3] });
+    const match = line.match(/^(\d{2}:\d{2}(?:\s*-\s*\d{2}:\d{2})?)\s+(.+)$/);
+    const span = match && parseTimeSpan(match[1]);
+    if (!span) continue;
+    tasks.push({ ...span, name: match[2] });
   }
   return tasks;
 }
 
 async function getTasksForDate(userId, date) {
+  await materializeRoutines(userId, date);
   const result = await pool.query(
-    `SELECT id, task_time, task_name FROM tasks
-     WHERE user_id = $1 AND task_date = $2 ORDER BY task_time ASC`,
+    `SELECT t.id, t.task_time, t.end_time, t.task_name, t.routine_id, t.status, t.skip_reason, t.carried_from,
+            t.priority, g.tag AS goal_tag
+     FROM tasks t LEFT JOIN goals g ON g.id = t.goal_id
+     WHERE t.user_id = $1 AND t.task_date = $2 ORDER BY t.task_time ASC`,
     [userId, date]
   );
   return result.rows;
@@ -96,20 +232,320 @@ async function getTasksForDate(userId, date) {
 
 const lastPlans = new Map();
 
+// Tasks waiting for "confirm" / "cancel" (calendar imports and natural-language entries):
+// chatId → { tasks: [{ date, time, end, name }], expiresAt }
+const pendingTasks = new Map();
+const PENDING_TTL_MS = 15 * 60 * 1000;
+
+// Reminder "Skip" buttons waiting for the reason, which /skip requires too:
+// chatId → { taskId, expiresAt }. Any command drops it.
+const pendingSkips = new Map();
+const SKIP_REASON_TTL_MS = 5 * 60 * 1000;
+
+// Every line reads as a task, strictly ("07:00 Gym") or in words ("gym at 7am")
+function isTaskInput(text, user) {
+  const zone = userZone(user);
+  const ctx = { zone, today: getUserDate(zone), activeDate: activeDate(user).date };
+  return text.split("\n").map(l => l.trim()).filter(Boolean)
+    .every(line => parseTasks(line).length === 1 || parseNaturalTask(line, ctx));
+}
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+// Plan as the user last saw it (so numbers match /plan), or fresh from the DB
+async function getPlanForDate(chatId, userId, date) {
+  const cached = lastPlans.get(chatId);
+  if (cached && cached.date === date) return cached.tasks;
+  const tasks = await getTasksForDate(userId, date);
+  lastPlans.set(chatId, { date, tasks });
+  return tasks;
+}
+
+// Task outcome: pending → done | partial | skipped (with reason) | missed
+const STATUS_ICONS = { done: "✅", partial: "🌓", skipped: "⏭️", missed: "❌" };
+const BUTTON_STATUSES = { done: "done", partial: "partial", skip: "skipped" };
+
+function formatTaskTime(task, lang) {
+  const start = formatTime(lang, task.task_time);
+  return task.end_time ? `${start}–${formatTime(lang, task.end_time)}` : start;
+}
+
+function formatTaskLine(task, i, lang) {
+  const icon = STATUS_ICONS[task.status];
+  let line = `${i + 1}. ${formatTaskTime(task, lang)} — ${task.task_name}`;
+  if (PRIORITIES[task.priority]?.icon) line += ` ${PRIORITIES[task.priority].icon}`;
+  if (task.goal_tag) line += ` #${task.goal_tag}`;
+  if (task.carried_from) line += " ↪️";
+  if (icon) line += ` ${icon}`;
+  if (task.status === "skipped" && task.skip_reason) line += ` (${task.skip_reason})`;
+  return line;
+}
+
+// "today (Mon 19 Oct)"
+function formatDay(lang, label, date) {
+  return `${t(lang, `day.${label}`)} (${formatDate(lang, date)})`;
+}
+
+function minutesOfDay(time) {
+  const [h, m] = time.slice(0, 5).split(":").map(Number);
+  return h * 60 + m;
+}
+
+function timeOfDay(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// "⚠️ Overlaps" note for tasks whose spans intersect; a point task overlaps a block
+// it falls inside, and two tasks at the same minute overlap each other
+function overlapWarning(tasks, lang) {
+  const spans = tasks.map(task => ({
+    task, start: minutesOfDay(task.task_time), end: minutesOfDay(task.end_time || task.task_time)
+  }));
+  const lines = [];
+  for (let i = 0; i < spans.length; i++) {
+    for (let j = i + 1; j < spans.length; j++) {
+      const a = spans[i], b = spans[j];
+      if (a.start === b.start || (a.start < b.end && b.start < a.end)) {
+        lines.push(`${formatTaskTime(a.task, lang)} ${a.task.task_name} ↔ ${formatTaskTime(b.task, lang)} ${b.task.task_name}`);
+      }
+    }
+  }
+  return lines.length ? t(lang, "task.overlaps", { lines: lines.join("\n") }) : "";
+}
+
+// A #tag matching one of the user's goals links the task to it; "!high" / "!low" set its priority
+async function insertTask(userId, date, task) {
+  const { name: untagged, goalId } = await resolveGoalTag(userId, task.name);
+  const { name, priority } = takePriority(untagged);
+  await pool.query(
+    `INSERT INTO tasks (user_id, task_date, task_time, end_time, task_name, goal_id, priority)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [userId, date, task.time, task.end || null, name, goalId, priority || "normal"]
+  );
+}
+
+async function setTaskStatus(taskId, status, reason = null) {
+  const result = await pool.query(
+    `UPDATE tasks SET status = $1, skip_reason = $2, status_at = NOW()
+     WHERE id = $3 AND closed_at IS NULL
+     RETURNING id, task_time, end_time, task_name`,
+    [status, reason, taskId]
+  );
+  return result.rows[0];
+}
+
+function taskButtons(taskId, lang, { snooze = false } = {}) {
+  const rows = [[
+    { text: t(lang, "button.done"), callback_data: `done:${taskId}` },
+    { text: t(lang, "button.partial"), callback_data: `partial:${taskId}` },
+    { text: t(lang, "button.skip"), callback_data: `skip:${taskId}` },
+  ]];
+  if (snooze) rows.push([{ text: t(lang, "button.snooze", { minutes: SNOOZE_MINUTES }), callback_data: `snooze:${taskId}` }]);
+  return { inline_keyboard: rows };
+}
+
+// '✅ "Gym" is already done.'
+function alreadyText(lang, task) {
+  return t(lang, "task.already", { icon: STATUS_ICONS[task.status], name: task.task_name, status: t(lang, `status.${task.status}`) });
+}
+
+//--------------
+// Snooze & carry-over
+//--------------
+const SNOOZE_MINUTES = 15;
+const MAX_SNOOZE_MINUTES = 240;
+
+// Moves a pending task `minutes` past its start (or past now, if that's later), keeping a
+// block's length, and re-arms its reminder. Returns { task } or { error }.
+async function snoozeTask(user, taskId, minutes) {
+  const lang = localeOf(user);
+  const result = await pool.query(
+    `SELECT id, task_date, task_time, end_time, task_name, status FROM tasks
+     WHERE id = $1 AND user_id = $2 AND closed_at IS NULL`,
+    [taskId, user.id]
+  );
+  const task = result.rows[0];
+  if (!task) return { error: t(lang, "task.notFound") };
+  if (task.status !== "pending") return { error: alreadyText(lang, task) };
+  const now = getLocalParts(userZone(user));
+  const start = minutesOfDay(task.task_time);
+  const from = task.task_date === now.date ? Math.max(start, minutesOfDay(now.time)) : start;
+  const newStart = from + minutes;
+  const newEnd = task.end_time ? newStart + minutesOfDay(task.end_time) - start : null;
+  if ((newEnd ?? newStart) >= 24 * 60) {
+    return { error: t(lang, "snooze.pastMidnight") };
+  }
+  const updated = await pool.query(
+    `UPDATE tasks SET task_time = $1, end_time = $2, reminder_sent = false, reminded_at = NULL,
+       checkin_sent = false, snooze_count = snooze_count + 1
+     WHERE id = $3 AND status = 'pending' AND closed_at IS NULL
+     RETURNING id, task_time, end_time, task_name`,
+    [timeOfDay(newStart), newEnd === null ? null : timeOfDay(newEnd), task.id]
+  );
+  if (updated.rowCount === 0) return { error: t(lang, "task.notFound") };
+  return { task: updated.rows[0] };
+}
+
+// The task the user is most likely on right now: a running block, or a task that
+// started in the last half hour (the latest one wins)
+function currentTask(plan, nowMinutes) {
+  return plan.filter(t =>
+    t.status === "pending" &&
+    minutesOfDay(t.task_time) <= nowMinutes &&
+    nowMinutes < (t.end_time ? minutesOfDay(t.end_time) : minutesOfDay(t.task_time) + 30)
+  ).pop() || null;
+}
+
+// Whether the daily summary has already scored the user's `date`
+async function dayScored(userId, date) {
+  const result = await pool.query(
+    "SELECT 1 FROM user_stats WHERE user_id = $1 AND last_summary_date >= $2", [userId, date]
+  );
+  return result.rowCount > 0;
+}
+
+// Copies an unfinished task to the day after it, tagged with the task it came from, and
+// skips the original so it isn't counted against both days. Only while its day is open
+// and not yet scored. Returns { task, date } or { error }.
+async function carryTask(userId, taskId, lang) {
+  const result = await pool.query(
+    `SELECT id, task_date, task_time, end_time, task_name, status, goal_id, priority, closed_at
+     FROM tasks WHERE id = $1 AND user_id = $2`,
+    [taskId, userId]
+  );
+  const task = result.rows[0];
+  if (!task) return { error: t(lang, "task.notFound") };
+  if (task.closed_at || await dayScored(userId, task.task_date)) return { error: t(lang, "carry.scored") };
+  if (task.status !== "pending" && task.status !== "missed") return { error: alreadyText(lang, task) };
+  const date = getDatePlusDays(task.task_date, 1);
+  const next = await getTasksForDate(userId, date);
+  if (next.some(other => other.carried_from === task.id || other.task_name.toLowerCase() === task.task_name.toLowerCase())) {
+    return { error: t(lang, "carry.planned", { name: task.task_name, date: formatDate(lang, date) }) };
+  }
+  await pool.query(
+    `INSERT INTO tasks (user_id, task_date, task_time, end_time, task_name, carried_from, goal_id, priority)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [userId, date, task.task_time, task.end_time, task.task_name, task.id, task.goal_id, task.priority]
+  );
+  await setTaskStatus(task.id, "skipped", t(lang, "carry.reason", { date: formatDate(lang, date) }));
+  return { task, date };
+}
+
+// End-of-day list of the day's unfinished tasks with a carry button each (numbers match /plan today)
+async function carryOverPrompt(userId, date, lang) {
+  const plan = await getTasksForDate(userId, date);
+  const unfinished = plan
+    .map((task, i) => ({ task, n: i + 1 }))
+    .filter(({ task }) => task.status === "pending" || task.status === "missed");
+  if (unfinished.length === 0) return null;
+  const text = t(lang, "carry.prompt", {
+    tasks: unfinished.map(({ task, n }) => `${n}. ${formatTaskTime(task, lang)} — ${task.task_name}`).join("\n"),
+  });
+  const markup = {
+    inline_keyboard: unfinished.slice(0, 10).map(({ task, n }) => [
+      { text: `↪️ ${n}. ${task.task_name}`.slice(0, 60), callback_data: `carry:${task.id}` }
+    ])
+  };
+  return { text, markup };
+}
+
+// Keeps the tasks whose local start (or `timeOf(task)`) is between `from` and `to` minutes from now.
+// Uses real instants rather than minutes-of-day so a DST jump can't skip a task
+// (times in the missing hour fire when the clock jumps) or remind it twice.
+function tasksInWindow(tasks, zone, from, to, timeOf = t => t.task_time) {
+  const now = Date.now();
+  return tasks.filter(t => {
+    const mins = minutesUntil(t.task_date, timeOf(t).slice(0, 5), zone, now);
+    return mins >= from && mins <= to;
+  });
+}
+
+// Lower edge of a reminder window. Normally `from`, but when the previous run was
+// more than one interval ago (server asleep or down) it reaches back to where that
+// run's window ended, so tasks in the gap still fire — at most CATCH_UP_MINUTES late.
+const CATCH_UP_MINUTES = 60;
+
+function catchUpFrom(run, from, to) {
+  if (!run.since) return from;
+  const gap = (Date.now() - run.since.getTime()) / 60000;
+  return Math.min(from, Math.max(to - gap, -CATCH_UP_MINUTES));
+}
+
+// Whether the user's daily `time` passed today, at most `maxLate` minutes ago
+function dueToday(time, zone, maxLate) {
+  const mins = minutesUntil(getUserDate(zone), time, zone);
+  return mins <= 0 && mins >= -maxLate;
+}
+
+// Scheduled messages during the user's quiet hours: time-bound ones (reminders,
+// check-ins, praise/scold) are dropped, the rest wait until quiet hours end
+const HELD_IN_QUIET_HOURS = new Set(["morning", "planning", "summary", "report", "buddy_day"]);
+
+async function notify(user, kind, text, extra = {}) {
+  const settings = settingsFromUser(user);
+  const zone = userZone(user);
+  if (!inQuietHours(settings, zone)) return sendMessage(user.chat_id, text, extra);
+  if (!HELD_IN_QUIET_HOURS.has(kind)) return { ok: false, dropped: true };
+  return sendMessageLater(user.chat_id, text, quietEndsAt(settings, zone), extra);
+}
+
+// Partners hear about a missed task right away (unless it's their quiet hours)
+async function tellBuddiesMissed(userId, taskName) {
+  const buddies = await getBuddies(userId);
+  if (buddies.length === 0) return;
+  const sharer = await sharerOf(userId);
+  for (const buddy of buddies) await notify(buddy, "buddy_missed", missedTaskText(sharer, taskName, localeOf(buddy)));
+}
+
+// End-of-day result for partners and for every group the user joined
+async function shareDay(userId, date, day) {
+  const buddies = await getBuddies(userId);
+  const groups = await groupsOf(userId);
+  if (buddies.length === 0 && groups.length === 0) return;
+  const sharer = await sharerOf(userId);
+  const shared = { ...day, tasks: await getTasksForDate(userId, date) };
+  for (const buddy of buddies) await notify(buddy, "buddy_day", dayText(sharer, shared, localeOf(buddy)));
+  for (const groupChatId of groups) await sendMessage(groupChatId, dayText(sharer, shared));
+}
+
 function normalizeCommand(text) { return text.split("@")[0]; }
 
-function isSuccessfulDay(planned, completed) {
-  if (planned === 0) return false;
-  return completed / planned >= 0.7;
+// Rebuilds user_stats from task history, for when the nightly streak updates got out of sync.
+// Replays every day since the first task with the daily summary's rules (advanceStreak in
+// stats.js), using the user's current rest days and threshold.
+async function recalculateStreak(user, upToDate) {
+  const settings = settingsFromUser(user);
+  const days = await pool.query(
+    `SELECT task_date, ${DAY_COUNTS_SQL}
+     FROM tasks WHERE user_id = $1 AND task_date <= $2
+     GROUP BY task_date ORDER BY task_date ASC`,
+    [user.id, upToDate]
+  );
+  const byDate = new Map(days.rows.map(day => [day.task_date, day]));
+  let state = { current: 0, longest: 0, keptDate: null, freezes: 0 };
+  let lastSuccessDate = null;
+  for (let date = days.rows[0]?.task_date; date && date <= upToDate; date = getDatePlusDays(date, 1)) {
+    const counts = byDate.get(date);
+    const success = Boolean(counts) && isSuccessfulCounts(counts, settings.threshold);
+    state = advanceStreak(state, { date, rest: isRestDay(settings, date), success });
+    if (success) lastSuccessDate = date;
+  }
+  await pool.query(
+    `INSERT INTO user_stats (user_id, current_streak, longest_streak, last_success_date, last_summary_date, streak_date, freezes)
+     VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (user_id) DO UPDATE SET
+       current_streak=$2, longest_streak=$3, last_success_date=$4,
+       last_summary_date=GREATEST(user_stats.last_summary_date, $5), streak_date=$6, freezes=$7`,
+    [user.id, state.current, state.longest, lastSuccessDate, upToDate, state.keptDate, state.freezes]
+  );
+  return { currentStreak: state.current, longestStreak: state.longest, freezes: state.freezes };
 }
 
-async function checkStuckRateLimit(userId, timezoneOffset) {
-  const today = getUserDate(timezoneOffset);
+async function checkStuckRateLimit(userId, zone) {
+  const today = getUserDate(zone);
   const result = await pool.query(
-    `SELECT stuck_count, stuck_reset_date FROM users WHERE id = $1`, [userId]
+    `SELECT stuck_count, stuck_reset_date IS DISTINCT FROM $2 AS new_day FROM users WHERE id = $1`, [userId, today]
   );
-  const { stuck_count, stuck_reset_date } = result.rows[0];
-  if (stuck_reset_date !== today) {
+  const { stuck_count, new_day } = result.rows[0];
+  if (new_day) {
     await pool.query(
       `UPDATE users SET stuck_count = 1, stuck_reset_date = $1 WHERE id = $2`, [today, userId]
     );
@@ -120,8 +556,10 @@ async function checkStuckRateLimit(userId, timezoneOffset) {
   return true;
 }
 
-async function reserveAIQuota(userId, timezoneOffset) {
-  const today = getUserDate(timezoneOffset);
+// Token/cost budgets (usage.js) first, then the daily call counter
+async function reserveAIQuota(userId, zone) {
+  const today = getUserDate(zone);
+  if (await budgetBlock(userId, today)) return false;
   const result = await pool.query(
     `UPDATE users
      SET ai_calls_today = CASE
@@ -143,8 +581,8 @@ async function rollbackAIQuota(userId) {
   );
 }
 
-async function alreadySentToday(userId, eventType, timezoneOffset) {
-  const userDate = getUserDate(timezoneOffset);
+async function alreadySentToday(userId, eventType, zone) {
+  const userDate = getUserDate(zone);
   const check = await pool.query(
     `SELECT 1 FROM user_events WHERE user_id = $1 AND event_type = $2 AND event_date = $3`,
     [userId, eventType, userDate]
@@ -160,489 +598,1802 @@ async function markSentToday(userId, eventType, userDate) {
   );
 }
 
-//--------------
-// Webhook
-//--------------
-app.post("/webhook", async (req, res) => {
-  const message = req.body.message;
-  if (!message || !message.text) return res.sendStatus(200);
-
-  const chatId = message.chat.id.toString();
-  const rawText = message.text.trim();
-  const text = normalizeCommand(rawText);
-  const lowerText = text.toLowerCase();
+// What ai.js needs per call: the coach, and who/which day to bill the tokens to
+function aiContext(user, zone) {
+  return { coach: coachFromUser(user), userId: user.id, date: getUserDate(zone) };
+}
 
-  // /stuck
-  if (lowerText.startsWith("/stuck")) {
-    const problem = text.slice(6).trim();
-    if (!problem) {
-      await sendMessage(chatId, "❓ Tell me what you're stuck with.\n\nExample:\n/stuck can't focus on work");
-      return res.sendStatus(200);
-    }
-    const user = await getOrCreateUser(chatId);
-    if (!(await checkStuckRateLimit(user.id, user.timezone_offset))) {
-      await sendMessage(chatId, "⏱️ Too many requests. Try again tomorrow.");
-      return res.sendStatus(200);
-    }
-    if (!(await reserveAIQuota(user.id, user.timezone_offset))) {
-      await sendMessage(chatId, "🚫 Daily AI limit reached. Try again tomorrow.");
-      return res.sendStatus(200);
-    }
+// Coaching text in the user's persona: from the AI when the persona uses it and quota
+// allows, otherwise the persona's plain text
+async function coachText(user, zone, kind, data, generate) {
+  const coach = coachFromUser(user);
+  if (usesAI(coach) && await reserveAIQuota(user.id, zone)) {
     try {
-      const aiResponse = await stuckHelp(problem);
-      await sendMessage(chatId, aiResponse);
+      const ctx = aiContext(user, zone);
+      if (MEMORY_KINDS.has(kind)) ctx.memory = await buildMemory(user.id, ctx.date);
+      if (GOAL_KINDS.has(kind)) ctx.goals = await goalsForPrompt(user.id, ctx.date);
+      return await generate(ctx);
     } catch (err) {
-      console.error("AI stuck error:", err);
+      console.error(`AI ${kind} error user ${user.id}:`, err);
       await rollbackAIQuota(user.id);
-      await sendMessage(chatId, "❌ AI temporarily unavailable. Try again later.");
     }
-    return res.sendStatus(200);
   }
+  return fallbackText(coach, kind, data);
+}
 
-  // /timezone
-  if (lowerText.startsWith("/timezone")) {
-    const offsetStr = text.slice(9).trim();
-    const offset = parseInt(offsetStr, 10);
-    if (!offsetStr || isNaN(offset) || offset < -720 || offset > 840) {
-      await sendMessage(chatId,
-        "❌ Invalid timezone offset.\n\nUse minutes from UTC:\n" +
-        "/timezone 330   → IST (UTC+5:30)\n" +
-        "/timezone 0     → UTC\n" +
-        "/timezone -300  → EST (UTC-5)\n" +
-        "/timezone 480   → CST China (UTC+8)"
-      );
-      return res.sendStatus(200);
+// AI verdict when the persona uses AI and quota allows; the local heuristic otherwise
+// (or when the call fails)
+async function evaluateResponse(user, zone, taskName, userResponse) {
+  const userId = user.id;
+  if (usesAI(coachFromUser(user)) && await reserveAIQuota(userId, zone)) {
+    try {
+      const judgement = await judgeResponse(taskName, userResponse, aiContext(user, zone));
+      // The offline stub answers with the same heuristic as the fallback below
+      return { ...judgement, source: aiProviderName() === "stub" ? "local" : "ai" };
+    } catch (err) {
+      console.error("AI judge error:", err);
+      await rollbackAIQuota(userId);
     }
-    const user = await getOrCreateUser(chatId);
-    await pool.query(`UPDATE users SET timezone_offset = $1 WHERE id = $2`, [offset, user.id]);
-    const sign = offset >= 0 ? '+' : '-';
-    const abs = Math.abs(offset);
-    const display = abs % 60 === 0
-      ? `UTC${sign}${abs / 60}`
-      : `UTC${sign}${Math.floor(abs/60)}:${String(abs%60).padStart(2,'0')}`;
-    await sendMessage(chatId, `✅ Timezone set to ${display}\n\nYour current time: ${getUserTime(offset)}`);
-    return res.sendStatus(200);
   }
+  return { ...heuristicJudgement(taskName, userResponse), source: "local" };
+}
 
-  // /plan, /plan today, /plan tomorrow
-  if (lowerText === "/plan" || lowerText === "/plan today" || lowerText === "/plan tomorrow") {
+// Labels are in the catalog as verdict.<verdict>
+const VERDICT_STATUSES = { on_task: "done", related: "partial", off_task: "missed", refusal: "missed" };
+
+// Stats report for the `days` days before today, with a coach comment. `titleKey` names the catalog title.
+async function buildStatsReport(user, days, titleKey) {
+  const zone = userZone(user);
+  const lang = localeOf(user);
+  const today = getUserDate(zone);
+  const stats = await computeStats(
+    user.id, getDatePlusDays(today, -days), getDatePlusDays(today, -1), settingsFromUser(user).threshold
+  );
+  const report = formatStatsReport(t(lang, titleKey), stats, lang);
+  if (Number(stats.total.planned) === 0) return report;
+  const rated = stats.weekdays.filter(d => d.rate !== null).sort((a, b) => b.rate - a.rate);
+  const summary = {
+    completionPercent: Math.round((completionRate(stats.total) ?? 0) * 100),
+    successfulDays: stats.successfulDays,
+    days: stats.days,
+    bestDay: rated.length ? weekdayName(lang, rated[0].day) : null,
+    worstDay: rated.length > 1 ? weekdayName(lang, rated[rated.length - 1].day) : null,
+    mostSkipped: stats.mostSkipped[0]?.name,
+  };
+  const comment = await coachText(user, zone, "report", summary, ctx => reportCommentary(summary, ctx));
+  return comment ? `${report}\n\n${comment}` : report;
+}
+
+function buildExport(format, data, zone) {
+  if (format === "csv") return buildCsv(data);
+  if (format === "json") return buildJson(data, zone);
+  return buildCalendar(data.tasks, zone);
+}
+
+// Export tokens are stored hashed; the plain token is only shown once in Telegram
+function hashExportToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+//--------------
+// Update handling
+// Runs after the webhook has already answered Telegram (see below).
+//--------------
+async function handleUpdate(update) {
+  // Inline keyboard buttons on reminders ("done:<taskId>", "partial:<taskId>", "skip:<taskId>",
+  // "snooze:<taskId>") and on the end-of-day carry-over prompt ("carry:<taskId>")
+  const callback = update.callback_query;
+  if (callback && callback.message && (callback.data || "").startsWith("snooze:")) {
+    const chatId = callback.message.chat.id.toString();
     const user = await getOrCreateUser(chatId);
-    let taskDate, label;
-    if (lowerText.includes("today")) {
-      taskDate = getUserDate(user.timezone_offset);
-      label = "today";
-    } else if (lowerText.includes("tomorrow")) {
-      taskDate = getUserTomorrowDate(user.timezone_offset);
-      label = "tomorrow";
-    } else {
-      ({ date: taskDate, label } = getActiveDate(user.timezone_offset));
-    }
-    const tasks = await getTasksForDate(user.id, taskDate);
-    if (tasks.length === 0) {
-      await sendMessage(chatId, `📭 No tasks planned for ${label}.`);
-      return res.sendStatus(200);
-    }
-    lastPlans.set(chatId, { date: taskDate, tasks });
-    const cap = label.charAt(0).toUpperCase() + label.slice(1);
-    let reply = `📅 ${cap}'s Plan (${taskDate})\n\n`;
-    tasks.forEach((t, i) => { reply += `${i + 1}. ${t.task_time.slice(0, 5)} — ${t.task_name}\n`; });
-    await sendMessage(chatId, reply);
-    return res.sendStatus(200);
+    const lang = localeOf(user);
+    const { task, error } = await snoozeTask(user, parseInt(callback.data.slice(7), 10), SNOOZE_MINUTES);
+    if (error) { await answerCallbackQuery(callback.id, error); return; }
+    await answerCallbackQuery(callback.id, t(lang, "snooze.toast", { time: formatTime(lang, task.task_time) }));
+    await editMessageReplyMarkup(chatId, callback.message.message_id);
+    lastPlans.delete(chatId);
+    await sendMessage(chatId, t(lang, "snooze.done", { task: `${formatTaskTime(task, lang)} — ${task.task_name}` }));
+    return;
   }
-
-  // /edit
-  if (lowerText === "/edit") {
+  if (callback && callback.message && (callback.data || "").startsWith("carry:")) {
+    const chatId = callback.message.chat.id.toString();
     const user = await getOrCreateUser(chatId);
-    const { date: taskDate } = getActiveDate(user.timezone_offset);
-    let cached = lastPlans.get(chatId);
-    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
-    if (!plan || plan.length === 0) {
-      plan = await getTasksForDate(user.id, taskDate);
-      if (plan.length === 0) {
-        await sendMessage(chatId, "❌ No tasks found. Use /plan first.");
-        return res.sendStatus(200);
+    const lang = localeOf(user);
+    const { task, date, error } = await carryTask(user.id, parseInt(callback.data.slice(6), 10), lang);
+    if (error) { await answerCallbackQuery(callback.id, error); return; }
+    await answerCallbackQuery(callback.id, t(lang, "carry.toast", { date: formatDate(lang, date) }));
+    // Keep the buttons for the tasks not carried yet
+    const rows = (callback.message.reply_markup?.inline_keyboard || [])
+      .filter(row => row[0]?.callback_data !== callback.data);
+    await editMessageReplyMarkup(chatId, callback.message.message_id, { inline_keyboard: rows });
+    lastPlans.delete(chatId);
+    await sendMessage(chatId, t(lang, "carry.done", { task: `${formatTaskTime(task, lang)} — ${task.task_name}`, date: formatDate(lang, date) }));
+    return;
+  }
+  if (callback) {
+    const [action, rawId] = (callback.data || "").split(":");
+    const status = BUTTON_STATUSES[action];
+    const taskId = parseInt(rawId, 10);
+    if (!status || isNaN(taskId) || !callback.message) {
+      await answerCallbackQuery(callback.id);
+      return;
+    }
+    const chatId = callback.message.chat.id.toString();
+    const lang = localeOf(await getOrCreateUser(chatId));
+    if (status === "skipped") {
+      const found = await pool.query(
+        `SELECT t.id, t.user_id, t.task_date, t.task_time, t.end_time, t.task_name
+         FROM tasks t JOIN users u ON u.id = t.user_id
+         WHERE t.id = $1 AND u.chat_id = $2 AND t.closed_at IS NULL`,
+        [taskId, chatId]
+      );
+      const task = found.rows[0];
+      if (!task) {
+        await answerCallbackQuery(callback.id, t(lang, "task.notFound"));
+        return;
       }
-      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+      pendingSkips.set(chatId, { taskId: task.id, expiresAt: Date.now() + SKIP_REASON_TTL_MS });
+      const plan = await getTasksForDate(task.user_id, task.task_date);
+      const number = plan.findIndex(other => other.id === task.id) + 1;
+      await answerCallbackQuery(callback.id);
+      await sendMessage(chatId, t(lang, "button.skipWhy", { task: `${formatTaskTime(task, lang)} — ${task.task_name}`, number }));
+      return;
     }
-    await sendMessage(chatId,
-      "✏️ Reply like:\nedit <number> <new time> <new task>\n\nExample:\nedit 2 11:00 Study Go"
+    const result = await pool.query(
+      `UPDATE tasks t SET status = $1, skip_reason = NULL, status_at = NOW()
+       FROM users u
+       WHERE t.id = $2 AND t.user_id = u.id AND u.chat_id = $3 AND t.closed_at IS NULL
+       RETURNING t.id, t.user_id, t.task_date, t.task_time, t.end_time, t.task_name`,
+      [status, taskId, chatId]
     );
-    return res.sendStatus(200);
+    if (result.rowCount === 0) {
+      await answerCallbackQuery(callback.id, t(lang, "task.notFound"));
+      return;
+    }
+    const task = result.rows[0];
+    await answerCallbackQuery(callback.id, t(lang, "button.saved", { icon: STATUS_ICONS[status] }));
+    await editMessageReplyMarkup(chatId, callback.message.message_id);
+    lastPlans.delete(chatId);
+    await sendMessage(chatId, t(lang, "button.result", {
+      icon: STATUS_ICONS[status], task: `${formatTaskTime(task, lang)} — ${task.task_name}`, status: t(lang, `status.${status}`),
+    }));
+    return;
   }
 
-  // edit <number> <time> <task>
-  if (lowerText.startsWith("edit ")) {
-    const parts = text.split(" ");
-    if (parts.length < 4) { await sendMessage(chatId, "❌ Invalid edit format."); return res.sendStatus(200); }
-    const index = parseInt(parts[1], 10) - 1;
-    const time = parts[2];
-    const name = parts.slice(3).join(" ");
-    if (!/^([01]\d|2[0-3]):([0-5]\d)$/.test(time)) {
-      await sendMessage(chatId, "❌ Invalid time format (HH:MM).");
-      return res.sendStatus(200);
+  // Bot added to or removed from a group
+  const membership = update.my_chat_member;
+  if (membership) {
+    if (membership.chat.type !== "group" && membership.chat.type !== "supergroup") return;
+    const groupId = membership.chat.id.toString();
+    const status = membership.new_chat_member.status;
+    if (status === "left" || status === "kicked") {
+      await removeGroup(groupId);
+      return;
     }
-    const user = await getOrCreateUser(chatId);
-    const { date: taskDate } = getActiveDate(user.timezone_offset);
-    let cached = lastPlans.get(chatId);
-    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
-    if (!plan) {
-      plan = await getTasksForDate(user.id, taskDate);
-      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+    if (membership.old_chat_member.status === "left" || membership.old_chat_member.status === "kicked") {
+      await addGroup(groupId, membership.chat.title);
+      await sendMessage(groupId, t(DEFAULT_LOCALE, "group.welcome"));
     }
-    if (!plan[index]) { await sendMessage(chatId, "❌ Invalid task number. Use /plan again."); return res.sendStatus(200); }
-    const task = plan[index];
-    await pool.query(`UPDATE tasks SET task_time = $1, task_name = $2 WHERE id = $3`, [time, name, task.id]);
-    task.task_time = time;
-    task.task_name = name;
-    await sendMessage(chatId, `✅ Task updated:\n${time} — ${name}`);
-    return res.sendStatus(200);
+    return;
   }
 
-  // /delete
-  if (lowerText === "/delete") {
-    const user = await getOrCreateUser(chatId);
-    const { date: taskDate } = getActiveDate(user.timezone_offset);
-    let cached = lastPlans.get(chatId);
-    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
-    if (!plan || plan.length === 0) {
-      plan = await getTasksForDate(user.id, taskDate);
-      if (plan.length === 0) { await sendMessage(chatId, "❌ No tasks to delete."); return res.sendStatus(200); }
-      lastPlans.set(chatId, { date: taskDate, tasks: plan });
-    }
-    let reply = "🗑️ Select task to delete:\n\n";
-    plan.forEach((t, i) => { reply += `${i + 1}. ${t.task_time.slice(0,5)} — ${t.task_name}\n`; });
-    reply += "\nReply with:\ndelete <number>\n\nExample:\ndelete 2";
-    await sendMessage(chatId, reply);
-    return res.sendStatus(200);
-  }
+  const message = update.message;
 
-  // delete <number>
-  if (lowerText.startsWith("delete ")) {
-    const parts = text.split(" ");
-    const index = parseInt(parts[1], 10) - 1;
-    if (isNaN(index)) { await sendMessage(chatId, "❌ Invalid delete format.\nUse: delete <number>"); return res.sendStatus(200); }
-    const user = await getOrCreateUser(chatId);
-    const { date: taskDate } = getActiveDate(user.timezone_offset);
-    let cached = lastPlans.get(chatId);
-    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
-    if (!plan) {
-      plan = await getTasksForDate(user.id, taskDate);
-      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+  // Groups only know /join, /leave and /leaderboard; tasks live in private chats
+  if (message && (message.chat.type === "group" || message.chat.type === "supergroup")) {
+    const groupId = message.chat.id.toString();
+    if (message.migrate_to_chat_id) {
+      await migrateGroup(groupId, message.migrate_to_chat_id.toString());
+      return;
     }
-    if (!plan[index]) { await sendMessage(chatId, "❌ Invalid task number. Use /delete again."); return res.sendStatus(200); }
-    const task = plan[index];
-    await pool.query("DELETE FROM tasks WHERE id = $1", [task.id]);
-    plan.splice(index, 1);
-    await sendMessage(chatId, `✅ Deleted: ${task.task_time.slice(0,5)} — ${task.task_name}`);
-    return res.sendStatus(200);
-  }
+    const command = normalizeCommand((message.text || "").trim().split(/\s+/)[0]).toLowerCase();
+    if (command !== "/join" && command !== "/leave" && command !== "/leaderboard") return;
+    await addGroup(groupId, message.chat.title);
 
-  // /doing or doing — FIX: use subquery instead of ORDER BY + LIMIT in UPDATE
-  if (lowerText.startsWith("/doing") || lowerText.startsWith("doing")) {
-    const response = lowerText.startsWith("/doing")
-      ? text.slice(6).trim()
-      : text.slice(5).trim();
+    if (command === "/leaderboard") {
+      await sendMessage(groupId, await buildLeaderboard(groupId) || t(DEFAULT_LOCALE, "group.nobody"));
+      return;
+    }
 
-    if (!response) {
-      await sendMessage(chatId, "❓ Tell me what you're doing.\nExample: doing dog walk");
-      return res.sendStatus(200);
+    // A private chat's id is the user's Telegram id
+    const member = await pool.query("SELECT id, share_level FROM users WHERE chat_id = $1", [message.from.id.toString()]);
+    const name = message.from.first_name;
+    if (member.rowCount === 0) {
+      await sendMessage(groupId, t(DEFAULT_LOCALE, "group.startPrivate", { name }));
+      return;
+    }
+    const userId = member.rows[0].id;
+    if (command === "/leave") {
+      await sendMessage(groupId, t(DEFAULT_LOCALE, await leaveGroup(groupId, userId) ? "group.left" : "group.notSharing", { name }));
+      return;
     }
+    await saveDisplayName(userId, message.from);
+    const level = member.rows[0].share_level === "tasks" ? "tasks" : "counts";
+    await sendMessage(groupId, await joinGroup(groupId, userId)
+      ? t(DEFAULT_LOCALE, "group.joined", { name, level: t(DEFAULT_LOCALE, `share.${level}`) })
+      : t(DEFAULT_LOCALE, "group.alreadyJoined", { name }));
+    return;
+  }
 
+  // .ics calendar file → preview of the active date's events, saved after "confirm"
+  if (message && message.document) {
+    const chatId = message.chat.id.toString();
+    const doc = message.document;
     const user = await getOrCreateUser(chatId);
-    const userDate = getUserDate(user.timezone_offset);
-    const nowTime = getUserTime(user.timezone_offset);
-
-    // FIX: PostgreSQL doesn't support ORDER BY + LIMIT directly in UPDATE.
-    // Use a subquery to find the target row first.
-    const result = await pool.query(
-      `UPDATE tasks
-       SET user_response = $1, responded_at = NOW()
-       WHERE id = (
-         SELECT id FROM tasks
-         WHERE user_id = $2
-           AND task_date = $3
-           AND task_time <= $4
-           AND user_response IS NULL
-         ORDER BY task_time DESC
-         LIMIT 1
-       )
-       RETURNING id`,
-      [response, user.id, userDate, nowTime]
+    const lang = localeOf(user);
+    if (!/\.ics$/i.test(doc.file_name || "") && doc.mime_type !== "text/calendar") {
+      await sendMessage(chatId, t(lang, "import.notIcs"));
+      return;
+    }
+    if (doc.file_size > MAX_IMPORT_BYTES) {
+      await sendMessage(chatId, t(lang, "import.tooLarge"));
+      return;
+    }
+    const zone = userZone(user);
+    const { date, label } = activeDate(user);
+    let found;
+    try {
+      found = eventsOnDate(parseCalendar(await downloadFile(doc.file_id)), date, zone);
+    } catch (err) {
+      console.error("Calendar import error:", err);
+      await sendMessage(chatId, t(lang, "import.unreadable"));
+      return;
+    }
+    const existing = await getTasksForDate(user.id, date);
+    const isDuplicate = e => existing.some(task =>
+      task.task_time.slice(0, 5) === e.time && task.task_name.toLowerCase() === e.name.toLowerCase()
     );
-
-    await sendMessage(
-      chatId,
-      result.rowCount === 0
-        ? "⚠️ No matching task found for this time."
-        : "✍️ Noted."
+    const tasks = found.filter(e => !e.allDay && !isDuplicate(e));
+    const allDay = found.filter(e => e.allDay);
+    const allDayNote = allDay.length ? t(lang, "import.allDay", { names: allDay.map(e => e.name).join(", ") }) : "";
+    if (tasks.length === 0) {
+      await sendMessage(chatId, t(lang, "import.none", { day: formatDay(lang, label, date), allDay: allDayNote }));
+      return;
+    }
+    pendingTasks.set(chatId, {
+      tasks: tasks.map(e => ({ date, time: e.time, end: e.end, name: e.name })),
+      expiresAt: Date.now() + PENDING_TTL_MS
+    });
+    const events = tasks.map((e, i) =>
+      `${i + 1}. ${formatTime(lang, e.time)}${e.end ? `–${formatTime(lang, e.end)}` : ""} — ${e.name}`
     );
-    return res.sendStatus(200);
+    await sendMessage(chatId, t(lang, "import.found", {
+      count: tasks.length, day: formatDay(lang, label, date), events: events.join("\n"), allDay: allDayNote,
+    }));
+    return;
   }
 
-  // Ignore unknown slash commands
-  if (text.startsWith("/")) return res.sendStatus(200);
+  if (!message || !message.text) return;
 
-  // Task input (plain text lines like "07:00 Gym")
-  const tasks = parseTasks(text);
-  if (tasks.length === 0) {
-    await sendMessage(chatId, "❌ Format invalid.\nUse:\n07:00 Gym\n10:00 Study Go");
-    return res.sendStatus(200);
-  }
+  const chatId = message.chat.id.toString();
+  const rawText = message.text.trim();
+  const text = normalizeCommand(rawText);
+  const lowerText = text.toLowerCase();
   const user = await getOrCreateUser(chatId);
-  const { date: taskDate, label: dateLabel } = getActiveDate(user.timezone_offset);
-  for (const task of tasks) {
-    await pool.query(
-      `INSERT INTO tasks (user_id, task_date, task_time, task_name) VALUES ($1, $2, $3, $4)`,
-      [user.id, taskDate, task.time, task.name]
-    );
-  }
-  lastPlans.delete(chatId);
-  await sendMessage(chatId, `✅ Saved ${tasks.length} tasks for ${dateLabel} (${taskDate})`);
-  res.sendStatus(200);
-});
+  const lang = localeOf(user);
+  if (text.startsWith("/")) pendingSkips.delete(chatId);
 
-//--------------
-// CRON: Morning
-//--------------
-app.post("/cron/morning-start", async (req, res) => {
-  if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
-  try {
-    const users = await pool.query("SELECT id, chat_id, timezone_offset FROM users");
-    for (const row of users.rows) {
+  // /stuck
+  if (lowerText.startsWith("/stuck")) {
+    const problem = text.slice(6).trim();
+    if (!problem) {
+      await sendMessage(chatId, t(lang, "stuck.usage"));
+      return;
+    }
+    if (!(await checkStuckRateLimit(user.id, userZone(user)))) {
+      await sendMessage(chatId, t(lang, "stuck.limit"));
+      return;
+    }
+    await sendMessage(chatId,
+      await coachText(user, userZone(user), "stuck", { problem }, ctx => stuckHelp(problem, ctx))
+    );
+    await rememberStuck(user.id, problem);
+    return;
+  }
+
+  // /forget
+  if (lowerText === "/forget") {
+    await forgetUser(user.id, getUserDate(userZone(user)));
+    await sendMessage(chatId, t(lang, "forget.done"));
+    return;
+  }
+
+  // /usage
+  if (lowerText === "/usage") {
+    const today = getUserDate(userZone(user));
+    const limits = budgetLimits();
+    const { day, month } = await getUserUsage(user.id, today);
+    const byType = await getUsageByType(user.id, today);
+    const of = (used, limit, fmt) => limit === null ? fmt(used) : `${fmt(used)} / ${fmt(limit)}`;
+    const tokens = n => formatNumber(lang, n);
+    const usd = n => `$${n.toFixed(n < 1 ? 4 : 2)}`;
+
+    let reply = t(lang, "usage.title");
+    reply += `\n\n${t(lang, "usage.today", { calls: day.calls })}\n`;
+    reply += `${t(lang, "usage.tokens", { value: of(day.tokens, limits.dailyTokens, tokens) })}\n`;
+    reply += `${t(lang, "usage.cost", { value: of(day.cost, limits.dailyUsd, usd) })}\n\n`;
+    reply += `${t(lang, "usage.month", { calls: month.calls })}\n`;
+    reply += `${t(lang, "usage.tokens", { value: of(month.tokens, limits.monthlyTokens, tokens) })}\n`;
+    reply += `${t(lang, "usage.cost", { value: of(month.cost, limits.monthlyUsd, usd) })}\n`;
+    if (byType.length > 0) {
+      reply += `\n${t(lang, "usage.byType")}\n` + byType.map(row =>
+        t(lang, "usage.typeLine", { type: row.type, calls: row.calls, tokens: tokens(row.tokens) })
+      ).join("\n") + "\n";
+    }
+    // null, or global | daily | monthly
+    const blocked = await budgetBlock(user.id, today);
+    if (blocked) reply += `\n${t(lang, `usage.blocked.${blocked}`)}`;
+    await sendMessage(chatId, reply);
+    return;
+  }
+
+  // /language [en | hi]
+  if (/^\/language(\s|$)/.test(lowerText)) {
+    const value = text.slice(9).trim();
+    const options = Object.entries(LOCALES).map(([code, { name }]) => `/language ${code} — ${name}`).join("\n");
+    if (!value) {
+      await sendMessage(chatId, t(lang, "language.current", { name: LOCALES[lang].name, options }));
+      return;
+    }
+    const locale = parseLocale(value);
+    if (!locale) { await sendMessage(chatId, t(lang, "language.unknown", { options })); return; }
+    await pool.query("UPDATE users SET language = $1 WHERE id = $2", [locale, user.id]);
+    await sendMessage(chatId, t(locale, "language.set", { name: LOCALES[locale].name }));
+    return;
+  }
+
+  // /coach [persona <name> | strictness <level> | language <lang> | emoji on|off | preview]
+  if (lowerText.startsWith("/coach")) {
+    const [sub = "", ...rest] = text.slice(6).trim().split(/\s+/);
+    const value = rest.join(" ").trim().toLowerCase();
+    const coach = coachFromUser(user);
+    const usage = t(lang, "coach.usage");
+
+    // "/coach mentor" works as a shortcut for "/coach persona mentor"
+    const persona = sub.toLowerCase() === "persona" ? value : sub.toLowerCase();
+    if (PERSONAS[persona]) {
+      await pool.query("UPDATE users SET coach_persona = $1 WHERE id = $2", [persona, user.id]);
+      await sendMessage(chatId, t(lang, "coach.persona", { label: t(lang, `persona.${persona}`) }) +
+        (persona === "silent" ? t(lang, "coach.silent") : ""));
+      return;
+    }
+
+    if (sub.toLowerCase() === "strictness") {
+      const level = Object.keys(STRICTNESS).find(k => k === value || STRICTNESS[k].name === value);
+      if (!level) { await sendMessage(chatId, t(lang, "coach.strictnessUsage")); return; }
+      await pool.query("UPDATE users SET coach_strictness = $1 WHERE id = $2", [Number(level), user.id]);
+      await sendMessage(chatId, t(lang, "coach.strictness", { name: t(lang, `strictness.${STRICTNESS[level].name}`) }));
+      return;
+    }
+
+    // Also the language of every other message, when there's a catalog for it (see /language)
+    if (sub.toLowerCase() === "language") {
+      const language = value && parseLanguage(value);
+      if (!language) { await sendMessage(chatId, t(lang, "coach.languageUnknown")); return; }
+      await pool.query("UPDATE users SET language = $1 WHERE id = $2", [language, user.id]);
+      const locale = localeOf({ language });
+      await sendMessage(chatId, t(locale, "coach.language", { name: languageName(language, locale) }) +
+        (locale === DEFAULT_LOCALE && language.split("-")[0] !== DEFAULT_LOCALE
+          ? t(locale, "coach.languageFallback", { name: LOCALES[DEFAULT_LOCALE].name })
+          : ""));
+      return;
+    }
+
+    if (sub.toLowerCase() === "emoji") {
+      if (value !== "on" && value !== "off") { await sendMessage(chatId, t(lang, "coach.emojiUsage")); return; }
+      await pool.query("UPDATE users SET coach_emoji = $1 WHERE id = $2", [value === "on", user.id]);
+      await sendMessage(chatId, t(lang, value === "on" ? "coach.emojiOn" : "coach.emojiOff"));
+      return;
+    }
+
+    if (sub.toLowerCase() === "preview") {
+      const sample = { taskName: t(lang, "coach.sampleTask"), userResponse: t(lang, "coach.sampleReply") };
+      let reply = t(lang, "coach.preview", { task: sample.taskName, reply: sample.userResponse });
+      for (const name of Object.keys(PERSONAS)) {
+        reply += `\n\n${t(lang, `persona.${name}`)}\n${fallbackText({ ...coach, persona: name }, "scold", sample)}`;
+      }
+      reply += `\n\n${t(lang, "coach.previewNote")}`;
+      await sendMessage(chatId, reply);
+      return;
+    }
+
+    if (sub) { await sendMessage(chatId, t(lang, "common.use", { usage })); return; }
+    await sendMessage(chatId, t(lang, "coach.current", { coach: describeCoach(coach), usage }));
+    return;
+  }
+
+  // /buddy [invite | accept <code> | remove <n> | share counts|tasks]
+  if (lowerText.startsWith("/buddy")) {
+    const [sub = "", value = ""] = text.slice(6).trim().split(/\s+/);
+    await saveDisplayName(user.id, message.from);
+    const usage = t(lang, "buddy.usage");
+
+    if (sub.toLowerCase() === "invite") {
+      const { code, hours } = await createInvite(user.id);
+      await sendMessage(chatId, t(lang, "buddy.invite", { code, hours }));
+      return;
+    }
+
+    if (sub.toLowerCase() === "accept") {
+      if (!value) { await sendMessage(chatId, t(lang, "buddy.acceptUsage")); return; }
+      const { inviterId, error } = await acceptInvite(user.id, value, lang);
+      if (error) { await sendMessage(chatId, error); return; }
+      const inviter = await pool.query("SELECT chat_id, language FROM users WHERE id = $1", [inviterId]);
+      const inviterLang = localeOf(inviter.rows[0]);
+      const me = await sharerOf(user.id);
+      const them = await sharerOf(inviterId);
+      await sendMessage(chatId, t(lang, "buddy.paired", { name: sharerName(them, lang) }));
+      await sendMessage(inviter.rows[0].chat_id, t(inviterLang, "buddy.accepted", { name: sharerName(me, inviterLang) }));
+      return;
+    }
+
+    const buddies = await getBuddies(user.id);
+
+    if (sub.toLowerCase() === "remove") {
+      const buddy = buddies[parseInt(value, 10) - 1];
+      if (!buddy) { await sendMessage(chatId, t(lang, "buddy.removeUsage")); return; }
+      await removeBuddy(user.id, buddy.id);
+      await sendMessage(chatId, t(lang, "buddy.removed", { name: buddy.display_name || t(lang, "buddy.partner") }));
+      return;
+    }
+
+    if (sub.toLowerCase() === "share") {
+      const level = value.toLowerCase();
+      if (!SHARE_LEVELS.includes(level)) { await sendMessage(chatId, t(lang, "buddy.shareUsage")); return; }
+      await pool.query("UPDATE users SET share_level = $1 WHERE id = $2", [level, user.id]);
+      await sendMessage(chatId, t(lang, "buddy.share", { level: t(lang, `share.${level}`) }));
+      return;
+    }
+
+    if (sub) { await sendMessage(chatId, t(lang, "common.use", { usage })); return; }
+    const sharer = await sharerOf(user.id);
+    const list = buddies.length
+      ? buddies.map((b, i) => `${i + 1}. ${b.display_name || t(lang, "buddy.partner")}`).join("\n")
+      : t(lang, "buddy.none");
+    await sendMessage(chatId, t(lang, "buddy.list", {
+      buddies: list, level: t(lang, `share.${sharer.showTasks ? "tasks" : "counts"}`), usage,
+    }));
+    return;
+  }
+
+  // /goals, /goal add "<title>" [#tag] [by YYYY-MM-DD] [target 40h | target 30 tasks] | done <n> | remove <n>
+  if (/^\/goals?(\s|$)/.test(lowerText)) {
+    const args = text.replace(/^\/goals?/i, "").trim();
+    const sub = args.split(/\s+/)[0].toLowerCase();
+    const today = getUserDate(userZone(user));
+    const usage = t(lang, "goal.usage");
+
+    if (sub === "add") {
+      const goal = parseGoal(args.slice(3));
+      if (!goal || (goal.deadline && goal.deadline < today)) {
+        await sendMessage(chatId, t(lang, "goal.invalid", { usage }));
+        return;
+      }
+      const { error } = await addGoal(user.id, goal, lang);
+      if (error) { await sendMessage(chatId, error); return; }
+      await sendMessage(chatId,
+        t(lang, "goal.added", { title: goal.title, tag: goal.tag }) + (goal.targetHours ? t(lang, "goal.addedHours") : "")
+      );
+      return;
+    }
+
+    const goals = await getGoals(user.id, today);
+
+    if (sub === "done" || sub === "remove") {
+      const goal = goals[parseInt(args.split(/\s+/)[1], 10) - 1];
+      if (!goal) { await sendMessage(chatId, t(lang, "goal.numberUsage", { sub })); return; }
+      if (sub === "done") {
+        await completeGoal(goal.id);
+        await sendMessage(chatId, t(lang, "goal.reached", { title: goal.title }));
+      } else {
+        await removeGoal(goal.id);
+        await sendMessage(chatId, t(lang, "goal.removed", { title: goal.title }));
+      }
+      return;
+    }
+
+    if (sub) { await sendMessage(chatId, t(lang, "common.use", { usage: `/goals\n${usage}` })); return; }
+    if (goals.length === 0) {
+      await sendMessage(chatId, t(lang, "goal.none", { usage }));
+      return;
+    }
+    await sendMessage(chatId, t(lang, "goal.list", {
+      goals: goals.map((g, i) => describeGoal(g, i, today, lang)).join("\n\n"), usage,
+    }));
+    return;
+  }
+
+  // /settings [morning|plan|summary <HH:MM> | lead <min> | cutoff <hour> | quiet <HH:MM-HH:MM>|off |
+  //            rest <days>|off | threshold <percent> | reset]
+  if (lowerText.startsWith("/settings")) {
+    const [sub = "", ...rest] = text.slice(9).trim().split(/\s+/);
+    const value = rest.join(" ").trim().toLowerCase();
+    const range = THRESHOLD_RANGE.join("–");
+    const usage = t(lang, "settings.usage", { ...DEFAULT_SETTINGS, maxLead: MAX_LEAD_MINUTES, range });
+    const TIME_SETTINGS = { morning: "morning_time", plan: "plan_time", summary: "summary_time" };
+    const key = sub.toLowerCase();
+
+    if (TIME_SETTINGS[key]) {
+      const span = parseTimeSpan(value);
+      if (!span || span.end) { await sendMessage(chatId, t(lang, "settings.timeUsage", { key })); return; }
+      await pool.query(`UPDATE users SET ${TIME_SETTINGS[key]} = $1 WHERE id = $2`, [span.time, user.id]);
+      await sendMessage(chatId, t(lang, `settings.${key}Set`, { time: span.time }));
+      return;
+    }
+
+    if (key === "lead") {
+      const minutes = Number(value);
+      if (!/^\d+$/.test(value) || minutes > MAX_LEAD_MINUTES) {
+        await sendMessage(chatId, t(lang, "settings.leadUsage", { max: MAX_LEAD_MINUTES }));
+        return;
+      }
+      await pool.query("UPDATE users SET reminder_lead = $1 WHERE id = $2", [minutes, user.id]);
+      await sendMessage(chatId, minutes ? t(lang, "settings.leadSet", { minutes }) : t(lang, "settings.leadZero"));
+      return;
+    }
+
+    if (key === "cutoff") {
+      const hour = Number(value);
+      if (!/^\d{1,2}$/.test(value) || hour < 1 || hour > 24) {
+        await sendMessage(chatId, t(lang, "settings.cutoffUsage"));
+        return;
+      }
+      await pool.query("UPDATE users SET plan_cutoff_hour = $1 WHERE id = $2", [hour, user.id]);
+      await sendMessage(chatId, hour === 24
+        ? t(lang, "settings.cutoffNever")
+        : t(lang, "settings.cutoffSet", { time: `${String(hour).padStart(2, "0")}:00` }));
+      return;
+    }
+
+    if (key === "quiet") {
+      if (value === "off") {
+        await pool.query("UPDATE users SET quiet_start = NULL, quiet_end = NULL WHERE id = $1", [user.id]);
+        await sendMessage(chatId, t(lang, "settings.quietOff"));
+        return;
+      }
+      const match = value.match(/^(\d{2}:\d{2})\s*-\s*(\d{2}:\d{2})$/);
+      const start = match && parseTimeSpan(match[1]);
+      const end = match && parseTimeSpan(match[2]);
+      if (!start || !end || start.time === end.time) {
+        await sendMessage(chatId, t(lang, "settings.quietUsage"));
+        return;
+      }
+      await pool.query("UPDATE users SET quiet_start = $1, quiet_end = $2 WHERE id = $3", [start.time, end.time, user.id]);
+      await sendMessage(chatId, t(lang, "settings.quietSet", { start: start.time, end: end.time }));
+      return;
+    }
+
+    if (key === "rest") {
+      const days = value === "off" ? [] : parseWeekdays(value);
+      if (!days || days.length > 3) {
+        await sendMessage(chatId, t(lang, "settings.restUsage"));
+        return;
+      }
+      await pool.query("UPDATE users SET rest_days = $1 WHERE id = $2", [days.length ? days : null, user.id]);
+      await sendMessage(chatId, days.length
+        ? t(lang, "settings.restSet", { days: formatWeekdays(days, lang) })
+        : t(lang, "settings.restOff"));
+      return;
+    }
+
+    if (key === "threshold") {
+      const percent = Number(value.replace(/%$/, ""));
+      if (!/^\d{1,3}%?$/.test(value) || percent < THRESHOLD_RANGE[0] || percent > THRESHOLD_RANGE[1]) {
+        await sendMessage(chatId, t(lang, "settings.thresholdUsage", { range }));
+        return;
+      }
+      await pool.query("UPDATE users SET success_threshold = $1 WHERE id = $2", [percent, user.id]);
+      await sendMessage(chatId, t(lang, "settings.thresholdSet", {
+        percent, high: PRIORITIES.high.icon, highWeight: PRIORITIES.high.weight,
+        low: PRIORITIES.low.icon, lowWeight: PRIORITIES.low.weight,
+      }));
+      return;
+    }
+
+    if (key === "reset") {
+      await pool.query(
+        `UPDATE users SET morning_time = NULL, plan_time = NULL, summary_time = NULL, reminder_lead = NULL,
+           plan_cutoff_hour = NULL, quiet_start = NULL, quiet_end = NULL, rest_days = NULL,
+           success_threshold = NULL WHERE id = $1`,
+        [user.id]
+      );
+      await sendMessage(chatId, t(lang, "settings.reset", { settings: describeSettings(DEFAULT_SETTINGS, lang) }));
+      return;
+    }
+
+    if (sub) { await sendMessage(chatId, t(lang, "common.use", { usage })); return; }
+    await sendMessage(chatId, t(lang, "settings.current", { settings: describeSettings(settingsFromUser(user), lang), usage }));
+    return;
+  }
+
+  // /timezone
+  if (lowerText.startsWith("/timezone")) {
+    const zoneStr = text.slice(9).trim();
+
+    // Numeric offsets are still accepted, but they don't follow DST
+    if (/^[+-]?\d+$/.test(zoneStr)) {
+      const offset = parseInt(zoneStr, 10);
+      if (offset >= -720 && offset <= 840) {
+        await pool.query(
+          `UPDATE users SET timezone_offset = $1, timezone = NULL WHERE id = $2`, [offset, user.id]
+        );
+        await sendMessage(chatId,
+          t(lang, "timezone.set", { zone: formatZone(offset), time: formatTime(lang, getUserTime(offset)) }) +
+          t(lang, "timezone.offsetNote")
+        );
+        return;
+      }
+    }
+
+    const zone = zoneStr && normalizeTimeZone(zoneStr);
+    if (!zone) {
+      await sendMessage(chatId, t(lang, "timezone.invalid"));
+      return;
+    }
+    await pool.query(`UPDATE users SET timezone = $1 WHERE id = $2`, [zone, user.id]);
+    await sendMessage(chatId, t(lang, "timezone.set", { zone: formatZone(zone), time: formatTime(lang, getUserTime(zone)) }));
+    return;
+  }
+
+  // /plan, /plan today, /plan tomorrow
+  if (lowerText === "/plan" || lowerText === "/plan today" || lowerText === "/plan tomorrow") {
+    let taskDate, label;
+    if (lowerText.includes("today")) {
+      taskDate = getUserDate(userZone(user));
+      label = "today";
+    } else if (lowerText.includes("tomorrow")) {
+      taskDate = getUserTomorrowDate(userZone(user));
+      label = "tomorrow";
+    } else {
+      ({ date: taskDate, label } = activeDate(user));
+    }
+    const tasks = await getTasksForDate(user.id, taskDate);
+    if (tasks.length === 0) {
+      await sendMessage(chatId, t(lang, "plan.empty", { day: t(lang, `day.${label}`) }));
+      return;
+    }
+    lastPlans.set(chatId, { date: taskDate, tasks });
+    let reply = `${t(lang, `plan.title.${label}`, { date: formatDate(lang, taskDate) })}\n\n`;
+    tasks.forEach((task, i) => { reply += `${formatTaskLine(task, i, lang)}\n`; });
+    const blockMinutes = tasks
+      .filter(task => task.end_time)
+      .reduce((sum, task) => sum + minutesOfDay(task.end_time) - minutesOfDay(task.task_time), 0);
+    if (blockMinutes > 0) reply += `\n${t(lang, "plan.blocks", { hours: formatNumber(lang, Number((blockMinutes / 60).toFixed(1))) })}`;
+    if (tasks.some(task => task.priority !== "normal")) {
+      reply += `\n${t(lang, "priority.legend", {
+        high: PRIORITIES.high.icon, highWeight: PRIORITIES.high.weight,
+        low: PRIORITIES.low.icon, lowWeight: PRIORITIES.low.weight,
+      })}`;
+    }
+    reply += overlapWarning(tasks, lang);
+    await sendMessage(chatId, reply);
+    return;
+  }
+
+  // /edit
+  if (lowerText === "/edit") {
+    const { date: taskDate } = activeDate(user);
+    let cached = lastPlans.get(chatId);
+    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
+    if (!plan || plan.length === 0) {
+      plan = await getTasksForDate(user.id, taskDate);
+      if (plan.length === 0) {
+        await sendMessage(chatId, t(lang, "edit.noTasks"));
+        return;
+      }
+      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+    }
+    await sendMessage(chatId, t(lang, "edit.help"));
+    return;
+  }
+
+  // edit <number> <time | start-end> <task>
+  if (lowerText.startsWith("edit ")) {
+    const parts = text.split(" ");
+    if (parts.length < 4) { await sendMessage(chatId, t(lang, "edit.invalid")); return; }
+    const index = parseInt(parts[1], 10) - 1;
+    const span = parseTimeSpan(parts[2]);
+    const name = parts.slice(3).join(" ");
+    if (!span) {
+      await sendMessage(chatId, t(lang, "edit.invalidTime"));
+      return;
+    }
+    const { date: taskDate } = activeDate(user);
+    let cached = lastPlans.get(chatId);
+    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
+    if (!plan) {
+      plan = await getTasksForDate(user.id, taskDate);
+      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+    }
+    if (!plan[index]) { await sendMessage(chatId, t(lang, "task.invalidNumber")); return; }
+    const task = plan[index];
+    // Without a #tag or !priority the task keeps the goal and priority it had
+    const { name: untagged, goalId, tag } = await resolveGoalTag(user.id, name);
+    const { name: taskName, priority } = takePriority(untagged);
+    await pool.query(
+      `UPDATE tasks SET task_time = $1, end_time = $2, task_name = $3, checkin_sent = false,
+         goal_id = COALESCE($5, goal_id), priority = COALESCE($6, priority)
+       WHERE id = $4 AND closed_at IS NULL`,
+      [span.time, span.end, taskName, task.id, goalId, priority]
+    );
+    task.task_time = span.time;
+    task.end_time = span.end;
+    task.task_name = taskName;
+    if (goalId) task.goal_tag = tag;
+    if (priority) task.priority = priority;
+    await sendMessage(chatId, t(lang, "edit.done", { task: `${formatTaskTime(task, lang)} — ${taskName}` }) + overlapWarning(plan, lang));
+    return;
+  }
+
+  // /delete
+  if (lowerText === "/delete") {
+    const { date: taskDate } = activeDate(user);
+    let cached = lastPlans.get(chatId);
+    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
+    if (!plan || plan.length === 0) {
+      plan = await getTasksForDate(user.id, taskDate);
+      if (plan.length === 0) { await sendMessage(chatId, t(lang, "delete.noTasks")); return; }
+      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+    }
+    const list = plan.map((task, i) => `${i + 1}. ${formatTaskTime(task, lang)} — ${task.task_name}`).join("\n");
+    await sendMessage(chatId, t(lang, "delete.select", { tasks: list }));
+    return;
+  }
+
+  // delete <number>
+  if (lowerText.startsWith("delete ")) {
+    const parts = text.split(" ");
+    const index = parseInt(parts[1], 10) - 1;
+    if (isNaN(index)) { await sendMessage(chatId, t(lang, "delete.invalid")); return; }
+    const { date: taskDate } = activeDate(user);
+    let cached = lastPlans.get(chatId);
+    let plan = (cached && cached.date === taskDate) ? cached.tasks : null;
+    if (!plan) {
+      plan = await getTasksForDate(user.id, taskDate);
+      lastPlans.set(chatId, { date: taskDate, tasks: plan });
+    }
+    if (!plan[index]) { await sendMessage(chatId, t(lang, "delete.invalidNumber")); return; }
+    const task = plan[index];
+    await pool.query("DELETE FROM tasks WHERE id = $1 AND closed_at IS NULL", [task.id]);
+    // Deleting one occurrence must not let the routine re-create it
+    if (task.routine_id) await skipRoutineOccurrence(task.routine_id, taskDate);
+    plan.splice(index, 1);
+    await sendMessage(chatId, t(lang, "delete.done", { task: `${formatTaskTime(task, lang)} — ${task.task_name}` }));
+    return;
+  }
+
+  // /done <n>, /partial <n>, /skip <n> <reason> — numbers refer to today's /plan
+  const [command, ...args] = text.split(/\s+/);
+  const outcome = { "/done": "done", "/partial": "partial", "/skip": "skipped" }[command.toLowerCase()];
+  if (outcome) {
+    const index = parseInt(args[0], 10) - 1;
+    const reason = args.slice(1).join(" ");
+    if (isNaN(index) || (outcome === "skipped" && !reason)) {
+      await sendMessage(chatId, outcome === "skipped"
+        ? t(lang, "outcome.skipUsage")
+        : t(lang, "outcome.usage", { command: command.toLowerCase() })
+      );
+      return;
+    }
+    const plan = await getPlanForDate(chatId, user.id, getUserDate(userZone(user)));
+    if (!plan[index]) { await sendMessage(chatId, t(lang, "task.invalidToday")); return; }
+    const task = await setTaskStatus(plan[index].id, outcome, outcome === "skipped" ? reason : null);
+    if (!task) { await sendMessage(chatId, t(lang, "task.closed")); return; }
+    plan[index].status = outcome;
+    plan[index].skip_reason = outcome === "skipped" ? reason : null;
+    await sendMessage(chatId,
+      t(lang, "outcome.marked", {
+        icon: STATUS_ICONS[outcome], status: t(lang, `status.${outcome}`), task: `${formatTaskTime(task, lang)} — ${task.task_name}`,
+      }) +
+      (outcome === "skipped" ? t(lang, "outcome.reason", { reason }) : "")
+    );
+    return;
+  }
+
+  // /snooze <n> [minutes] — number from today's /plan
+  if (command.toLowerCase() === "/snooze") {
+    const index = parseInt(args[0], 10) - 1;
+    const minutes = args[1] === undefined ? SNOOZE_MINUTES : parseInt(args[1], 10);
+    if (isNaN(index) || isNaN(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+      await sendMessage(chatId, t(lang, "snooze.usage", { max: MAX_SNOOZE_MINUTES, minutes: SNOOZE_MINUTES }));
+      return;
+    }
+    const plan = await getPlanForDate(chatId, user.id, getUserDate(userZone(user)));
+    if (!plan[index]) { await sendMessage(chatId, t(lang, "task.invalidToday")); return; }
+    const { task, error } = await snoozeTask(user, plan[index].id, minutes);
+    if (error) { await sendMessage(chatId, error); return; }
+    lastPlans.delete(chatId);
+    await sendMessage(chatId, t(lang, "snooze.done", { task: `${formatTaskTime(task, lang)} — ${task.task_name}` }));
+    return;
+  }
+
+  // /carry <n> [n ...] | all — unfinished tasks from today's /plan into tomorrow
+  if (command.toLowerCase() === "/carry") {
+    const today = getUserDate(userZone(user));
+    const plan = await getPlanForDate(chatId, user.id, today);
+    const all = args[0]?.toLowerCase() === "all";
+    const picked = all
+      ? plan.filter(task => task.status === "pending" || task.status === "missed")
+      : args.map(a => plan[parseInt(a, 10) - 1]);
+    if (picked.length === 0 || picked.some(task => !task)) {
+      await sendMessage(chatId, all ? t(lang, "carry.nothing") : t(lang, "carry.usage"));
+      return;
+    }
+    const lines = [];
+    for (const planned of picked) {
+      const { task, date, error } = await carryTask(user.id, planned.id, lang);
+      lines.push(error || `↪️ ${formatTaskTime(task, lang)} — ${task.task_name} → ${formatDate(lang, date)}`);
+    }
+    lastPlans.delete(chatId);
+    await sendMessage(chatId, lines.join("\n"));
+    return;
+  }
+
+  // /focus [minutes] [x<cycles>] [break <minutes>] [task number | name] | stop
+  if (/^\/focus(\s|$)/.test(lowerText)) {
+    const args = text.slice(6).trim().split(/\s+/).filter(Boolean);
+    const zone = userZone(user);
+    const usage = t(lang, "focus.usage");
+
+    if (args[0]?.toLowerCase() === "stop") {
+      const session = await stopFocus(user.id);
+      if (!session) { await sendMessage(chatId, t(lang, "focus.none")); return; }
+      lastPlans.delete(chatId);
+      await sendMessage(chatId,
+        t(lang, "focus.stopped", { minutes: session.cycles_done * session.focus_minutes }) +
+        (session.credit
+          ? t(lang, "focus.stoppedCredit", {
+            icon: STATUS_ICONS[session.credit], label: session.label, status: t(lang, `status.${session.credit}`),
+          })
+          : "")
+      );
+      return;
+    }
+
+    if (args.length === 0) {
+      const session = await activeFocus(user.id);
+      await sendMessage(chatId, session
+        ? t(lang, "focus.status", { session: describeFocus(session, lang) })
+        : t(lang, "focus.help", { usage }));
+      return;
+    }
+
+    const opts = { ...FOCUS_DEFAULTS };
+    let i = 0;
+    if (/^\d+$/.test(args[0])) { opts.minutes = Number(args[0]); i = 1; }
+    while (i < args.length) {
+      const arg = args[i].toLowerCase();
+      if (/^x\d+$/.test(arg)) { opts.cycles = Number(arg.slice(1)); i++; }
+      else if (arg === "break" && /^\d+$/.test(args[i + 1] || "")) { opts.breakMinutes = Number(args[i + 1]); i += 2; }
+      else break;
+    }
+    const outOfRange = Object.keys(FOCUS_LIMITS)
+      .some(k => opts[k] < FOCUS_LIMITS[k][0] || opts[k] > FOCUS_LIMITS[k][1]);
+    if (outOfRange) {
+      await sendMessage(chatId, t(lang, "focus.limits", {
+        minutes: FOCUS_LIMITS.minutes.join("–"), breaks: FOCUS_LIMITS.breakMinutes.join("–"), cycles: FOCUS_LIMITS.cycles[1], usage,
+      }));
+      return;
+    }
+
+    const ref = args.slice(i).join(" ");
+    const today = getUserDate(zone);
+    const plan = await getPlanForDate(chatId, user.id, today);
+    let task;
+    if (/^\d+$/.test(ref)) {
+      task = plan[Number(ref) - 1];
+      if (!task) { await sendMessage(chatId, t(lang, "task.invalidToday")); return; }
+    } else if (ref) {
+      task = plan.find(planned => planned.task_name.toLowerCase() === ref.toLowerCase());
+    } else {
+      task = currentTask(plan, getUserMinutes(zone));
+    }
+    const { session, error } = await startFocus(user.id, {
+      date: today, taskId: task?.id ?? null, label: task?.task_name ?? (ref || null), ...opts
+    }, lang);
+    if (error) { await sendMessage(chatId, error); return; }
+    let reply = t(lang, "focus.started", {
+      minutes: opts.minutes,
+      what: session.label ? t(lang, "focus.on", { label: session.label }) : "",
+      cycles: opts.cycles > 1 ? t(lang, "focus.cycles", { cycles: opts.cycles, breakMinutes: opts.breakMinutes }) : "",
+    });
+    if (task) reply += t(lang, "focus.linked", { task: task.task_name });
+    await sendMessage(chatId, reply);
+    return;
+  }
+
+  // /stats [week|month]
+  if (lowerText === "/stats" || lowerText === "/stats week" || lowerText === "/stats month") {
+    const month = lowerText.endsWith("month");
+    await sendMessage(chatId, await buildStatsReport(user, month ? 30 : 7, month ? "stats.month" : "stats.week"));
+    return;
+  }
+
+  // /export csv|json|ics|link
+  if (lowerText.startsWith("/export")) {
+    const format = lowerText.slice(7).trim();
+
+    if (format === "link") {
+      const token = crypto.randomBytes(24).toString("hex");
+      await pool.query(`UPDATE users SET export_token_hash = $1 WHERE id = $2`, [hashExportToken(token), user.id]);
+      const base = `${process.env.PUBLIC_URL || ""}/export`;
+      await sendMessage(chatId, t(lang, "export.link", { url: `${base}/ics?token=${token}`, token }));
+      return;
+    }
+
+    if (!EXPORT_FORMATS[format]) {
+      await sendMessage(chatId, t(lang, "export.usage"));
+      return;
+    }
+    const data = await getExportData(user.id);
+    if (data.tasks.length === 0) {
+      await sendMessage(chatId, t(lang, "export.empty"));
+      return;
+    }
+    const { mimeType, extension } = EXPORT_FORMATS[format];
+    const sent = await sendDocument(
+      chatId,
+      `discipline-${getUserDate(userZone(user))}.${extension}`,
+      buildExport(format, data, userZone(user)),
+      mimeType,
+      t(lang, "export.caption", { count: data.tasks.length })
+    );
+    if (!sent.ok && !sent.blocked) {
+      await sendMessage(chatId, t(lang, "export.failed"));
+    }
+    return;
+  }
+
+  // /history [YYYY-MM-DD | week] — defaults to yesterday
+  if (lowerText.startsWith("/history")) {
+    const arg = lowerText.slice(8).trim();
+    const zone = userZone(user);
+    const today = getUserDate(zone);
+
+    if (arg === "week") {
+      const days = await pool.query(
+        `SELECT task_date, ${DAY_COUNTS_SQL},
+                ROUND(AVG(EXTRACT(EPOCH FROM (responded_at - reminded_at))) / 60) AS avg_reply_min
+         FROM tasks WHERE user_id = $1 AND task_date BETWEEN $2 AND $3
+         GROUP BY task_date ORDER BY task_date ASC`,
+        [user.id, getDatePlusDays(today, -7), getDatePlusDays(today, -1)]
+      );
+      if (days.rows.length === 0) {
+        await sendMessage(chatId, t(lang, "history.weekEmpty"));
+        return;
+      }
+      let reply = `${t(lang, "history.week")}\n\n`;
+      for (const day of days.rows) {
+        reply += `${isSuccessfulCounts(day, settingsFromUser(user).threshold) ? "✅" : "❌"} ${formatDate(lang, day.task_date)} — ${countsText(day, lang)}`;
+        if (day.avg_reply_min !== null) reply += ` · ${t(lang, "history.replies", { minutes: day.avg_reply_min })}`;
+        reply += "\n";
+      }
+      await sendMessage(chatId, reply);
+      return;
+    }
+
+    const date = arg || getDatePlusDays(today, -1);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date > today) {
+      await sendMessage(chatId, t(lang, "history.usage"));
+      return;
+    }
+    const result = await pool.query(
+      `SELECT task_time, task_name, status, skip_reason, priority, user_response, verdict, reminded_at,
+              EXTRACT(EPOCH FROM (responded_at - reminded_at))::int AS latency_sec
+       FROM tasks WHERE user_id = $1 AND task_date = $2 ORDER BY task_time ASC`,
+      [user.id, date]
+    );
+    if (result.rows.length === 0) {
+      await sendMessage(chatId, t(lang, "history.empty", { date: formatDate(lang, date) }));
+      return;
+    }
+    let reply = `${t(lang, "history.title", { date: formatDate(lang, date) })}\n\n`;
+    result.rows.forEach((task, i) => {
+      reply += `${formatTaskLine(task, i, lang)}\n`;
+      const details = [];
+      if (task.user_response) {
+        details.push(`💬 "${task.user_response}"${task.verdict ? ` (${t(lang, `verdict.${task.verdict}`)})` : ""}`);
+      }
+      if (task.reminded_at) details.push(`⏰ ${formatTime(lang, getLocalParts(zone, task.reminded_at.getTime()).time)}`);
+      if (task.latency_sec !== null) details.push(t(lang, "history.replied", { minutes: Math.max(0, Math.round(task.latency_sec / 60)) }));
+      if (details.length) reply += `   ${details.join(" · ")}\n`;
+    });
+    await sendMessage(chatId, reply);
+    return;
+  }
+
+  // /routine add|list|remove
+  if (lowerText.startsWith("/routine")) {
+    const args = text.slice(8).trim();
+    const sub = args.split(/\s+/)[0].toLowerCase();
+
+    if (sub === "add") {
+      const routine = parseRoutine(args.slice(3));
+      if (!routine) {
+        await sendMessage(chatId, t(lang, "routine.invalid"));
+        return;
+      }
+      const { date: startDate } = activeDate(user);
+      const { name: untagged, goalId } = await resolveGoalTag(user.id, routine.name);
+      const { name, priority } = takePriority(untagged);
+      Object.assign(routine, { name, goalId, priority });
+      await addRoutine(user.id, routine, startDate);
+      lastPlans.delete(chatId);
+      const time = formatTaskTime({ task_time: routine.time, end_time: routine.end }, lang);
+      await sendMessage(chatId, t(lang, "routine.added", {
+        routine: `${time} — ${routine.name} (${describeRoutine(routine, lang)})`, date: formatDate(lang, startDate),
+      }));
+      return;
+    }
+
+    if (sub === "list" || sub === "") {
+      const routines = await getRoutines(user.id);
+      if (routines.length === 0) {
+        await sendMessage(chatId, t(lang, "routine.none"));
+        return;
+      }
+      const list = routines
+        .map((r, i) => `${i + 1}. ${formatTaskTime(r, lang)} — ${r.task_name} (${describeRoutine(r, lang)})`)
+        .join("\n");
+      await sendMessage(chatId, t(lang, "routine.list", { routines: list }));
+      return;
+    }
+
+    if (sub === "remove") {
+      const index = parseInt(args.split(/\s+/)[1], 10) - 1;
+      const routines = await getRoutines(user.id);
+      if (isNaN(index) || !routines[index]) {
+        await sendMessage(chatId, t(lang, "routine.invalidNumber"));
+        return;
+      }
+      const routine = routines[index];
+      const { date: fromDate } = activeDate(user);
+      await removeRoutine(routine.id, fromDate);
+      lastPlans.delete(chatId);
+      await sendMessage(chatId, t(lang, "routine.removed", { routine: `${formatTime(lang, routine.task_time)} — ${routine.task_name}` }));
+      return;
+    }
+
+    await sendMessage(chatId, t(lang, "routine.usage"));
+    return;
+  }
+
+  // /doing or doing — FIX: use subquery instead of ORDER BY + LIMIT in UPDATE
+  if (lowerText.startsWith("/doing") || lowerText.startsWith("doing")) {
+    const response = lowerText.startsWith("/doing")
+      ? text.slice(6).trim()
+      : text.slice(5).trim();
+
+    if (!response) {
+      await sendMessage(chatId, t(lang, "doing.usage"));
+      return;
+    }
+
+    const userDate = getUserDate(userZone(user));
+    const nowTime = getUserTime(userZone(user));
+
+    // FIX: PostgreSQL doesn't support ORDER BY + LIMIT directly in UPDATE.
+    // Use a subquery to find the target row first.
+    const result = await pool.query(
+      `UPDATE tasks
+       SET user_response = $1, responded_at = NOW()
+       WHERE id = (
+         SELECT id FROM tasks
+         WHERE user_id = $2
+           AND task_date = $3
+           AND task_time <= $4
+           AND user_response IS NULL
+         ORDER BY task_time DESC
+         LIMIT 1
+       )
+       RETURNING id`,
+      [response, user.id, userDate, nowTime]
+    );
+
+    await sendMessage(
+      chatId,
+      result.rowCount === 0 ? t(lang, "doing.noTask") : t(lang, "doing.noted")
+    );
+    return;
+  }
+
+  // confirm / cancel pending tasks (calendar import or natural-language entry)
+  if (lowerText === "confirm" || lowerText === "cancel") {
+    const pending = pendingTasks.get(chatId);
+    pendingTasks.delete(chatId);
+    if (!pending || pending.expiresAt < Date.now()) {
+      await sendMessage(chatId, t(lang, "confirm.nothing"));
+      return;
+    }
+    if (lowerText === "cancel") {
+      await sendMessage(chatId, t(lang, "confirm.cancelled"));
+      return;
+    }
+    for (const task of pending.tasks) await insertTask(user.id, task.date, task);
+    lastPlans.delete(chatId);
+    const dates = [...new Set(pending.tasks.map(task => task.date))].sort();
+    let warnings = "";
+    for (const date of dates) warnings += overlapWarning(await getTasksForDate(user.id, date), lang);
+    await sendMessage(chatId, t(lang, "confirm.saved", {
+      count: pending.tasks.length, dates: dates.map(date => formatDate(lang, date)).join(", "),
+    }) + warnings);
+    return;
+  }
+
+  // Ignore unknown slash commands
+  if (text.startsWith("/")) return;
+
+  // The reason for a skip started from a reminder button. Task lines sent meanwhile
+  // are added as usual and the skip keeps waiting for its reason.
+  const skip = pendingSkips.get(chatId);
+  if (skip && skip.expiresAt < Date.now()) pendingSkips.delete(chatId);
+  else if (skip && !isTaskInput(text, user)) {
+    pendingSkips.delete(chatId);
+    const task = await setTaskStatus(skip.taskId, "skipped", text);
+    if (!task) { await sendMessage(chatId, t(lang, "task.closed")); return; }
+    lastPlans.delete(chatId);
+    await sendMessage(chatId,
+      t(lang, "outcome.marked", {
+        icon: STATUS_ICONS.skipped, status: t(lang, "status.skipped"), task: `${formatTaskTime(task, lang)} — ${task.task_name}`,
+      }) + t(lang, "outcome.reason", { reason: text })
+    );
+    return;
+  }
+
+  // Task input. Strict lines like "07:00 Gym" are saved right away; anything that had
+  // to be interpreted ("gym at 7am", "call mom in 45 minutes") is echoed back first.
+  const zone = userZone(user);
+  const { date: taskDate, label: dateLabel } = activeDate(user);
+  const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+  const tasks = parseTasks(text);
+  if (tasks.length !== lines.length) {
+    const today = getUserDate(zone);
+    const interpreted = [];
+    let unparsed = [];
+    for (const line of lines) {
+      const parsed = parseNaturalTask(line, { zone, today, activeDate: taskDate });
+      if (parsed) interpreted.push(parsed); else unparsed.push(line);
+    }
+    // Only lines that mention a time or day go to the AI; small talk isn't worth the quota
+    const forAI = unparsed.filter(looksLikeTask);
+    if (forAI.length > 0 && usesAI(coachFromUser(user)) && await reserveAIQuota(user.id, zone)) {
       try {
-        const userDate = getUserDate(row.timezone_offset);
-        if (await alreadySentToday(row.id, 'morning_start', row.timezone_offset)) continue;
-        await markSentToday(row.id, 'morning_start', userDate);
-        const tasks = await getTasksForDate(row.id, userDate);
-        if (!(await reserveAIQuota(row.id, row.timezone_offset))) {
-          await sendMessage(row.chat_id, `🌅 Good morning!\n\nYou have ${tasks.length} tasks today. Use /plan to see them.`);
-          continue;
-        }
-        try {
-          const ai = await morningMessage(tasks.length);
-          await sendMessage(row.chat_id, `${ai}\n\nUse /plan to see today's tasks.`);
-        } catch (err) {
-          await rollbackAIQuota(row.id);
-          await sendMessage(row.chat_id, `🌅 Good morning!\n\nYou have ${tasks.length} tasks today. Use /plan to see them.`);
-        }
-      } catch (err) { console.error(`Morning error user ${row.id}:`, err); }
+        const weekday = new Date(`${today}T00:00:00Z`).toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" });
+        const fromAI = await parseTasksAI(forAI, { today, weekday, now: getUserTime(zone), activeDate: taskDate }, aiContext(user, zone));
+        interpreted.push(...fromAI);
+        // The AI may drop lines it can't place, but doesn't say which ones
+        const dropped = forAI.length - fromAI.length;
+        unparsed = unparsed.filter(line => !looksLikeTask(line));
+        if (dropped > 0) unparsed.push(t(lang, "input.dropped", { n: dropped }));
+      } catch (err) {
+        console.error("AI task parse error:", err);
+        await rollbackAIQuota(user.id);
+      }
     }
-    res.json({ ok: true });
-  } catch (err) { console.error("Morning cron error:", err); res.status(500).json({ ok: false }); }
+    if (interpreted.length === 0) {
+      await sendMessage(chatId, t(lang, "input.invalid"));
+      return;
+    }
+    interpreted.sort((a, b) => (a.date + a.time).localeCompare(b.date + b.time));
+    pendingTasks.set(chatId, {
+      tasks: interpreted.map(task => ({ date: task.date, time: task.time, end: task.end || null, name: task.name })),
+      expiresAt: Date.now() + PENDING_TTL_MS
+    });
+    const understood = interpreted.map((task, i) => {
+      const day = task.date === today ? t(lang, "input.today")
+        : task.date === getDatePlusDays(today, 1) ? t(lang, "input.tomorrow")
+          : formatDate(lang, task.date);
+      return `${i + 1}. ${day} ${formatTaskTime({ task_time: task.time, end_time: task.end }, lang)} — ${task.name}`;
+    }).join("\n");
+    let reply = t(lang, "input.understood", { tasks: understood });
+    if (unparsed.length > 0) reply += t(lang, "input.unparsed", { lines: unparsed.map(l => `- ${l}`).join("\n") });
+    reply += t(lang, "input.confirm");
+    await sendMessage(chatId, reply);
+    return;
+  }
+  for (const task of tasks) await insertTask(user.id, taskDate, task);
+  lastPlans.delete(chatId);
+  await sendMessage(chatId,
+    t(lang, "input.saved", { count: tasks.length, day: formatDay(lang, dateLabel, taskDate) }) +
+    overlapWarning(await getTasksForDate(user.id, taskDate), lang)
+  );
+}
+
+//--------------
+// Webhook
+// Requests must carry the secret registered with setWebhook; without one configured
+// every request is refused rather than trusted. Each update_id is
+// claimed in processed_updates before handling, so Telegram's redeliveries (it
+// resends when we're slow) can't run twice. Telegram gets its 200 before handling;
+// updates from the same chat are still handled one at a time, in order.
+// Until the startup check finds the schema up to date, updates get a 503 so
+// Telegram keeps them and retries.
+//--------------
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const chatQueues = new Map();
+let schemaReady = false;
+
+function secretMatches(given) {
+  if (!WEBHOOK_SECRET) return false;
+  const a = Buffer.from(given || "");
+  const b = Buffer.from(WEBHOOK_SECRET);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function claimUpdate(updateId) {
+  const result = await pool.query(
+    "INSERT INTO processed_updates (update_id) VALUES ($1) ON CONFLICT DO NOTHING", [updateId]
+  );
+  return result.rowCount === 1;
+}
+
+function updateChatId(update) {
+  const chat = update.message?.chat || update.callback_query?.message?.chat || update.my_chat_member?.chat;
+  return chat ? chat.id.toString() : "none";
+}
+
+// Chains `work` after whatever this chat is already waiting on
+function runInChatOrder(chatId, work) {
+  const next = (chatQueues.get(chatId) || Promise.resolve()).then(work);
+  const tail = next.catch(() => {});
+  chatQueues.set(chatId, tail);
+  tail.then(() => { if (chatQueues.get(chatId) === tail) chatQueues.delete(chatId); });
+  return next;
+}
+
+app.post("/webhook", async (req, res) => {
+  if (!secretMatches(req.get("X-Telegram-Bot-Api-Secret-Token"))) return res.sendStatus(401);
+  if (!schemaReady) return res.sendStatus(503);
+  const update = req.body;
+  if (!update || !Number.isInteger(update.update_id)) return res.sendStatus(400);
+
+  // Claim before answering: if the database is down, a 500 makes Telegram retry later
+  let fresh;
+  try {
+    fresh = await claimUpdate(update.update_id);
+  } catch (err) { console.error(`Update ${update.update_id} claim error:`, err); return res.sendStatus(500); }
+  res.sendStatus(200);
+  if (!fresh) return;
+
+  runInChatOrder(updateChatId(update), () => handleUpdate(update))
+    .catch(err => console.error(`Update ${update.update_id} error:`, err));
 });
 
 //--------------
-// CRON: Plan reminder
+// Export API
+// GET /export/csv|json|ics with "Authorization: Bearer <token>" or ?token=<token>
+// (calendar apps can't send headers). Tokens come from /export link.
 //--------------
-app.post("/cron/plan-reminder", async (req, res) => {
+app.get("/export/:format", async (req, res) => {
+  const format = req.params.format;
+  if (!EXPORT_FORMATS[format]) return res.sendStatus(404);
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7).trim() : req.query.token;
+  if (!token) return res.sendStatus(401);
+  try {
+    const result = await pool.query(
+      "SELECT id, timezone_offset, timezone FROM users WHERE export_token_hash = $1", [hashExportToken(token)]
+    );
+    if (result.rows.length === 0) return res.sendStatus(401);
+    const user = result.rows[0];
+    const { mimeType, extension } = EXPORT_FORMATS[format];
+    const body = buildExport(format, await getExportData(user.id), userZone(user));
+    res.set("Content-Type", `${mimeType}; charset=utf-8`);
+    res.set("Content-Disposition", `attachment; filename="discipline.${extension}"`);
+    res.send(body);
+  } catch (err) { console.error("Export error:", err); res.sendStatus(500); }
+});
+
+//--------------
+// Scheduled jobs
+// Run in-process by scheduler.js. Morning, plan reminder and summary run every 5 minutes
+// and pick the users whose own time (/settings) has come. The daily reset runs hourly and
+// closes each user's days once their own midnight has passed. The weekly jobs use UTC
+// times: 14:30 UTC is 8 PM in India, where most users are.
+// The /cron/* routes stay as manual triggers and share the lock and job history.
+//--------------
+const JOBS = [
+  { name: "morning-start",     schedule: { every: 5 },                                      run: runMorningStart },
+  { name: "plan-reminder",     schedule: { every: 5 },                                      run: runPlanReminder },
+  { name: "task-reminders",    schedule: { every: 5 },                                      run: runTaskReminders },
+  { name: "angry-check",       schedule: { every: 5 },                                      run: runAngryCheck },
+  { name: "daily-summary",     schedule: { every: 5 },                                      run: runDailySummary },
+  { name: "daily-reset",       schedule: { every: 60 },                                     run: runDailyReset },
+  { name: "weekly-report",     schedule: { at: "14:30", weekday: 0 }, maxLateMinutes: 1440, run: runWeeklyReport },
+  { name: "group-leaderboard", schedule: { at: "14:30", weekday: 0 }, maxLateMinutes: 1440, run: runGroupLeaderboard },
+];
+
+function cronRoute(name) {
+  return async (req, res) => {
+    if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
+    try {
+      const result = await runJob(JOBS.find(j => j.name === name));
+      if (result.skipped) return res.status(409).json({ ok: false, error: "Job is already running" });
+      res.json({ ok: true, ...result });
+    } catch (err) { console.error(`${name} cron error:`, err); res.status(500).json({ ok: false }); }
+  };
+}
+
+// Job history: ?job=<name> filters, ?limit=<n> (default 50, max 500)
+app.get("/cron/jobs", async (req, res) => {
   if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
   try {
-    const users = await pool.query("SELECT id, chat_id, timezone_offset FROM users");
-    for (const row of users.rows) {
-      try {
-        const userDate = getUserDate(row.timezone_offset);
-        if (await alreadySentToday(row.id, 'plan_reminder', row.timezone_offset)) continue;
-        await markSentToday(row.id, 'plan_reminder', userDate);
-        if (!(await reserveAIQuota(row.id, row.timezone_offset))) {
-          await sendMessage(row.chat_id, "📌 Time to plan tomorrow!\n\nReply like:\n07:00 Gym\n10:00 Study Go");
-          continue;
-        }
-        try {
-          const ai = await planningPrompt();
-          await sendMessage(row.chat_id, `${ai}\n\nReply like:\n07:00 Gym\n10:00 Study Go`);
-        } catch (err) {
-          await rollbackAIQuota(row.id);
-          await sendMessage(row.chat_id, "📌 Time to plan tomorrow!\n\nReply like:\n07:00 Gym\n10:00 Study Go");
-        }
-      } catch (err) { console.error(`Plan reminder error user ${row.id}:`, err); }
-    }
-    res.json({ ok: true });
-  } catch (err) { console.error("Plan reminder cron error:", err); res.status(500).json({ ok: false }); }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    const runs = await getJobRuns({ jobName: req.query.job || null, limit });
+    const jobs = JOBS.map(j => ({ name: j.name, schedule: describeSchedule(j.schedule) }));
+    res.json({ ok: true, jobs, runs });
+  } catch (err) { console.error("Job history error:", err); res.status(500).json({ ok: false }); }
 });
 
+//--------------
+// CRON: Morning
+// Per-user daily messages go out once their local time has passed, up to
+// these many minutes late (after downtime)
+//--------------
+const MORNING_MAX_LATE = 180;
+const PLAN_MAX_LATE = 90;
+const SUMMARY_MAX_LATE = 45; // the summary must land on the day it covers
+
+async function runMorningStart(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const row of users.rows) {
+    run.users++;
+    try {
+      const userDate = getUserDate(userZone(row));
+      if (!dueToday(settingsFromUser(row).morning, userZone(row), MORNING_MAX_LATE)) continue;
+      if (await alreadySentToday(row.id, 'morning_start', userZone(row))) continue;
+      const tasks = await getTasksForDate(row.id, userDate);
+      const greeting = await coachText(row, userZone(row), "morning", { count: tasks.length },
+        ctx => morningMessage(tasks.length, ctx));
+      const sent = await notify(row, "morning", `${greeting}\n\n${t(localeOf(row), "morning.seePlan")}`);
+      if (handedOff(sent)) await markSentToday(row.id, 'morning_start', userDate);
+    } catch (err) {
+      console.error(`Morning error user ${row.id}:`, err);
+      run.errors.push(`user ${row.id}: ${err.message}`);
+    }
+  }
+}
+
+app.post("/cron/morning-start", cronRoute("morning-start"));
+
+//--------------
+// CRON: Plan reminder
+// Also names goals that have stalled (see goals.js) and offers to carry today's
+// unfinished tasks into tomorrow.
+//--------------
+async function runPlanReminder(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const row of users.rows) {
+    run.users++;
+    try {
+      const userDate = getUserDate(userZone(row));
+      const lang = localeOf(row);
+      if (!dueToday(settingsFromUser(row).plan, userZone(row), PLAN_MAX_LATE)) continue;
+      if (await alreadySentToday(row.id, 'plan_reminder', userZone(row))) continue;
+      const nudge = await coachText(row, userZone(row), "planning", {}, ctx => planningPrompt(ctx));
+      const stalled = stalledGoals(await getGoals(row.id, userDate), userDate);
+      const goalNote = stalled.length
+        ? t(lang, "goal.stalled", {
+          days: STALL_DAYS, goals: stalled.map(g => t(lang, "goal.stalledLine", { title: g.title, tag: g.tag })).join("\n"),
+        })
+        : "";
+      const sent = await notify(row, "planning", `${nudge}\n\n${t(lang, "planning.replyLike")}${goalNote}`);
+      if (handedOff(sent)) await markSentToday(row.id, 'plan_reminder', userDate);
+      if (handedOff(sent) && stalled.length) await markNudged(stalled.map(g => g.id), userDate);
+      // Unfinished tasks can be carried into tomorrow until the summary scores the day
+      if (!await dayScored(row.id, userDate)) {
+        const carry = await carryOverPrompt(row.id, userDate, lang);
+        if (carry) await notify(row, "planning", carry.text, { reply_markup: carry.markup });
+      }
+    } catch (err) {
+      console.error(`Plan reminder error user ${row.id}:`, err);
+      run.errors.push(`user ${row.id}: ${err.message}`);
+    }
+  }
+}
+
+app.post("/cron/plan-reminder", cronRoute("plan-reminder"));
+
 //--------------
 // CRON: Task reminders
 // FIX: Changed window from [+5, +20] to [-2, +3] so tasks at the current time are caught.
 // A future-only window means a task at exactly now is never reminded about.
+// Yesterday/tomorrow are included so tasks right around midnight aren't lost.
+// The user's reminder lead (/settings) moves the window that many minutes earlier.
+// Blocks of an hour or more also get a check-in at their midpoint.
+// After downtime the window reaches back to the previous run (see catchUpFrom).
+// Tasks are claimed before sending so two runs can't both remind; the claim is
+// released when the message isn't handed off (quiet hours, blocked, failed), so
+// the behavior check doesn't judge a task the user was never reminded about.
 //--------------
-app.post("/cron/task-reminders", async (req, res) => {
-  if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
-  try {
-    const users = await pool.query("SELECT id, chat_id, timezone_offset FROM users");
-    for (const user of users.rows) {
-      try {
-        const userDate    = getUserDate(user.timezone_offset);
-        const userMinutes = getUserMinutes(user.timezone_offset);
+async function runTaskReminders(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const user of users.rows) {
+    run.users++;
+    try {
+      const zone     = userZone(user);
+      const userDate = getUserDate(zone);
+      const lang     = localeOf(user);
+      await materializeRoutines(user.id, userDate);
+      const candidates = await pool.query(
+        `SELECT id, task_date, task_time FROM tasks
+         WHERE user_id = $1 AND task_date BETWEEN $2 AND $3 AND reminder_sent = false`,
+        [user.id, getDatePlusDays(userDate, -1), getDatePlusDays(userDate, 1)]
+      );
+      // FIX: was [+5, +20] — missed tasks at current time
+      const lead = settingsFromUser(user).lead;
+      const due = tasksInWindow(candidates.rows, zone, catchUpFrom(run, lead - 2, lead + 3), lead + 3);
+      if (due.length > 0) {
         const result = await pool.query(
-          `UPDATE tasks SET reminder_sent = true
-           WHERE id IN (
-             SELECT id FROM tasks
-             WHERE user_id = $1 AND task_date = $2 AND reminder_sent = false
-               AND (EXTRACT(HOUR FROM task_time::time)*60 + EXTRACT(MINUTE FROM task_time::time))
-                   BETWEEN $3 AND $4
-             FOR UPDATE SKIP LOCKED
-           ) RETURNING id, task_time, task_name`,
-          // FIX: was [userMinutes + 5, userMinutes + 20] — missed tasks at current time
-          [user.id, userDate, userMinutes - 2, userMinutes + 3]
+          `UPDATE tasks SET reminder_sent = true, reminded_at = NOW()
+           WHERE id = ANY($1) AND reminder_sent = false
+           RETURNING id, task_time, end_time, task_name`,
+          [due.map(t => t.id)]
         );
         for (const task of result.rows) {
-          await sendMessage(user.chat_id,
-            `⏰ Reminder\n\nAt ${task.task_time.slice(0,5)} you planned:\n${task.task_name}\n\nWhat are you doing right now?\n\nReply: doing <your answer>`
+          const until = task.end_time ? t(lang, "reminder.until", { time: formatTime(lang, task.end_time) }) : "";
+          const sent = await notify(user, "reminder",
+            t(lang, "reminder.text", { time: formatTime(lang, task.task_time), until, task: task.task_name }),
+            { reply_markup: taskButtons(task.id, lang, { snooze: true }) }
           );
+          if (!handedOff(sent)) {
+            await pool.query("UPDATE tasks SET reminder_sent = false, reminded_at = NULL WHERE id = $1", [task.id]);
+          }
         }
-      } catch (err) { console.error(`Reminder error user ${user.id}:`, err); }
+      }
+
+      const blocks = await pool.query(
+        `SELECT id, task_date, task_time, end_time, task_name FROM tasks
+         WHERE user_id = $1 AND task_date BETWEEN $2 AND $3
+           AND end_time IS NOT NULL AND checkin_sent = false AND status = 'pending'
+           AND end_time::time - task_time::time >= interval '60 minutes'`,
+        [user.id, getDatePlusDays(userDate, -1), userDate]
+      );
+      const midpoint = task => timeOfDay(Math.floor((minutesOfDay(task.task_time) + minutesOfDay(task.end_time)) / 2));
+      const checkins = tasksInWindow(blocks.rows, zone, catchUpFrom(run, -2, 3), 3, midpoint);
+      if (checkins.length > 0) {
+        const result = await pool.query(
+          `UPDATE tasks SET checkin_sent = true WHERE id = ANY($1) AND checkin_sent = false
+           RETURNING id, end_time, task_name`,
+          [checkins.map(task => task.id)]
+        );
+        for (const task of result.rows) {
+          const sent = await notify(user, "checkin",
+            t(lang, "checkin.text", { task: task.task_name, time: formatTime(lang, task.end_time) }),
+            { reply_markup: taskButtons(task.id, lang) }
+          );
+          if (!handedOff(sent)) await pool.query("UPDATE tasks SET checkin_sent = false WHERE id = $1", [task.id]);
+        }
+      }
+    } catch (err) {
+      console.error(`Reminder error user ${user.id}:`, err);
+      run.errors.push(`user ${user.id}: ${err.message}`);
     }
-    res.json({ ok: true });
-  } catch (err) { console.error("Task reminder cron error:", err); res.status(500).json({ ok: false }); }
-});
+  }
+}
+
+app.post("/cron/task-reminders", cronRoute("task-reminders"));
 
 //--------------
 // CRON: Angry/Praise check
 // FIX: Changed window from [-7, +7] to [-25, -3] so we check tasks AFTER their time has passed,
 // giving the user a chance to reply before the angry check fires.
+// Blocks with an end time are judged after they end, so the whole block counts.
+// Tasks with a focus session still running wait for it (focus.js credits them when it ends).
+// A session can outlast the window, so focused tasks are judged on the first run after
+// their check time once the session is over, however late that is.
 //--------------
-app.post("/cron/angry-check", async (req, res) => {
-  if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
-  try {
-    const users = await pool.query("SELECT id, chat_id, timezone_offset FROM users");
-    for (const user of users.rows) {
-      try {
-        const userDate    = getUserDate(user.timezone_offset);
-        const userMinutes = getUserMinutes(user.timezone_offset);
-        const result = await pool.query(
-          `SELECT t.id, t.task_name, t.user_response FROM tasks t
-           WHERE t.user_id = $1 AND t.task_date = $2
-             AND t.praised = false AND t.scolded = false AND t.reminder_sent = true
-             AND (EXTRACT(HOUR FROM task_time::time)*60 + EXTRACT(MINUTE FROM task_time::time))
-                 BETWEEN $3 AND $4`,
-          // FIX: was [-7, +7] which fired before user could reply.
-          // Now checks tasks from 3–25 min ago, giving user time to respond after reminder.
-          [user.id, userDate, userMinutes - 25, userMinutes - 3]
-        );
-        for (const row of result.rows) {
-          try {
-            const response = (row.user_response || "").toLowerCase();
-            const taskWords = row.task_name.toLowerCase().split(" ").filter(w => w.length > 2);
-            const isDoingTask = taskWords.some(w => response.includes(w));
-            if (!(await reserveAIQuota(user.id, user.timezone_offset))) {
-              await pool.query("UPDATE tasks SET scolded = true WHERE id = $1", [row.id]);
-              continue;
-            }
-            try {
-              if (row.user_response && isDoingTask) {
-                const ai = await praiseMessage(row.task_name);
-                await sendMessage(user.chat_id, ai);
-                await pool.query("UPDATE tasks SET praised = true WHERE id = $1", [row.id]);
-              } else {
-                const ai = await angryMessage(row.task_name, row.user_response || "nothing");
-                await sendMessage(user.chat_id, ai);
-                await pool.query("UPDATE tasks SET scolded = true WHERE id = $1", [row.id]);
-              }
-            } catch (aiErr) {
-              await rollbackAIQuota(user.id);
-              await pool.query("UPDATE tasks SET scolded = true WHERE id = $1", [row.id]);
+async function runAngryCheck(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const user of users.rows) {
+    run.users++;
+    try {
+      const zone     = userZone(user);
+      const userDate = getUserDate(zone);
+      const candidates = await pool.query(
+        `SELECT t.id, t.task_date, t.task_time, t.end_time, t.task_name, t.user_response, t.status,
+                EXISTS (SELECT 1 FROM focus_sessions f WHERE f.task_id = t.id) AS focused
+         FROM tasks t
+         WHERE t.user_id = $1 AND t.task_date BETWEEN $2 AND $3
+           AND t.praised = false AND t.scolded = false AND t.reminder_sent = true
+           AND t.status <> 'skipped'
+           AND NOT EXISTS (SELECT 1 FROM focus_sessions f WHERE f.task_id = t.id AND f.status = 'active')`,
+        [user.id, getDatePlusDays(userDate, -1), userDate]
+      );
+      // FIX: was [-7, +7] which fired before user could reply.
+      // Now checks tasks from 3–25 min ago, giving user time to respond after reminder.
+      const checkTime = t => t.end_time || t.task_time;
+      const inWindow = tasksInWindow(candidates.rows, zone, catchUpFrom(run, -25, -3), -3, checkTime);
+      const focusedLate = tasksInWindow(candidates.rows.filter(t => t.focused), zone, -Infinity, -3, checkTime);
+      const due = [...new Set([...inWindow, ...focusedLate])];
+      for (const row of due) {
+        try {
+          // An explicit /done, /partial or button press wins; otherwise judge the "doing" reply.
+          // praised/scolded only record that feedback was sent — the outcome lives in status.
+          let status = row.status;
+          if (status === "pending") {
+            status = "missed";
+            if (row.user_response) {
+              const judgement = await evaluateResponse(user, zone, row.task_name, row.user_response);
+              await pool.query(
+                `UPDATE tasks SET verdict = $1, verdict_confidence = $2, verdict_source = $3 WHERE id = $4`,
+                [judgement.verdict, judgement.confidence, judgement.source, row.id]
+              );
+              status = VERDICT_STATUSES[judgement.verdict];
             }
-          } catch (err) {
-            console.error(`Angry check task ${row.id}:`, err);
-            await pool.query("UPDATE tasks SET scolded = true WHERE id = $1", [row.id]);
+            await setTaskStatus(row.id, status);
           }
+          const praise = status === "done" || status === "partial";
+          const data = { taskName: row.task_name, userResponse: row.user_response || t(localeOf(user), "fallback.nothing") };
+          const reply = praise
+            ? await coachText(user, zone, "praise", data, ctx => praiseMessage(row.task_name, ctx))
+            : await coachText(user, zone, "scold", data, ctx => angryMessage(row.task_name, data.userResponse, ctx));
+          await notify(user, praise ? "praise" : "scold", reply);
+          if (status === "missed") await tellBuddiesMissed(user.id, row.task_name);
+          await pool.query(
+            `UPDATE tasks SET ${praise ? "praised" : "scolded"} = true WHERE id = $1`, [row.id]
+          );
+        } catch (err) {
+          console.error(`Angry check task ${row.id}:`, err);
+          await pool.query("UPDATE tasks SET scolded = true WHERE id = $1", [row.id]);
         }
-      } catch (err) { console.error(`Angry check user ${user.id}:`, err); }
+      }
+    } catch (err) {
+      console.error(`Angry check user ${user.id}:`, err);
+      run.errors.push(`user ${user.id}: ${err.message}`);
     }
-    res.json({ ok: true });
-  } catch (err) { console.error("Discipline cron error:", err); res.status(500).json({ ok: false }); }
-});
+  }
+}
+
+app.post("/cron/angry-check", cronRoute("angry-check"));
 
 //--------------
 // CRON: Daily summary
 //--------------
-app.post("/cron/daily-summary", async (req, res) => {
-  if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
-  try {
-    const users = await pool.query("SELECT id, chat_id, timezone_offset FROM users");
-    for (const user of users.rows) {
-      try {
-        const userDate = getUserDate(user.timezone_offset);
-        const tr = await pool.query(
-          `SELECT COUNT(id) AS planned, COUNT(*) FILTER (WHERE praised=true) AS completed
-           FROM tasks WHERE user_id=$1 AND task_date=$2`,
+async function runDailySummary(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const user of users.rows) {
+    run.users++;
+    try {
+      const userDate = getUserDate(userZone(user));
+      const settings = settingsFromUser(user);
+      const lang = localeOf(user);
+      if (!dueToday(settings.summary, userZone(user), SUMMARY_MAX_LATE)) continue;
+      const sr = await pool.query(
+        `SELECT current_streak, longest_streak, streak_date, freezes,
+                COALESCE(last_summary_date >= $2, false) AS summarized
+         FROM user_stats WHERE user_id=$1`, [user.id, userDate]
+      );
+      const before = sr.rows[0] || { current_streak: 0, longest_streak: 0, streak_date: null, freezes: 0, summarized: false };
+      if (before.summarized) continue;
+      await materializeRoutines(user.id, userDate);
+      const tr = await pool.query(
+        `SELECT ${DAY_COUNTS_SQL},
+                SUM(EXTRACT(EPOCH FROM (end_time::time - task_time::time)) / 3600) AS planned_hours,
+                SUM(EXTRACT(EPOCH FROM (end_time::time - task_time::time)) / 3600 *
+                    CASE status WHEN 'done' THEN 1 WHEN 'partial' THEN 0.5 ELSE 0 END) AS accounted_hours,
+                COUNT(*) FILTER (WHERE verdict='on_task') AS on_task,
+                COUNT(*) FILTER (WHERE verdict='related') AS related,
+                COUNT(*) FILTER (WHERE verdict='off_task') AS off_task,
+                COUNT(*) FILTER (WHERE verdict='refusal') AS refusal
+         FROM tasks WHERE user_id=$1 AND task_date=$2`,
+        [user.id, userDate]
+      );
+      const planned = Number(tr.rows[0].planned);
+      const completed = Number(tr.rows[0].completed);
+      const partial = Number(tr.rows[0].partial);
+      const skipped = Number(tr.rows[0].skipped);
+      // Still-pending tasks count as missed
+      const missed = planned - completed - partial - skipped;
+      const score = dayScore(tr.rows[0]);
+      const success = isSuccessfulCounts(tr.rows[0], settings.threshold);
+      // A day without tasks only matters when there's a streak to keep or lose; it's
+      // still recorded, so later ticks skip the user
+      if (planned === 0 && before.current_streak === 0) {
+        await pool.query(
+          `INSERT INTO user_stats (user_id, last_summary_date) VALUES ($1,$2)
+           ON CONFLICT (user_id) DO UPDATE SET last_summary_date=$2`,
           [user.id, userDate]
         );
-        const planned = Number(tr.rows[0].planned);
-        const completed = Number(tr.rows[0].completed);
-        const missed = planned - completed;
-        if (planned === 0) continue;
-        const success = isSuccessfulDay(planned, completed);
-        const sr = await pool.query(
-          `SELECT current_streak, longest_streak, last_success_date, last_summary_date
-           FROM user_stats WHERE user_id=$1`, [user.id]
-        );
-        let currentStreak=0, longestStreak=0, lastSuccessDate=null, lastSummaryDate=null;
-        if (sr.rows.length > 0) {
-          ({ current_streak: currentStreak, longest_streak: longestStreak,
-             last_success_date: lastSuccessDate, last_summary_date: lastSummaryDate } = sr.rows[0]);
-        }
-        if (lastSummaryDate === userDate) continue;
-        const yesterday = getDatePlusDays(userDate, -1);
-        if (success) {
-          currentStreak = (lastSuccessDate === yesterday) ? currentStreak + 1 : 1;
-          longestStreak = Math.max(longestStreak, currentStreak);
-          await pool.query(
-            `INSERT INTO user_stats (user_id, current_streak, longest_streak, last_success_date, last_summary_date)
-             VALUES ($1,$2,$3,$4,$5) ON CONFLICT (user_id) DO UPDATE SET
-               current_streak=$2, longest_streak=$3, last_success_date=$4, last_summary_date=$5`,
-            [user.id, currentStreak, longestStreak, userDate, userDate]
-          );
-        } else {
-          await pool.query(
-            `INSERT INTO user_stats (user_id, current_streak, longest_streak, last_summary_date)
-             VALUES ($1,0,$2,$3) ON CONFLICT (user_id) DO UPDATE SET current_streak=0, last_summary_date=$3`,
-            [user.id, longestStreak, userDate]
-          );
-        }
-        const base = `📊 Daily Summary\n\nPlanned: ${planned}\nCompleted: ${completed}\nMissed: ${missed}` +
-          (success ? `\n\n🔥 Streak: ${currentStreak} day(s)` : `\n\n❌ Streak reset.`);
-        if (!(await reserveAIQuota(user.id, user.timezone_offset))) {
-          await sendMessage(user.chat_id, base); continue;
-        }
-        try {
-          const ai = await summaryMessage({ planned, completed, missed, success, streak: currentStreak });
-          await sendMessage(user.chat_id, `${base}\n\n${ai}`);
-        } catch (aiErr) {
-          await rollbackAIQuota(user.id);
-          await sendMessage(user.chat_id, base);
-        }
-      } catch (err) { console.error(`Summary error user ${user.id}:`, err); }
+        continue;
+      }
+      const rest = isRestDay(settings, userDate);
+      const streak = advanceStreak(
+        { current: before.current_streak, longest: before.longest_streak, keptDate: before.streak_date, freezes: before.freezes },
+        { date: userDate, rest, success }
+      );
+      await pool.query(
+        `INSERT INTO user_stats (user_id, current_streak, longest_streak, last_success_date, last_summary_date, streak_date, freezes)
+         VALUES ($1,$2,$3,$4,$5,$6,$7) ON CONFLICT (user_id) DO UPDATE SET
+           current_streak=$2, longest_streak=$3, last_success_date=COALESCE($4, user_stats.last_success_date),
+           last_summary_date=$5, streak_date=$6, freezes=$7`,
+        [user.id, streak.current, streak.longest, success ? userDate : null, userDate, streak.keptDate, streak.freezes]
+      );
+      // An empty rest day keeps the streak without a message
+      if (planned === 0 && rest) continue;
+
+      // Why the day passed or failed
+      const missedHigh = await pool.query(
+        `SELECT task_name FROM tasks
+         WHERE user_id=$1 AND task_date=$2 AND priority='high' AND status IN ('pending', 'missed')
+         ORDER BY task_time`,
+        [user.id, userDate]
+      );
+      let verdict;
+      if (planned === 0) verdict = t(lang, "summary.nothingPlanned");
+      else if (score === null) verdict = t(lang, "summary.allSkipped");
+      else verdict = t(lang, success ? "summary.passed" : "summary.failed", { score: Math.round(score * 100), threshold: settings.threshold });
+      if (!success && missedHigh.rows.length) {
+        verdict += t(lang, "summary.missedHigh", { tasks: missedHigh.rows.map(task => task.task_name).join(", ") });
+      }
+      const streakLine = t(lang, `streak.${streak.outcome}`, { days: streak.current, left: streak.freezes }) +
+        (streak.earned ? t(lang, "streak.earned", { every: FREEZE_EVERY, saved: streak.freezes }) : "");
+      const title = t(lang, "summary.title", { date: formatDate(lang, userDate) });
+
+      if (planned === 0) {
+        await notify(user, "summary", `${title}\n\n${verdict}\n\n${streakLine}`);
+        continue;
+      }
+      const focus = await focusTotals(user.id, userDate);
+      const hours = n => formatNumber(lang, Number(Number(n).toFixed(1)));
+      const checkIns = Object.keys(VERDICT_STATUSES)
+        .filter(v => Number(tr.rows[0][v]) > 0)
+        .map(v => `${tr.rows[0][v]} ${t(lang, `verdict.${v}`)}`);
+      const base = `${title}\n\n${t(lang, "summary.planned", { n: planned })}\n${t(lang, "summary.completed", { n: completed })}` +
+        (partial ? `\n${t(lang, "summary.partial", { n: partial })}` : "") +
+        (skipped ? `\n${t(lang, "summary.skipped", { n: skipped })}` : "") +
+        `\n${t(lang, "summary.missed", { n: missed })}` +
+        (checkIns.length ? `\n${t(lang, "summary.checkIns", { list: checkIns.join(", ") })}` : "") +
+        (tr.rows[0].planned_hours !== null
+          ? `\n${t(lang, "summary.hours", { done: hours(tr.rows[0].accounted_hours), planned: hours(tr.rows[0].planned_hours) })}`
+          : "") +
+        (focus.cycles ? `\n${t(lang, "summary.focus", { minutes: focus.minutes, cycles: focus.cycles })}` : "") +
+        `\n\n${verdict}\n${streakLine}`;
+      const day = { planned, completed, partial, skipped, missed, success, streak: streak.current };
+      const comment = await coachText(user, userZone(user), "summary", day, ctx => summaryMessage(day, ctx));
+      await notify(user, "summary", comment ? `${base}\n\n${comment}` : base);
+      await shareDay(user.id, userDate, day);
+    } catch (err) {
+      console.error(`Summary error user ${user.id}:`, err);
+      run.errors.push(`user ${user.id}: ${err.message}`);
     }
-    res.json({ ok: true });
-  } catch (err) { console.error("Daily summary cron error:", err); res.status(500).json({ ok: false }); }
-});
+  }
+}
+
+app.post("/cron/daily-summary", cronRoute("daily-summary"));
 
 //--------------
 // CRON: Daily reset
+// Past days are kept as history: responses, verdicts and reminder times stay.
+// Only still-pending tasks are closed out as missed, and every past task is
+// marked closed so edits, outcomes and buttons can no longer change it.
+// Runs hourly; each user's previous day closes within the hour after their midnight.
 //--------------
-app.post("/cron/daily-reset", async (req, res) => {
+const EARLIEST_ZONE = -12 * 60; // UTC-12: a date that's past there is past everywhere
+
+async function runDailyReset(run) {
+  const users = await pool.query("SELECT id, timezone_offset, timezone FROM users");
+  for (const user of users.rows) {
+    run.users++;
+    try {
+      const userDate = getUserDate(userZone(user));
+      await pool.query(
+        `UPDATE tasks SET
+           status     = CASE WHEN status = 'pending' THEN 'missed' ELSE status END,
+           status_at  = CASE WHEN status = 'pending' THEN NOW() ELSE status_at END,
+           closed_at  = NOW()
+         WHERE user_id=$1 AND task_date < $2 AND closed_at IS NULL`,
+        [user.id, userDate]
+      );
+    } catch (err) {
+      console.error(`Reset error user ${user.id}:`, err);
+      run.errors.push(`user ${user.id}: ${err.message}`);
+    }
+  }
+  const pastEverywhere = getUserDate(EARLIEST_ZONE);
+  for (const [chatId, plan] of lastPlans) if (plan.date < pastEverywhere) lastPlans.delete(chatId);
+  // Telegram stops redelivering an update after 24 hours
+  await pool.query("DELETE FROM processed_updates WHERE received_at < NOW() - interval '2 days'");
+}
+
+app.post("/cron/daily-reset", cronRoute("daily-reset"));
+
+//--------------
+// CRON: Weekly report
+// Sent at most once every 7 days per user, covering the 7 days before their local today.
+//--------------
+async function runWeeklyReport(run) {
+  const users = await pool.query(`SELECT id, chat_id, timezone_offset, timezone, ${COACH_COLUMNS}, ${SETTINGS_COLUMNS} FROM users WHERE inactive_at IS NULL`);
+  for (const user of users.rows) {
+    run.users++;
+    try {
+      const userDate = getUserDate(userZone(user));
+      const recent = await pool.query(
+        `SELECT 1 FROM user_events WHERE user_id = $1 AND event_type = 'weekly_report' AND event_date > $2`,
+        [user.id, getDatePlusDays(userDate, -7)]
+      );
+      if (recent.rowCount > 0) continue;
+      const sent = await notify(user, "report", await buildStatsReport(user, 7, "stats.weekly"));
+      if (handedOff(sent)) await markSentToday(user.id, 'weekly_report', userDate);
+    } catch (err) {
+      console.error(`Weekly report error user ${user.id}:`, err);
+      run.errors.push(`user ${user.id}: ${err.message}`);
+    }
+  }
+}
+
+app.post("/cron/weekly-report", cronRoute("weekly-report"));
+
+//--------------
+// CRON: Group leaderboard
+// Weekly streak leaderboard in every group the bot is in.
+//--------------
+async function runGroupLeaderboard(run) {
+  for (const group of await getGroups()) {
+    try {
+      const board = await buildLeaderboard(group.chat_id);
+      if (!board) continue;
+      run.users++;
+      await sendMessage(group.chat_id, board);
+    } catch (err) {
+      console.error(`Leaderboard error group ${group.chat_id}:`, err);
+      run.errors.push(`group ${group.chat_id}: ${err.message}`);
+    }
+  }
+}
+
+app.post("/cron/group-leaderboard", cronRoute("group-leaderboard"));
+
+//--------------
+// Streak recalculation (manual)
+// Rebuilds user_stats from task history. ?chat_id=<id> limits it to one user.
+//--------------
+app.post("/cron/recalc-streaks", async (req, res) => {
   if (req.headers["x-cron-secret"] !== CRON_SECRET) return res.sendStatus(401);
   try {
-    const users = await pool.query("SELECT id, timezone_offset FROM users");
+    const users = req.query.chat_id
+      ? await pool.query(`SELECT id, timezone_offset, timezone, ${SETTINGS_COLUMNS} FROM users WHERE chat_id = $1`, [req.query.chat_id])
+      : await pool.query(`SELECT id, timezone_offset, timezone, ${SETTINGS_COLUMNS} FROM users`);
+    const results = [];
     for (const user of users.rows) {
       try {
-        const userDate = getUserDate(user.timezone_offset);
-        await pool.query(
-          `UPDATE tasks SET reminder_sent=false, praised=false, scolded=false,
-                            user_response=NULL, responded_at=NULL
-           WHERE user_id=$1 AND task_date < $2`,
-          [user.id, userDate]
-        );
-      } catch (err) { console.error(`Reset error user ${user.id}:`, err); }
+        // Include today only once today's summary has already been counted
+        const today = getUserDate(userZone(user));
+        const upTo = await dayScored(user.id, today) ? today : getDatePlusDays(today, -1);
+        results.push({ user_id: user.id, ...(await recalculateStreak(user, upTo)) });
+      } catch (err) { console.error(`Streak recalc error user ${user.id}:`, err); }
     }
-    lastPlans.clear();
-    res.json({ ok: true });
-  } catch (err) { console.error("Daily reset error:", err); res.status(500).json({ ok: false }); }
+    res.json({ ok: true, results });
+  } catch (err) { console.error("Streak recalc error:", err); res.status(500).json({ ok: false }); }
 });
 
-// Keep-alive endpoint (ping this every 10 min from GitHub Actions to prevent Render from sleeping)
+// Keep-alive endpoint (ping this every 10 min from GitHub Actions to prevent Render from sleeping;
+// anything missed while asleep is caught up by the scheduler on wake)
 app.get("/", (_, res) => res.send("Bot is running"));
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log("Server running on port", PORT));
\ No newline at end of file
+app.listen(PORT, async () => {
+  console.log("Server running on port", PORT);
+  // Jobs and updates would fail half-way against an old schema, so nothing starts until it's current
+  try {
+    const pending = await pendingMigrations();
+    if (pending.length > 0) {
+      console.error(`Database schema is out of date (pending: ${pending.map(m => m.name).join(", ")}). Run: npm run migrate`);
+      return;
+    }
+  } catch (err) {
+    console.error("Schema check failed:", err);
+    return;
+  }
+  schemaReady = true;
+  if (process.env.SCHEDULER_ENABLED !== "false") startScheduler(JOBS);
+  startDeliveryWorker();
+  startFocusWorker();
+  if (process.env.PUBLIC_URL && !WEBHOOK_SECRET) {
+    console.error("TELEGRAM_WEBHOOK_SECRET is not set — webhook not registered and /webhook refuses every update");
+  } else if (process.env.PUBLIC_URL) {
+    setWebhook(`${process.env.PUBLIC_URL}/webhook`, WEBHOOK_SECRET)
+      .then(() => console.log("Webhook registered"))
+      .catch(err => console.error("setWebhook failed:", err));
+  }
+});
\ No newline at end of file
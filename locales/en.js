@@ -0,0 +1,427 @@
+// English messages — the default locale, and the fallback for keys another locale lacks.
+// {name} placeholders are filled in by t() (i18n.js).
+export default {
+  //--------------
+  // Common
+  //--------------
+  "common.on": "on",
+  "common.off": "off",
+  "common.use": "❓ Use:\n{usage}",
+
+  "day.today": "today",
+  "day.tomorrow": "tomorrow",
+
+  "status.done": "done",
+  "status.partial": "partial",
+  "status.skipped": "skipped",
+  "status.missed": "missed",
+  "status.pending": "pending",
+
+  "verdict.on_task": "on task",
+  "verdict.related": "related",
+  "verdict.off_task": "off task",
+  "verdict.refusal": "refused",
+
+  "counts.done": "{completed}/{planned} done",
+  "counts.partial": "{n} partial",
+  "counts.skipped": "{n} skipped",
+
+  //--------------
+  // Tasks & buttons
+  //--------------
+  "task.overlaps": "\n\n⚠️ Overlaps:\n{lines}",
+  "task.already": "{icon} \"{name}\" is already {status}.",
+  "task.notFound": "❌ Task not found.",
+  "task.invalidNumber": "❌ Invalid task number. Use /plan again.",
+  "task.invalidToday": "❌ Invalid task number. Use /plan today.",
+  "task.closed": "🔒 That day is already in your history.",
+
+  "button.done": "✅ Done",
+  "button.partial": "🌓 Partial",
+  "button.skip": "⏭️ Skip",
+  "button.snooze": "😴 Snooze {minutes} min",
+  "button.saved": "{icon} Saved",
+  "button.result": "{icon} {task}: {status}",
+  "button.skipWhy": "⏭️ Why skip {task}?\n\nReply with the reason (or /skip {number} <reason>).",
+
+  "priority.legend": "{high} high priority (counts ×{highWeight}) · {low} low (×{lowWeight})",
+
+  //--------------
+  // Plan, edit & delete
+  //--------------
+  "plan.empty": "📭 No tasks planned for {day}.",
+  "plan.title.today": "📅 Today's Plan ({date})",
+  "plan.title.tomorrow": "📅 Tomorrow's Plan ({date})",
+  "plan.blocks": "🕒 {hours}h of timed blocks",
+
+  "edit.noTasks": "❌ No tasks found. Use /plan first.",
+  "edit.help": "✏️ Reply like:\nedit <number> <new time> <new task>\n\nExample:\nedit 2 11:00 Study Go\nedit 2 11:00-13:00 Study Go",
+  "edit.invalid": "❌ Invalid edit format.",
+  "edit.invalidTime": "❌ Invalid time format (HH:MM or HH:MM-HH:MM).",
+  "edit.done": "✅ Task updated:\n{task}",
+
+  "delete.noTasks": "❌ No tasks to delete.",
+  "delete.select": "🗑️ Select task to delete:\n\n{tasks}\n\nReply with:\ndelete <number>\n\nExample:\ndelete 2",
+  "delete.invalid": "❌ Invalid delete format.\nUse: delete <number>",
+  "delete.invalidNumber": "❌ Invalid task number. Use /delete again.",
+  "delete.done": "✅ Deleted: {task}",
+
+  "outcome.usage": "❌ Use: {command} <number>\n\nExample:\n{command} 1",
+  "outcome.skipUsage": "❌ Use: /skip <number> <reason>\n\nExample:\n/skip 2 doctor appointment",
+  "outcome.marked": "{icon} Marked {status}: {task}",
+  "outcome.reason": "\nReason: {reason}",
+
+  //--------------
+  // Snooze & carry-over
+  //--------------
+  "snooze.usage": "❌ Use: /snooze <number> <minutes> (1–{max}, default {minutes})\n\nExample:\n/snooze 2 30",
+  "snooze.pastMidnight": "🌙 That would run past midnight. Carry it over to tomorrow instead (/carry).",
+  "snooze.toast": "😴 Snoozed to {time}",
+  "snooze.done": "😴 Snoozed: {task}\n\nI'll remind you again then.",
+
+  "carry.planned": "📅 \"{name}\" is already planned for {date}.",
+  "carry.prompt": "↪️ Unfinished today:\n\n{tasks}\n\nTap the ones to carry into tomorrow, or reply /carry <numbers> or /carry all.",
+  "carry.scored": "🔒 That day has already been scored, so its tasks can't be carried over any more.",
+  "carry.reason": "carried to {date}",
+  "carry.toast": "↪️ Carried to {date}",
+  "carry.done": "↪️ {task} carried to {date}",
+  "carry.nothing": "🎉 Nothing unfinished today.",
+  "carry.usage": "❌ Use: /carry <numbers> or /carry all (numbers from /plan today)\n\nExample:\n/carry 1 3",
+
+  //--------------
+  // Task input & confirm
+  //--------------
+  "input.invalid": "❌ Format invalid.\nUse:\n07:00 Gym\n10:00 Study Go\n\nOr just write it:\ngym at 7am\ncall mom in 45 minutes\nstudy Go 3pm-5pm tomorrow",
+  "input.dropped": "{n} line(s) from your message",
+  "input.today": "Today",
+  "input.tomorrow": "Tomorrow",
+  "input.understood": "🧐 Here's what I understood:\n\n{tasks}\n",
+  "input.unparsed": "\n❓ Couldn't understand:\n{lines}\n",
+  "input.confirm": "\nReply confirm to save, or cancel and send them again.",
+  "input.saved": "✅ Saved {count} tasks for {day}",
+
+  "confirm.nothing": "❓ Nothing to confirm.",
+  "confirm.cancelled": "🚫 Cancelled. Nothing was saved.",
+  "confirm.saved": "✅ Saved {count} tasks ({dates})",
+
+  "doing.usage": "❓ Tell me what you're doing.\nExample: doing dog walk",
+  "doing.noTask": "⚠️ No matching task found for this time.",
+  "doing.noted": "✍️ Noted.",
+
+  //--------------
+  // Calendar import
+  //--------------
+  "import.notIcs": "📎 I can only import .ics calendar files.",
+  "import.tooLarge": "❌ Calendar file is too large (max 1 MB).",
+  "import.unreadable": "❌ Couldn't read that calendar file.",
+  "import.allDay": "\n\nℹ️ All-day events aren't added as tasks: {names}",
+  "import.none": "📭 No new timed events for {day}.{allDay}",
+  "import.found": "📥 Found {count} event(s) for {day}:\n\n{events}\n{allDay}\n\nReply confirm to add them, or cancel.",
+
+  //--------------
+  // Scheduled messages
+  //--------------
+  "morning.seePlan": "Use /plan to see today's tasks.",
+  "planning.replyLike": "Reply like:\n07:00 Gym\n10:00 Study Go",
+  "reminder.text": "⏰ Reminder\n\nAt {time}{until} you planned:\n{task}\n\nWhat are you doing right now?\n\nReply: doing <your answer>",
+  "reminder.until": " (until {time})",
+  "checkin.text": "⏳ Halfway through {task} (until {time}).\n\nStill on it?",
+
+  "summary.title": "📊 Daily Summary ({date})",
+  "summary.planned": "Planned: {n}",
+  "summary.completed": "Completed: {n}",
+  "summary.partial": "Partial: {n}",
+  "summary.skipped": "Skipped: {n}",
+  "summary.missed": "Missed: {n}",
+  "summary.checkIns": "Check-ins: {list}",
+  "summary.hours": "Hours: {done}h of {planned}h planned",
+  "summary.focus": "Focus: {minutes} min in {cycles} cycle(s)",
+  "summary.nothingPlanned": "📭 Nothing was planned today.",
+  "summary.allSkipped": "⏭️ Every task was skipped, so there was nothing to score.",
+  "summary.passed": "✅ Day passed: score {score}%, needed {threshold}%.",
+  "summary.failed": "❌ Day failed: score {score}%, needed {threshold}%.",
+  "summary.missedHigh": "\nMissed high priority: {tasks}",
+
+  "streak.success": "🔥 Streak: {days} day(s)",
+  "streak.rest": "🛌 Rest day — streak kept at {days} day(s).",
+  "streak.freeze": "🧊 Streak freeze used — streak kept at {days} day(s) ({left} left).",
+  "streak.reset": "❌ Streak reset.",
+  "streak.earned": "\n🧊 +1 streak freeze for {every} days in a row ({saved} saved).",
+
+  //--------------
+  // Stats & history
+  //--------------
+  "stats.week": "📈 Last 7 Days",
+  "stats.month": "📈 Last 30 Days",
+  "stats.weekly": "📈 Weekly Report",
+  "stats.range": "{title} ({from} → {to})",
+  "stats.empty": "📭 No tasks in this period.",
+  "stats.completion": "Completion: {rate} ({counts})",
+  "stats.successful": "Successful days: {days}/{total}",
+  "stats.avgReply": "Avg reply to reminders: {minutes}m",
+  "stats.byDay": "📅 By day",
+  "stats.byHour": "🕐 By time of day",
+  "stats.hour.night": "Night",
+  "stats.hour.morning": "Morning",
+  "stats.hour.afternoon": "Afternoon",
+  "stats.hour.evening": "Evening",
+  "stats.hour.late": "Late",
+  "stats.byTask": "📌 By task",
+  "stats.mostSkipped": "⏭️ Most skipped",
+  "stats.slipped": "↪️ Slipped\nCarried over {carried}× · Snoozed {snoozed}×",
+  "stats.streaks": "🔥 Streaks\nCurrent {current} · Longest {longest}",
+  "stats.freezes": " · 🧊 {n} freeze(s)",
+  "stats.runs": "Runs this period: {runs} day(s)",
+
+  "history.week": "🗂️ Last 7 Days",
+  "history.weekEmpty": "📭 No history for the last 7 days.",
+  "history.replies": "replies ~{minutes}m",
+  "history.usage": "❌ Use:\n/history\n/history 2026-01-31\n/history week",
+  "history.empty": "📭 No tasks on {date}.",
+  "history.title": "🗂️ History ({date})",
+  "history.replied": "replied in {minutes}m",
+
+  "export.link": "🔑 New export link (any previous link stops working):\n\n{url}\n\nAdd it to your calendar as a subscription, or swap ics for csv / json.\nThe API also accepts the header:\nAuthorization: Bearer {token}",
+  "export.usage": "❓ Use:\n/export csv\n/export json\n/export ics\n/export link  → private URL for the same files",
+  "export.empty": "📭 Nothing to export yet.",
+  "export.caption": "📦 {count} tasks",
+  "export.failed": "❌ Couldn't send the export file. Try again in a minute, or use /export link.",
+
+  //--------------
+  // Routines
+  //--------------
+  "routine.daily": "daily",
+  "routine.weekdays": "weekdays",
+  "routine.every": "every {days} days",
+  "routine.invalid": "❌ Invalid routine.\n\nUse:\n/routine add <schedule> HH:MM[-HH:MM] <task>\n\nSchedules: daily, weekdays, mon,wed,fri, every 3 days\n\nExample:\n/routine add weekdays 07:00 Gym",
+  "routine.added": "🔁 Routine added:\n{routine}\n\nStarts {date}.",
+  "routine.none": "📭 No routines yet.\n\nExample:\n/routine add weekdays 07:00 Gym",
+  "routine.list": "🔁 Your Routines\n\n{routines}\n\nRemove with: /routine remove <number>",
+  "routine.invalidNumber": "❌ Invalid routine number. Use /routine list first.",
+  "routine.removed": "✅ Routine removed: {routine}",
+  "routine.usage": "❓ Use /routine add, /routine list or /routine remove <number>.",
+
+  //--------------
+  // Focus sessions
+  //--------------
+  "focus.usage": "/focus 25 — 25 minutes of focus\n/focus 25 2 — on task 2 of /plan today\n/focus 50 x3 break 10 Study Go — 3 cycles with 10-min breaks\n/focus stop",
+  "focus.help": "🎯 Focus sessions\n\n{usage}\n\nWithout a task, I link the one you're on right now.",
+  "focus.none": "ℹ️ No focus session running.",
+  "focus.stopped": "⏹️ Focus stopped. {minutes} min of finished focus.",
+  "focus.stoppedCredit": "\n\n{icon} {label} counted as {status}.",
+  "focus.status": "{session}\n\n/focus stop to end it.",
+  "focus.limits": "❌ Focus {minutes} min, breaks {breaks} min, up to {cycles} cycles.\n\nUse:\n{usage}",
+  "focus.running": "⏳ A focus session is already running. /focus stop ends it.",
+  "focus.on": " on {label}",
+  "focus.cycles": ", {cycles} cycles with {breakMinutes}-min breaks",
+  "focus.started": "🎯 Focus: {minutes} min{what}{cycles}.\n\nI'll message you when it's time. /focus stop ends it early.",
+  "focus.linked": "\n\nFinished focus counts towards \"{task}\" in your plan.",
+  "focus.cycleOf": " (cycle {cycle}/{cycles})",
+  "focus.focusing": "🎯 Focusing{what}{cycle}: {minutes} min left",
+  "focus.onBreak": "☕ On a break{cycle}: {minutes} min left",
+  "focus.finished": "🏁 Focus session done: {minutes} min{what}.",
+  "focus.counted": "\n\n{icon} Counted as {status}.",
+  "focus.break": "☕ Cycle {cycle}/{cycles} done. Take {minutes} min — I'll call you back.\n\n/focus stop to end here.",
+  "focus.resume": "🎯 Break's over. Cycle {cycle}/{cycles}: {minutes} min{what}. Go.",
+
+  //--------------
+  // Goals
+  //--------------
+  "goal.usage": "/goal add \"Learn Go\" #go by 2026-12-31 target 40h\n/goal add \"Read 12 books\" #read target 12 tasks\n/goal done <number>\n/goal remove <number>",
+  "goal.invalid": "❌ Invalid goal.\n\nUse:\n{usage}\n\nThe deadline and target are optional.",
+  "goal.limit": "❌ You can have up to {max} active goals.",
+  "goal.tagTaken": "❌ You already have a goal tagged #{tag}. Pick another #tag.",
+  "goal.added": "🎯 Goal added: {title} #{tag}\n\nTag tasks with #{tag} to count them towards it:\n10:00-11:00 {title} #{tag}",
+  "goal.addedHours": "\n\nHours come from blocks (start-end) you finish.",
+  "goal.numberUsage": "❌ Use: /goal {sub} <number> (see /goals)",
+  "goal.reached": "🏁 Goal reached: {title}. Well done.",
+  "goal.removed": "🗑️ Goal removed: {title}\n\nIts tasks stay in your history.",
+  "goal.none": "📭 No goals yet.\n\nAdd one:\n{usage}",
+  "goal.list": "🎯 Your Goals\n\n{goals}\n\n{usage}",
+  "goal.tasks": "{count} task(s)",
+  "goal.hoursOf": "{done}h of {target}h",
+  "goal.tasksOf": "{tasks} of {target}",
+  "goal.doneHours": "{tasks} done, {hours}h",
+  "goal.done": "{tasks} done",
+  "goal.daysLeft": "{days} day(s) left",
+  "goal.deadlinePassed": "⌛ deadline passed",
+  "goal.behind": "⚠️ behind pace",
+  "goal.stalled": "\n\n🧭 No progress for {days}+ days on:\n{goals}",
+  "goal.stalledLine": "{title} — e.g. 10:00 {title} #{tag}",
+
+  //--------------
+  // Settings & timezone
+  //--------------
+  "settings.usage": "/settings morning {morning}\n/settings plan {plan}\n/settings summary {summary}\n/settings lead 15 (minutes before a task, 0–{maxLead})\n/settings cutoff {cutoff} (hour from which new tasks go to tomorrow)\n/settings quiet 23:00-07:00 | off\n/settings rest sun (or sat,sun) | off\n/settings threshold {threshold} (score a day needs to pass, {range}%)\n/settings reset",
+  "settings.describe": "🌅 Morning: {morning}\n📌 Plan reminder: {plan}\n📊 Summary: {summary}\n⏰ Reminder lead: {lead}\n🌙 New tasks go to tomorrow from: {cutoff}\n🔕 Quiet hours: {quiet}\n🛌 Rest days: {rest}\n🎯 A day passes at: {threshold}%",
+  "settings.leadBefore": "{minutes} min before",
+  "settings.atTaskTime": "at task time",
+  "settings.never": "never",
+  "settings.noRestDays": "none",
+  "settings.current": "⚙️ Your Settings (local time)\n\n{settings}\n\nChange them:\n{usage}",
+  "settings.timeUsage": "❌ Use: /settings {key} HH:MM",
+  "settings.morningSet": "✅ 🌅 Morning message at {time}",
+  "settings.planSet": "✅ 📌 Plan reminder at {time}",
+  "settings.summarySet": "✅ 📊 Daily summary at {time}",
+  "settings.leadUsage": "❌ Use: /settings lead <0–{max} minutes>",
+  "settings.leadSet": "✅ Reminders {minutes} min before each task",
+  "settings.leadZero": "✅ Reminders at task time",
+  "settings.cutoffUsage": "❌ Use: /settings cutoff <hour 1–24> (24 = always today)",
+  "settings.cutoffNever": "✅ New tasks always go to today",
+  "settings.cutoffSet": "✅ From {time} new tasks go to tomorrow",
+  "settings.quietOff": "🔔 Quiet hours off",
+  "settings.quietUsage": "❌ Use: /settings quiet 23:00-07:00 | off",
+  "settings.quietSet": "🔕 Quiet hours {start}–{end}\n\nReminders, check-ins and praise/scolding are skipped then; the morning message, plan reminder, summary and weekly report arrive when quiet hours end.",
+  "settings.restUsage": "❌ Use: /settings rest sun | sat,sun | off (up to 3 days)",
+  "settings.restSet": "🛌 Rest days: {days}\n\nA rest day never breaks your streak; passing it still adds a day.",
+  "settings.restOff": "✅ No rest days",
+  "settings.thresholdUsage": "❌ Use: /settings threshold <{range}>",
+  "settings.thresholdSet": "🎯 A day now passes at {percent}%\n\nDone tasks count fully, partial half; {high} !high tasks weigh ×{highWeight}, {low} !low ×{lowWeight}. Skipped tasks don't count.",
+  "settings.reset": "✅ Back to defaults\n\n{settings}",
+
+  "timezone.set": "✅ Timezone set to {zone}\n\nYour current time: {time}",
+  "timezone.offsetNote": "\n\nℹ️ Fixed offsets don't follow daylight saving. Prefer a zone name like /timezone Europe/Berlin",
+  "timezone.invalid": "❌ Invalid timezone.\n\nUse a zone name (follows daylight saving):\n/timezone Asia/Kolkata\n/timezone Europe/Berlin\n/timezone America/New_York\n\nOr minutes from UTC:\n/timezone 330   → IST (UTC+5:30)\n/timezone -300  → EST (UTC-5)",
+
+  "language.current": "🌐 Language: {name}\n\nChange it:\n{options}",
+  "language.unknown": "❌ Unknown language. Available:\n{options}",
+  "language.set": "✅ Language: {name}\n\nMessages, dates and times now use it, and so does the coach.",
+
+  //--------------
+  // Coach
+  //--------------
+  "persona.sergeant": "🎖️ Drill sergeant",
+  "persona.mentor": "🧘 Calm mentor",
+  "persona.peer": "🤝 Friendly peer",
+  "persona.silent": "🤐 Silent (no AI)",
+  "strictness.gentle": "gentle",
+  "strictness.firm": "firm",
+  "strictness.harsh": "harsh",
+
+  "coach.describe": "{persona}\nStrictness: {strictness}\nLanguage: {language}\nEmoji: {emoji}",
+  "coach.usage": "/coach persona sergeant | mentor | peer | silent\n/coach strictness gentle | firm | harsh\n/coach language hi (or Hindi, es, ...)\n/coach emoji on | off\n/coach preview",
+  "coach.current": "🎙️ Your Coach\n\n{coach}\n\nChange it:\n{usage}",
+  "coach.persona": "✅ Coach: {label}",
+  "coach.silent": "\n\nNo AI messages — just short, plain updates.",
+  "coach.strictnessUsage": "❌ Use: /coach strictness gentle | firm | harsh",
+  "coach.strictness": "✅ Strictness: {name}",
+  "coach.languageUnknown": "❌ Unknown language. Example: /coach language hi",
+  "coach.language": "✅ Coach language: {name}",
+  "coach.languageFallback": "\n\nℹ️ Other messages stay in {name} — /language lists the languages they come in.",
+  "coach.emojiUsage": "❌ Use: /coach emoji on | off",
+  "coach.emojiOn": "✅ Emoji on 🎉",
+  "coach.emojiOff": "✅ Emoji off",
+  "coach.sampleTask": "Gym",
+  "coach.sampleReply": "scrolling Instagram",
+  "coach.preview": "👀 You planned \"{task}\" but replied \"{reply}\". Each coach would say:",
+  "coach.previewNote": "AI replies follow the same voice, in your language and strictness.",
+
+  "stuck.usage": "❓ Tell me what you're stuck with.\n\nExample:\n/stuck can't focus on work",
+  "stuck.limit": "⏱️ Too many requests. Try again tomorrow.",
+  "forget.done": "🧽 Done. Your coach no longer remembers your /stuck problems or tasks up to today.\n\nYour tasks, streak and /stats are untouched.",
+
+  "usage.title": "🧮 AI Usage",
+  "usage.today": "📅 Today: {calls} call(s)",
+  "usage.month": "🗓️ This month: {calls} call(s)",
+  "usage.tokens": "Tokens: {value}",
+  "usage.cost": "Cost: {value}",
+  "usage.byType": "By message:",
+  "usage.typeLine": "• {type}: {calls} call(s), {tokens} tokens",
+  "usage.blocked.global": "⚠️ The bot's AI budget for this month is used up — plain-text coaching until next month.",
+  "usage.blocked.daily": "⚠️ Your daily AI budget is used up — plain-text coaching until it resets.",
+  "usage.blocked.monthly": "⚠️ Your monthly AI budget is used up — plain-text coaching until it resets.",
+
+  //--------------
+  // Plain-text coaching (coach.js fallbackText): fallback.<kind>.<persona>
+  //--------------
+  "fallback.nothing": "nothing",
+  "fallback.bestDay": "a stronger day",
+  "fallback.worstDay": "your worst day",
+
+  "fallback.praise.sergeant": "💪 \"{taskName}\" on time. That's the standard. Keep it.",
+  "fallback.praise.mentor": "😌 You're doing \"{taskName}\" as planned. This is how habits are built.",
+  "fallback.praise.peer": "🙌 Nice, \"{taskName}\" right on time! Keep it going.",
+  "fallback.praise.silent": "✅ \"{taskName}\" — on track.",
+
+  "fallback.scold.sergeant.1": "⚠️ \"{taskName}\" was the plan, not \"{userResponse}\". Reset and go.",
+  "fallback.scold.sergeant.2": "😡 You planned \"{taskName}\" and chose \"{userResponse}\". Drop it and get moving.",
+  "fallback.scold.sergeant.3": "💢 \"{userResponse}\"? You said \"{taskName}\". No excuses — start NOW.",
+  "fallback.scold.mentor.1": "🌱 \"{taskName}\" slipped to \"{userResponse}\" this time. Notice it, and begin again gently.",
+  "fallback.scold.mentor.2": "🧭 You meant to do \"{taskName}\", not \"{userResponse}\". What would it take to start now?",
+  "fallback.scold.mentor.3": "⚖️ \"{userResponse}\" replaced \"{taskName}\". Own that, and make the next hour count.",
+  "fallback.scold.peer.1": "🙂 Hey, \"{taskName}\" got swapped for \"{userResponse}\" — happens! Jump back in?",
+  "fallback.scold.peer.2": "👀 \"{userResponse}\" instead of \"{taskName}\"? Come on, you've got this — let's go.",
+  "fallback.scold.peer.3": "😤 Dude. \"{taskName}\". Not \"{userResponse}\". Close it and get on it.",
+  "fallback.scold.silent": "❌ \"{taskName}\" — missed.",
+
+  "fallback.morning.sergeant": "🌅 Up! {count} task(s) today. First one on time, no negotiating.",
+  "fallback.morning.mentor": "☀️ Good morning. {count} task(s) today — take them one at a time.",
+  "fallback.morning.peer": "🌅 Morning! {count} task(s) on the list today — let's crush them.",
+  "fallback.morning.silent": "{count} task(s) today.",
+
+  "fallback.planning.sergeant": "📌 Plan tomorrow. Now. Nobody wins a day they didn't plan.",
+  "fallback.planning.mentor": "🌙 Take a quiet minute to plan tomorrow so you wake up with purpose.",
+  "fallback.planning.peer": "📌 Hey, quick one — plan tomorrow before you crash?",
+  "fallback.planning.silent": "Plan tomorrow.",
+
+  "fallback.summary.sergeant.pass": "🔥 {completed}/{planned}. Day {streak}. Tomorrow, do it again.",
+  "fallback.summary.sergeant.fail": "⚠️ {completed}/{planned}. Not good enough. Fewer excuses tomorrow.",
+  "fallback.summary.mentor.pass": "🌱 {completed}/{planned} done. Steady progress is the whole game.",
+  "fallback.summary.mentor.fail": "🧭 {completed}/{planned} today. Plan something more realistic tomorrow and finish it.",
+  "fallback.summary.peer.pass": "🎉 {completed}/{planned} — great day! Same again tomorrow?",
+  "fallback.summary.peer.fail": "🤝 {completed}/{planned} today. Tomorrow's a fresh start — we go again.",
+  "fallback.summary.silent.pass": "",
+  "fallback.summary.silent.fail": "",
+
+  "fallback.stuck.sergeant": "1. Name the next physical action for \"{problem}\".\n2. Set a 10-minute timer. Do only that.\n3. Phone in another room. Go.",
+  "fallback.stuck.mentor": "1. Write down the smallest next step for \"{problem}\".\n2. Give it 10 calm, focused minutes.\n3. Notice what helped, and continue from there.",
+  "fallback.stuck.peer": "1. What's the tiniest next step for \"{problem}\"? Do just that.\n2. 10-minute timer, phone away.\n3. Tell me how it went!",
+  "fallback.stuck.silent": "1. Next step for \"{problem}\".\n2. 10 minutes, no distractions.",
+
+  "fallback.report.sergeant": "📈 {completionPercent}%. Fix {worstDay}.",
+  "fallback.report.sergeant.skipped": "📈 {completionPercent}%. \"{mostSkipped}\" keeps slipping — fix it.",
+  "fallback.report.mentor": "📈 {completionPercent}% this week. Keep the rhythm that worked.",
+  "fallback.report.mentor.skipped": "📈 {completionPercent}% this week. Consider making \"{mostSkipped}\" smaller or moving it to {bestDay}.",
+  "fallback.report.peer": "📈 {completionPercent}% — not bad! Let's beat it next week.",
+  "fallback.report.peer.skipped": "📈 {completionPercent}% — not bad! \"{mostSkipped}\" though... let's figure that one out.",
+  "fallback.report.silent": "",
+  "fallback.report.silent.skipped": "",
+
+  //--------------
+  // Partners & groups
+  //--------------
+  "share.counts": "numbers only",
+  "share.tasks": "numbers and task names",
+
+  "buddy.usage": "/buddy invite — get a code for your partner\n/buddy accept <code> — pair with a partner\n/buddy remove <number>\n/buddy share counts | tasks — what partners and groups see",
+  "buddy.invite": "🤝 Send this to your partner (valid {hours}h):\n\n/buddy accept {code}\n\nYou'll each hear when the other misses a task or finishes a day.",
+  "buddy.acceptUsage": "❌ Use: /buddy accept <code>",
+  "buddy.codeInvalid": "❌ That code is invalid or has expired. Ask for a new /buddy invite.",
+  "buddy.ownCode": "🙃 That's your own invite — send it to your partner.",
+  "buddy.already": "🤝 You're already partners.",
+  "buddy.limit": "❌ Partners are limited to {max} each.",
+  "buddy.paired": "🤝 You and {name} are now accountability partners.",
+  "buddy.accepted": "🤝 {name} accepted your invite — you're now accountability partners.",
+  "buddy.removeUsage": "❌ Use: /buddy remove <number> (see /buddy)",
+  "buddy.removed": "👋 {name} removed.",
+  "buddy.partner": "Partner",
+  "buddy.yourPartner": "Your partner",
+  "buddy.shareUsage": "❌ Use: /buddy share counts | tasks",
+  "buddy.share": "🔒 Partners and groups now see: {level}",
+  "buddy.none": "No partners yet.",
+  "buddy.list": "🤝 Accountability Partners\n\n{buddies}\n\n🔒 They see: {level}\n\n{usage}",
+  "buddy.missed": "👀 {name} just missed \"{task}\". A nudge might help.",
+  "buddy.missedTask": "👀 {name} just missed a task. A nudge might help.",
+  "buddy.dayPassed": "🔥 {name} finished the day: {completed}/{planned} done · streak {streak}",
+  "buddy.dayFailed": "📉 {name} finished the day: {completed}/{planned} done · streak reset",
+
+  "group.welcome": "👋 Hi! Members who use me privately can /join to share their daily results here.\n\n/join — share your results in this group\n/leave — stop sharing\n/leaderboard — streak leaderboard (also posted every Sunday)",
+  "group.nobody": "📭 Nobody has joined yet. Use /join.",
+  "group.startPrivate": "👋 {name}, start a private chat with me first, then /join here.",
+  "group.left": "👋 {name} stopped sharing here.",
+  "group.notSharing": "ℹ️ {name}, you weren't sharing here.",
+  "group.joined": "✅ {name} joined. Their daily results will be posted here ({level}; change with /buddy share in private).",
+  "group.alreadyJoined": "ℹ️ {name}, you've already joined.",
+  "group.leaderboard": "🏆 Streak Leaderboard\n\n{lines}",
+  "group.leaderboardLine": "{rank} {name} — {current} day(s) (best {longest})",
+};
@@ -0,0 +1,418 @@
+// Hindi messages. Commands and the reply keywords (doing, confirm, cancel, edit, delete)
+// stay in English because that's what the bot understands. Group chats always use
+// English (see i18n.js), so the group.* keys aren't here.
+export default {
+  //--------------
+  // Common
+  //--------------
+  "common.on": "चालू",
+  "common.off": "बंद",
+  "common.use": "❓ ऐसे लिखें:\n{usage}",
+
+  "day.today": "आज",
+  "day.tomorrow": "कल",
+
+  "status.done": "पूरा",
+  "status.partial": "आधा",
+  "status.skipped": "छोड़ा",
+  "status.missed": "छूटा",
+  "status.pending": "बाकी",
+
+  "verdict.on_task": "काम पर",
+  "verdict.related": "मिलता-जुलता",
+  "verdict.off_task": "काम से हटकर",
+  "verdict.refusal": "मना किया",
+
+  "counts.done": "{completed}/{planned} पूरे",
+  "counts.partial": "{n} आधे",
+  "counts.skipped": "{n} छोड़े",
+
+  //--------------
+  // Tasks & buttons
+  //--------------
+  "task.overlaps": "\n\n⚠️ समय टकरा रहा है:\n{lines}",
+  "task.already": "{icon} \"{name}\" पहले से {status} है।",
+  "task.notFound": "❌ टास्क नहीं मिला।",
+  "task.invalidNumber": "❌ गलत टास्क नंबर। फिर से /plan देखें।",
+  "task.invalidToday": "❌ गलत टास्क नंबर। /plan today देखें।",
+  "task.closed": "🔒 वह दिन अब आपके इतिहास में है।",
+
+  "button.done": "✅ पूरा",
+  "button.partial": "🌓 आधा",
+  "button.skip": "⏭️ छोड़ें",
+  "button.snooze": "😴 {minutes} मिनट बाद",
+  "button.saved": "{icon} सेव हो गया",
+  "button.result": "{icon} {task}: {status}",
+  "button.skipWhy": "⏭️ {task} क्यों छोड़ना है?\n\nवजह लिखकर जवाब दें (या /skip {number} <वजह>)।",
+
+  "priority.legend": "{high} ज़रूरी (×{highWeight} गिना जाता है) · {low} कम ज़रूरी (×{lowWeight})",
+
+  //--------------
+  // Plan, edit & delete
+  //--------------
+  "plan.empty": "📭 {day} के लिए कोई टास्क नहीं है।",
+  "plan.title.today": "📅 आज का प्लान ({date})",
+  "plan.title.tomorrow": "📅 कल का प्लान ({date})",
+  "plan.blocks": "🕒 {hours} घंटे के तय ब्लॉक",
+
+  "edit.noTasks": "❌ कोई टास्क नहीं मिला। पहले /plan देखें।",
+  "edit.help": "✏️ ऐसे जवाब दें:\nedit <नंबर> <नया समय> <नया टास्क>\n\nउदाहरण:\nedit 2 11:00 Study Go\nedit 2 11:00-13:00 Study Go",
+  "edit.invalid": "❌ edit का फ़ॉर्मैट गलत है।",
+  "edit.invalidTime": "❌ समय का फ़ॉर्मैट गलत है (HH:MM या HH:MM-HH:MM)।",
+  "edit.done": "✅ टास्क बदल गया:\n{task}",
+
+  "delete.noTasks": "❌ हटाने के लिए कोई टास्क नहीं है।",
+  "delete.select": "🗑️ कौन-सा टास्क हटाना है?\n\n{tasks}\n\nऐसे जवाब दें:\ndelete <नंबर>\n\nउदाहरण:\ndelete 2",
+  "delete.invalid": "❌ delete का फ़ॉर्मैट गलत है।\nऐसे लिखें: delete <नंबर>",
+  "delete.invalidNumber": "❌ गलत टास्क नंबर। फिर से /delete भेजें।",
+  "delete.done": "✅ हटा दिया: {task}",
+
+  "outcome.usage": "❌ ऐसे लिखें: {command} <नंबर>\n\nउदाहरण:\n{command} 1",
+  "outcome.skipUsage": "❌ ऐसे लिखें: /skip <नंबर> <वजह>\n\nउदाहरण:\n/skip 2 डॉक्टर के पास जाना है",
+  "outcome.marked": "{icon} {status} दर्ज किया: {task}",
+  "outcome.reason": "\nवजह: {reason}",
+
+  //--------------
+  // Snooze & carry-over
+  //--------------
+  "snooze.usage": "❌ ऐसे लिखें: /snooze <नंबर> <मिनट> (1–{max}, डिफ़ॉल्ट {minutes})\n\nउदाहरण:\n/snooze 2 30",
+  "snooze.pastMidnight": "🌙 इससे टास्क आधी रात के पार चला जाएगा। इसे कल पर ले जाएँ (/carry)।",
+  "snooze.toast": "😴 {time} तक टाला",
+  "snooze.done": "😴 टाल दिया: {task}\n\nतब फिर याद दिलाऊँगा।",
+
+  "carry.planned": "📅 \"{name}\" {date} के लिए पहले से प्लान है।",
+  "carry.prompt": "↪️ आज के अधूरे काम:\n\n{tasks}\n\nजिन्हें कल ले जाना है उन पर टैप करें, या /carry <नंबर> या /carry all भेजें।",
+  "carry.scored": "🔒 उस दिन का स्कोर बन चुका है, इसलिए उसके टास्क अब आगे नहीं ले जा सकते।",
+  "carry.reason": "{date} पर ले गए",
+  "carry.toast": "↪️ {date} पर ले गए",
+  "carry.done": "↪️ {task} को {date} पर ले गए",
+  "carry.nothing": "🎉 आज कुछ भी अधूरा नहीं है।",
+  "carry.usage": "❌ ऐसे लिखें: /carry <नंबर> या /carry all (नंबर /plan today से)\n\nउदाहरण:\n/carry 1 3",
+
+  //--------------
+  // Task input & confirm
+  //--------------
+  "input.invalid": "❌ फ़ॉर्मैट गलत है।\nऐसे लिखें:\n07:00 Gym\n10:00 Study Go\n\nया बस लिख दें:\ngym at 7am\ncall mom in 45 minutes\nstudy Go 3pm-5pm tomorrow",
+  "input.dropped": "आपके मैसेज की {n} लाइन",
+  "input.today": "आज",
+  "input.tomorrow": "कल",
+  "input.understood": "🧐 मैंने यह समझा:\n\n{tasks}\n",
+  "input.unparsed": "\n❓ यह समझ नहीं आया:\n{lines}\n",
+  "input.confirm": "\nसेव करने के लिए confirm लिखें, या cancel लिखकर फिर से भेजें।",
+  "input.saved": "✅ {day} के लिए {count} टास्क सेव हुए",
+
+  "confirm.nothing": "❓ कन्फ़र्म करने के लिए कुछ नहीं है।",
+  "confirm.cancelled": "🚫 रद्द किया। कुछ सेव नहीं हुआ।",
+  "confirm.saved": "✅ {count} टास्क सेव हुए ({dates})",
+
+  "doing.usage": "❓ बताइए आप क्या कर रहे हैं।\nउदाहरण: doing dog walk",
+  "doing.noTask": "⚠️ इस समय का कोई टास्क नहीं मिला।",
+  "doing.noted": "✍️ नोट कर लिया।",
+
+  //--------------
+  // Calendar import
+  //--------------
+  "import.notIcs": "📎 मैं सिर्फ़ .ics कैलेंडर फ़ाइलें इम्पोर्ट कर सकता हूँ।",
+  "import.tooLarge": "❌ कैलेंडर फ़ाइल बहुत बड़ी है (ज़्यादा से ज़्यादा 1 MB)।",
+  "import.unreadable": "❌ वह कैलेंडर फ़ाइल पढ़ी नहीं जा सकी।",
+  "import.allDay": "\n\nℹ️ पूरे दिन के इवेंट टास्क नहीं बनते: {names}",
+  "import.none": "📭 {day} के लिए कोई नया समय वाला इवेंट नहीं है।{allDay}",
+  "import.found": "📥 {day} के लिए {count} इवेंट मिले:\n\n{events}\n{allDay}\n\nजोड़ने के लिए confirm लिखें, या cancel।",
+
+  //--------------
+  // Scheduled messages
+  //--------------
+  "morning.seePlan": "आज के टास्क देखने के लिए /plan भेजें।",
+  "planning.replyLike": "ऐसे जवाब दें:\n07:00 Gym\n10:00 Study Go",
+  "reminder.text": "⏰ रिमाइंडर\n\n{time}{until} के लिए आपने प्लान किया था:\n{task}\n\nआप अभी क्या कर रहे हैं?\n\nजवाब दें: doing <आपका जवाब>",
+  "reminder.until": " ({time} तक)",
+  "checkin.text": "⏳ {task} का आधा समय बीत गया ({time} तक)।\n\nअब भी उसी पर हैं?",
+
+  "summary.title": "📊 आज का सारांश ({date})",
+  "summary.planned": "प्लान किए: {n}",
+  "summary.completed": "पूरे किए: {n}",
+  "summary.partial": "आधे: {n}",
+  "summary.skipped": "छोड़े: {n}",
+  "summary.missed": "छूटे: {n}",
+  "summary.checkIns": "चेक-इन: {list}",
+  "summary.hours": "घंटे: {planned} में से {done} घंटे",
+  "summary.focus": "फ़ोकस: {cycles} साइकिल में {minutes} मिनट",
+  "summary.nothingPlanned": "📭 आज कुछ प्लान नहीं था।",
+  "summary.allSkipped": "⏭️ सारे टास्क छोड़े गए, इसलिए गिनने को कुछ नहीं था।",
+  "summary.passed": "✅ दिन पास: स्कोर {score}%, चाहिए था {threshold}%।",
+  "summary.failed": "❌ दिन फ़ेल: स्कोर {score}%, चाहिए था {threshold}%।",
+  "summary.missedHigh": "\nछूटे ज़रूरी टास्क: {tasks}",
+
+  "streak.success": "🔥 स्ट्रीक: {days} दिन",
+  "streak.rest": "🛌 आराम का दिन — स्ट्रीक {days} दिन पर बनी रही।",
+  "streak.freeze": "🧊 स्ट्रीक फ़्रीज़ इस्तेमाल हुआ — स्ट्रीक {days} दिन पर बनी रही ({left} बचे)।",
+  "streak.reset": "❌ स्ट्रीक टूट गई।",
+  "streak.earned": "\n🧊 लगातार {every} दिन के लिए +1 स्ट्रीक फ़्रीज़ ({saved} जमा)।",
+
+  //--------------
+  // Stats & history
+  //--------------
+  "stats.week": "📈 पिछले 7 दिन",
+  "stats.month": "📈 पिछले 30 दिन",
+  "stats.weekly": "📈 साप्ताहिक रिपोर्ट",
+  "stats.range": "{title} ({from} → {to})",
+  "stats.empty": "📭 इस दौरान कोई टास्क नहीं था।",
+  "stats.completion": "पूरा होने की दर: {rate} ({counts})",
+  "stats.successful": "सफल दिन: {days}/{total}",
+  "stats.avgReply": "रिमाइंडर पर औसत जवाब: {minutes} मिनट",
+  "stats.byDay": "📅 दिन के हिसाब से",
+  "stats.byHour": "🕐 समय के हिसाब से",
+  "stats.hour.night": "रात",
+  "stats.hour.morning": "सुबह",
+  "stats.hour.afternoon": "दोपहर",
+  "stats.hour.evening": "शाम",
+  "stats.hour.late": "देर रात",
+  "stats.byTask": "📌 टास्क के हिसाब से",
+  "stats.mostSkipped": "⏭️ सबसे ज़्यादा छोड़े गए",
+  "stats.slipped": "↪️ खिसके हुए\nआगे ले गए {carried}× · टाले {snoozed}×",
+  "stats.streaks": "🔥 स्ट्रीक\nअभी {current} · सबसे लंबी {longest}",
+  "stats.freezes": " · 🧊 {n} फ़्रीज़",
+  "stats.runs": "इस दौरान की स्ट्रीक: {runs} दिन",
+
+  "history.week": "🗂️ पिछले 7 दिन",
+  "history.weekEmpty": "📭 पिछले 7 दिनों का कोई इतिहास नहीं है।",
+  "history.replies": "जवाब ~{minutes} मिनट में",
+  "history.usage": "❌ ऐसे लिखें:\n/history\n/history 2026-01-31\n/history week",
+  "history.empty": "📭 {date} को कोई टास्क नहीं था।",
+  "history.title": "🗂️ इतिहास ({date})",
+  "history.replied": "{minutes} मिनट में जवाब",
+
+  "export.link": "🔑 नया एक्सपोर्ट लिंक (पुराना लिंक अब काम नहीं करेगा):\n\n{url}\n\nइसे अपने कैलेंडर में सब्सक्रिप्शन की तरह जोड़ें, या ics की जगह csv / json लिखें।\nAPI यह हेडर भी लेता है:\nAuthorization: Bearer {token}",
+  "export.usage": "❓ ऐसे लिखें:\n/export csv\n/export json\n/export ics\n/export link  → इन्हीं फ़ाइलों का निजी URL",
+  "export.empty": "📭 अभी एक्सपोर्ट करने को कुछ नहीं है।",
+  "export.caption": "📦 {count} टास्क",
+  "export.failed": "❌ एक्सपोर्ट फ़ाइल नहीं भेजी जा सकी। एक मिनट बाद फिर कोशिश करें, या /export link इस्तेमाल करें।",
+
+  //--------------
+  // Routines
+  //--------------
+  "routine.daily": "रोज़",
+  "routine.weekdays": "सोम–शुक्र",
+  "routine.every": "हर {days} दिन",
+  "routine.invalid": "❌ रूटीन गलत है।\n\nऐसे लिखें:\n/routine add <शेड्यूल> HH:MM[-HH:MM] <टास्क>\n\nशेड्यूल: daily, weekdays, mon,wed,fri, every 3 days\n\nउदाहरण:\n/routine add weekdays 07:00 Gym",
+  "routine.added": "🔁 रूटीन जुड़ गया:\n{routine}\n\n{date} से शुरू।",
+  "routine.none": "📭 अभी कोई रूटीन नहीं है।\n\nउदाहरण:\n/routine add weekdays 07:00 Gym",
+  "routine.list": "🔁 आपके रूटीन\n\n{routines}\n\nहटाने के लिए: /routine remove <नंबर>",
+  "routine.invalidNumber": "❌ गलत रूटीन नंबर। पहले /routine list देखें।",
+  "routine.removed": "✅ रूटीन हटा दिया: {routine}",
+  "routine.usage": "❓ /routine add, /routine list या /routine remove <नंबर> इस्तेमाल करें।",
+
+  //--------------
+  // Focus sessions
+  //--------------
+  "focus.usage": "/focus 25 — 25 मिनट फ़ोकस\n/focus 25 2 — /plan today के टास्क 2 पर\n/focus 50 x3 break 10 Study Go — 10 मिनट के ब्रेक के साथ 3 साइकिल\n/focus stop",
+  "focus.help": "🎯 फ़ोकस सेशन\n\n{usage}\n\nटास्क न बताएँ तो मैं वह टास्क जोड़ देता हूँ जिस पर आप अभी हैं।",
+  "focus.none": "ℹ️ कोई फ़ोकस सेशन नहीं चल रहा।",
+  "focus.stopped": "⏹️ फ़ोकस रुका। {minutes} मिनट का फ़ोकस पूरा हुआ।",
+  "focus.stoppedCredit": "\n\n{icon} {label} को {status} गिना गया।",
+  "focus.status": "{session}\n\nख़त्म करने के लिए /focus stop।",
+  "focus.limits": "❌ फ़ोकस {minutes} मिनट, ब्रेक {breaks} मिनट, ज़्यादा से ज़्यादा {cycles} साइकिल।\n\nऐसे लिखें:\n{usage}",
+  "focus.running": "⏳ एक फ़ोकस सेशन पहले से चल रहा है। /focus stop से ख़त्म करें।",
+  "focus.on": " — {label}",
+  "focus.cycles": ", {breakMinutes} मिनट के ब्रेक के साथ {cycles} साइकिल",
+  "focus.started": "🎯 फ़ोकस: {minutes} मिनट{what}{cycles}।\n\nसमय होने पर मैसेज करूँगा। /focus stop से पहले ख़त्म करें।",
+  "focus.linked": "\n\nपूरा हुआ फ़ोकस आपके प्लान के \"{task}\" में गिना जाएगा।",
+  "focus.cycleOf": " (साइकिल {cycle}/{cycles})",
+  "focus.focusing": "🎯 फ़ोकस{what}{cycle}: {minutes} मिनट बाकी",
+  "focus.onBreak": "☕ ब्रेक{cycle}: {minutes} मिनट बाकी",
+  "focus.finished": "🏁 फ़ोकस सेशन पूरा: {minutes} मिनट{what}।",
+  "focus.counted": "\n\n{icon} {status} गिना गया।",
+  "focus.break": "☕ साइकिल {cycle}/{cycles} पूरी। {minutes} मिनट आराम करें — मैं फिर बुलाऊँगा।\n\nयहीं रुकने के लिए /focus stop।",
+  "focus.resume": "🎯 ब्रेक ख़त्म। साइकिल {cycle}/{cycles}: {minutes} मिनट{what}। चलिए।",
+
+  //--------------
+  // Goals
+  //--------------
+  "goal.usage": "/goal add \"Learn Go\" #go by 2026-12-31 target 40h\n/goal add \"Read 12 books\" #read target 12 tasks\n/goal done <नंबर>\n/goal remove <नंबर>",
+  "goal.invalid": "❌ लक्ष्य गलत है।\n\nऐसे लिखें:\n{usage}\n\nडेडलाइन और टारगेट ज़रूरी नहीं हैं।",
+  "goal.limit": "❌ एक साथ ज़्यादा से ज़्यादा {max} लक्ष्य हो सकते हैं।",
+  "goal.tagTaken": "❌ #{tag} टैग वाला लक्ष्य पहले से है। कोई और #टैग चुनें।",
+  "goal.added": "🎯 लक्ष्य जुड़ गया: {title} #{tag}\n\nटास्क पर #{tag} लगाएँ ताकि वे इसमें गिने जाएँ:\n10:00-11:00 {title} #{tag}",
+  "goal.addedHours": "\n\nघंटे उन ब्लॉक (शुरू-अंत) से गिने जाते हैं जो आप पूरे करते हैं।",
+  "goal.numberUsage": "❌ ऐसे लिखें: /goal {sub} <नंबर> (/goals देखें)",
+  "goal.reached": "🏁 लक्ष्य पूरा: {title}। शाबाश।",
+  "goal.removed": "🗑️ लक्ष्य हटा दिया: {title}\n\nइसके टास्क आपके इतिहास में रहेंगे।",
+  "goal.none": "📭 अभी कोई लक्ष्य नहीं है।\n\nएक जोड़ें:\n{usage}",
+  "goal.list": "🎯 आपके लक्ष्य\n\n{goals}\n\n{usage}",
+  "goal.tasks": "{count} टास्क",
+  "goal.hoursOf": "{target} में से {done} घंटे",
+  "goal.tasksOf": "{target} में से {tasks}",
+  "goal.doneHours": "{tasks} पूरे, {hours} घंटे",
+  "goal.done": "{tasks} पूरे",
+  "goal.daysLeft": "{days} दिन बाकी",
+  "goal.deadlinePassed": "⌛ डेडलाइन निकल गई",
+  "goal.behind": "⚠️ रफ़्तार से पीछे",
+  "goal.stalled": "\n\n🧭 {days}+ दिन से इनमें कोई प्रगति नहीं:\n{goals}",
+  "goal.stalledLine": "{title} — जैसे 10:00 {title} #{tag}",
+
+  //--------------
+  // Settings & timezone
+  //--------------
+  "settings.usage": "/settings morning {morning}\n/settings plan {plan}\n/settings summary {summary}\n/settings lead 15 (टास्क से कितने मिनट पहले, 0–{maxLead})\n/settings cutoff {cutoff} (किस घंटे से नए टास्क कल में जाएँ)\n/settings quiet 23:00-07:00 | off\n/settings rest sun (या sat,sun) | off\n/settings threshold {threshold} (दिन पास होने का स्कोर, {range}%)\n/settings reset",
+  "settings.describe": "🌅 सुबह: {morning}\n📌 प्लान रिमाइंडर: {plan}\n📊 सारांश: {summary}\n⏰ रिमाइंडर: {lead}\n🌙 नए टास्क कल में जाएँ: {cutoff}\n🔕 शांत समय: {quiet}\n🛌 आराम के दिन: {rest}\n🎯 दिन पास होता है: {threshold}%",
+  "settings.leadBefore": "{minutes} मिनट पहले",
+  "settings.atTaskTime": "टास्क के समय",
+  "settings.never": "कभी नहीं",
+  "settings.noRestDays": "कोई नहीं",
+  "settings.current": "⚙️ आपकी सेटिंग्स (स्थानीय समय)\n\n{settings}\n\nबदलने के लिए:\n{usage}",
+  "settings.timeUsage": "❌ ऐसे लिखें: /settings {key} HH:MM",
+  "settings.morningSet": "✅ 🌅 सुबह का मैसेज {time} पर",
+  "settings.planSet": "✅ 📌 प्लान रिमाइंडर {time} पर",
+  "settings.summarySet": "✅ 📊 दिन का सारांश {time} पर",
+  "settings.leadUsage": "❌ ऐसे लिखें: /settings lead <0–{max} मिनट>",
+  "settings.leadSet": "✅ हर टास्क से {minutes} मिनट पहले रिमाइंडर",
+  "settings.leadZero": "✅ टास्क के समय पर रिमाइंडर",
+  "settings.cutoffUsage": "❌ ऐसे लिखें: /settings cutoff <घंटा 1–24> (24 = हमेशा आज)",
+  "settings.cutoffNever": "✅ नए टास्क हमेशा आज में जाएँगे",
+  "settings.cutoffSet": "✅ {time} से नए टास्क कल में जाएँगे",
+  "settings.quietOff": "🔔 शांत समय बंद",
+  "settings.quietUsage": "❌ ऐसे लिखें: /settings quiet 23:00-07:00 | off",
+  "settings.quietSet": "🔕 शांत समय {start}–{end}\n\nतब रिमाइंडर, चेक-इन और तारीफ़/डाँट नहीं आएँगे; सुबह का मैसेज, प्लान रिमाइंडर, सारांश और साप्ताहिक रिपोर्ट शांत समय ख़त्म होने पर आएँगे।",
+  "settings.restUsage": "❌ ऐसे लिखें: /settings rest sun | sat,sun | off (ज़्यादा से ज़्यादा 3 दिन)",
+  "settings.restSet": "🛌 आराम के दिन: {days}\n\nआराम का दिन स्ट्रीक कभी नहीं तोड़ता; उसे पास करने पर फिर भी एक दिन जुड़ता है।",
+  "settings.restOff": "✅ कोई आराम का दिन नहीं",
+  "settings.thresholdUsage": "❌ ऐसे लिखें: /settings threshold <{range}>",
+  "settings.thresholdSet": "🎯 अब दिन {percent}% पर पास होगा\n\nपूरे टास्क पूरे गिने जाते हैं, आधे आधा; {high} !high टास्क ×{highWeight}, {low} !low ×{lowWeight}। छोड़े गए टास्क नहीं गिने जाते।",
+  "settings.reset": "✅ डिफ़ॉल्ट पर वापस\n\n{settings}",
+
+  "timezone.set": "✅ टाइमज़ोन {zone} सेट हुआ\n\nआपका अभी का समय: {time}",
+  "timezone.offsetNote": "\n\nℹ️ तय ऑफ़सेट डेलाइट सेविंग नहीं मानते। ज़ोन का नाम बेहतर है, जैसे /timezone Europe/Berlin",
+  "timezone.invalid": "❌ टाइमज़ोन गलत है।\n\nज़ोन का नाम लिखें (डेलाइट सेविंग के साथ):\n/timezone Asia/Kolkata\n/timezone Europe/Berlin\n/timezone America/New_York\n\nया UTC से मिनट:\n/timezone 330   → IST (UTC+5:30)\n/timezone -300  → EST (UTC-5)",
+
+  "language.current": "🌐 भाषा: {name}\n\nबदलने के लिए:\n{options}",
+  "language.unknown": "❌ यह भाषा उपलब्ध नहीं है। उपलब्ध:\n{options}",
+  "language.set": "✅ भाषा: {name}\n\nअब मैसेज, तारीख़ और समय इसी में होंगे, और कोच भी इसी में जवाब देगा।",
+
+  //--------------
+  // Coach
+  //--------------
+  "persona.sergeant": "🎖️ ड्रिल सार्जेंट",
+  "persona.mentor": "🧘 शांत गुरु",
+  "persona.peer": "🤝 दोस्त",
+  "persona.silent": "🤐 चुप (AI नहीं)",
+  "strictness.gentle": "नरम",
+  "strictness.firm": "सख़्त",
+  "strictness.harsh": "कड़क",
+
+  "coach.describe": "{persona}\nसख़्ती: {strictness}\nभाषा: {language}\nइमोजी: {emoji}",
+  "coach.usage": "/coach persona sergeant | mentor | peer | silent\n/coach strictness gentle | firm | harsh\n/coach language hi (या Hindi, es, ...)\n/coach emoji on | off\n/coach preview",
+  "coach.current": "🎙️ आपका कोच\n\n{coach}\n\nबदलने के लिए:\n{usage}",
+  "coach.persona": "✅ कोच: {label}",
+  "coach.silent": "\n\nAI मैसेज नहीं — बस छोटे, सीधे अपडेट।",
+  "coach.strictnessUsage": "❌ ऐसे लिखें: /coach strictness gentle | firm | harsh",
+  "coach.strictness": "✅ सख़्ती: {name}",
+  "coach.languageUnknown": "❌ यह भाषा नहीं पहचानी। उदाहरण: /coach language hi",
+  "coach.language": "✅ कोच की भाषा: {name}",
+  "coach.languageFallback": "\n\nℹ️ बाकी मैसेज {name} में ही रहेंगे — /language पर देखें कि कौन-सी भाषाएँ उपलब्ध हैं।",
+  "coach.emojiUsage": "❌ ऐसे लिखें: /coach emoji on | off",
+  "coach.emojiOn": "✅ इमोजी चालू 🎉",
+  "coach.emojiOff": "✅ इमोजी बंद",
+  "coach.sampleTask": "जिम",
+  "coach.sampleReply": "इंस्टाग्राम स्क्रॉल कर रहा हूँ",
+  "coach.preview": "👀 आपने \"{task}\" प्लान किया था पर जवाब दिया \"{reply}\"। हर कोच यह कहेगा:",
+  "coach.previewNote": "AI के जवाब भी इसी अंदाज़ में, आपकी भाषा और सख़्ती के साथ आते हैं।",
+
+  "stuck.usage": "❓ बताइए आप कहाँ अटके हैं।\n\nउदाहरण:\n/stuck काम पर ध्यान नहीं लग रहा",
+  "stuck.limit": "⏱️ बहुत ज़्यादा अनुरोध। कल फिर कोशिश करें।",
+  "forget.done": "🧽 हो गया। आपके कोच को अब आज तक की /stuck समस्याएँ और टास्क याद नहीं हैं।\n\nआपके टास्क, स्ट्रीक और /stats वैसे ही हैं।",
+
+  "usage.title": "🧮 AI इस्तेमाल",
+  "usage.today": "📅 आज: {calls} कॉल",
+  "usage.month": "🗓️ इस महीने: {calls} कॉल",
+  "usage.tokens": "टोकन: {value}",
+  "usage.cost": "ख़र्च: {value}",
+  "usage.byType": "मैसेज के हिसाब से:",
+  "usage.typeLine": "• {type}: {calls} कॉल, {tokens} टोकन",
+  "usage.blocked.global": "⚠️ इस महीने बॉट का AI बजट ख़त्म हो गया — अगले महीने तक सादे टेक्स्ट वाली कोचिंग।",
+  "usage.blocked.daily": "⚠️ आपका आज का AI बजट ख़त्म हो गया — रीसेट होने तक सादे टेक्स्ट वाली कोचिंग।",
+  "usage.blocked.monthly": "⚠️ आपका इस महीने का AI बजट ख़त्म हो गया — रीसेट होने तक सादे टेक्स्ट वाली कोचिंग।",
+
+  //--------------
+  // Plain-text coaching (coach.js fallbackText): fallback.<kind>.<persona>
+  //--------------
+  "fallback.nothing": "कुछ नहीं",
+  "fallback.bestDay": "किसी बेहतर दिन",
+  "fallback.worstDay": "अपना सबसे कमज़ोर दिन",
+
+  "fallback.praise.sergeant": "💪 \"{taskName}\" समय पर। यही पैमाना है। बनाए रखो।",
+  "fallback.praise.mentor": "😌 आप \"{taskName}\" प्लान के मुताबिक कर रहे हैं। आदतें ऐसे ही बनती हैं।",
+  "fallback.praise.peer": "🙌 बढ़िया, \"{taskName}\" ठीक समय पर! ऐसे ही चलते रहो।",
+  "fallback.praise.silent": "✅ \"{taskName}\" — सही राह पर।",
+
+  "fallback.scold.sergeant.1": "⚠️ प्लान \"{taskName}\" था, \"{userResponse}\" नहीं। फिर से शुरू करो।",
+  "fallback.scold.sergeant.2": "😡 प्लान था \"{taskName}\" और चुना \"{userResponse}\"। छोड़ो उसे और काम पर लगो।",
+  "fallback.scold.sergeant.3": "💢 \"{userResponse}\"? तुमने \"{taskName}\" कहा था। कोई बहाना नहीं — अभी शुरू करो।",
+  "fallback.scold.mentor.1": "🌱 इस बार \"{taskName}\" की जगह \"{userResponse}\" हो गया। इसे पहचानिए, और धीरे से फिर शुरू कीजिए।",
+  "fallback.scold.mentor.2": "🧭 आप \"{taskName}\" करना चाहते थे, \"{userResponse}\" नहीं। अभी शुरू करने के लिए क्या चाहिए?",
+  "fallback.scold.mentor.3": "⚖️ \"{taskName}\" की जगह \"{userResponse}\" ने ले ली। इसे स्वीकारिए, और अगले घंटे को सार्थक बनाइए।",
+  "fallback.scold.peer.1": "🙂 अरे, \"{taskName}\" की जगह \"{userResponse}\" हो गया — होता है! वापस आ जाओ?",
+  "fallback.scold.peer.2": "👀 \"{taskName}\" की जगह \"{userResponse}\"? चलो यार, तुम कर सकते हो — शुरू करो।",
+  "fallback.scold.peer.3": "😤 भाई। \"{taskName}\"। \"{userResponse}\" नहीं। बंद करो और काम पर लगो।",
+  "fallback.scold.silent": "❌ \"{taskName}\" — छूट गया।",
+
+  "fallback.morning.sergeant": "🌅 उठो! आज {count} टास्क। पहला समय पर, कोई बहस नहीं।",
+  "fallback.morning.mentor": "☀️ सुप्रभात। आज {count} टास्क — एक-एक करके लीजिए।",
+  "fallback.morning.peer": "🌅 गुड मॉर्निंग! आज लिस्ट में {count} टास्क — चलो निपटाते हैं।",
+  "fallback.morning.silent": "आज {count} टास्क।",
+
+  "fallback.planning.sergeant": "📌 कल का प्लान बनाओ। अभी। बिना प्लान के कोई दिन नहीं जीतता।",
+  "fallback.planning.mentor": "🌙 एक शांत मिनट निकालकर कल का प्लान बनाइए, ताकि सुबह मक़सद के साथ उठें।",
+  "fallback.planning.peer": "📌 अरे, सोने से पहले कल का प्लान बना लें?",
+  "fallback.planning.silent": "कल का प्लान बनाएँ।",
+
+  "fallback.summary.sergeant.pass": "🔥 {completed}/{planned}। दिन {streak}। कल फिर यही करो।",
+  "fallback.summary.sergeant.fail": "⚠️ {completed}/{planned}। काफ़ी नहीं। कल कम बहाने।",
+  "fallback.summary.mentor.pass": "🌱 {completed}/{planned} पूरे। लगातार प्रगति ही असली खेल है।",
+  "fallback.summary.mentor.fail": "🧭 आज {completed}/{planned}। कल कुछ ज़्यादा व्यावहारिक प्लान बनाइए और उसे पूरा कीजिए।",
+  "fallback.summary.peer.pass": "🎉 {completed}/{planned} — बढ़िया दिन! कल फिर ऐसा ही?",
+  "fallback.summary.peer.fail": "🤝 आज {completed}/{planned}। कल नई शुरुआत है — फिर चलते हैं।",
+  "fallback.summary.silent.pass": "",
+  "fallback.summary.silent.fail": "",
+
+  "fallback.stuck.sergeant": "1. \"{problem}\" के लिए अगला ठोस काम तय करो।\n2. 10 मिनट का टाइमर लगाओ। बस वही करो।\n3. फ़ोन दूसरे कमरे में। शुरू।",
+  "fallback.stuck.mentor": "1. \"{problem}\" का सबसे छोटा अगला कदम लिखिए।\n2. उसे 10 शांत, एकाग्र मिनट दीजिए।\n3. देखिए किस चीज़ से मदद मिली, और वहीं से आगे बढ़िए।",
+  "fallback.stuck.peer": "1. \"{problem}\" का सबसे छोटा अगला कदम क्या है? बस वही करो।\n2. 10 मिनट का टाइमर, फ़ोन दूर।\n3. बताना कैसा रहा!",
+  "fallback.stuck.silent": "1. \"{problem}\" का अगला कदम।\n2. 10 मिनट, कोई भटकाव नहीं।",
+
+  "fallback.report.sergeant": "📈 {completionPercent}%। {worstDay} सुधारो।",
+  "fallback.report.sergeant.skipped": "📈 {completionPercent}%। \"{mostSkipped}\" बार-बार छूट रहा है — ठीक करो।",
+  "fallback.report.mentor": "📈 इस हफ़्ते {completionPercent}%। जो लय काम आई, उसे बनाए रखिए।",
+  "fallback.report.mentor.skipped": "📈 इस हफ़्ते {completionPercent}%। \"{mostSkipped}\" को छोटा करने या {bestDay} पर ले जाने के बारे में सोचिए।",
+  "fallback.report.peer": "📈 {completionPercent}% — बुरा नहीं! अगले हफ़्ते इससे आगे चलते हैं।",
+  "fallback.report.peer.skipped": "📈 {completionPercent}% — बुरा नहीं! पर \"{mostSkipped}\"... इसका कुछ हल निकालते हैं।",
+  "fallback.report.silent": "",
+  "fallback.report.silent.skipped": "",
+
+  //--------------
+  // Partners
+  //--------------
+  "share.counts": "सिर्फ़ गिनती",
+  "share.tasks": "गिनती और टास्क के नाम",
+
+  "buddy.usage": "/buddy invite — पार्टनर के लिए कोड पाएँ\n/buddy accept <कोड> — पार्टनर से जुड़ें\n/buddy remove <नंबर>\n/buddy share counts | tasks — पार्टनर और ग्रुप क्या देखें",
+  "buddy.invite": "🤝 इसे अपने पार्टनर को भेजें ({hours} घंटे तक मान्य):\n\n/buddy accept {code}\n\nजब कोई टास्क छोड़ेगा या दिन पूरा करेगा, दोनों को पता चलेगा।",
+  "buddy.acceptUsage": "❌ ऐसे लिखें: /buddy accept <कोड>",
+  "buddy.codeInvalid": "❌ यह कोड गलत है या इसकी मियाद ख़त्म हो गई। नया /buddy invite माँगें।",
+  "buddy.ownCode": "🙃 यह आपका अपना इनवाइट है — इसे अपने पार्टनर को भेजें।",
+  "buddy.already": "🤝 आप पहले से पार्टनर हैं।",
+  "buddy.limit": "❌ हर किसी के ज़्यादा से ज़्यादा {max} पार्टनर हो सकते हैं।",
+  "buddy.paired": "🤝 आप और {name} अब अकाउंटेबिलिटी पार्टनर हैं।",
+  "buddy.accepted": "🤝 {name} ने आपका इनवाइट मान लिया — अब आप अकाउंटेबिलिटी पार्टनर हैं।",
+  "buddy.removeUsage": "❌ ऐसे लिखें: /buddy remove <नंबर> (/buddy देखें)",
+  "buddy.removed": "👋 {name} हटा दिए गए।",
+  "buddy.partner": "पार्टनर",
+  "buddy.yourPartner": "आपका पार्टनर",
+  "buddy.shareUsage": "❌ ऐसे लिखें: /buddy share counts | tasks",
+  "buddy.share": "🔒 पार्टनर और ग्रुप अब देखेंगे: {level}",
+  "buddy.none": "अभी कोई पार्टनर नहीं है।",
+  "buddy.list": "🤝 अकाउंटेबिलिटी पार्टनर\n\n{buddies}\n\n🔒 वे देखते हैं: {level}\n\n{usage}",
+  "buddy.missed": "👀 {name} से अभी \"{task}\" छूट गया। थोड़ा याद दिलाना मदद कर सकता है।",
+  "buddy.missedTask": "👀 {name} से अभी एक टास्क छूट गया। थोड़ा याद दिलाना मदद कर सकता है।",
+  "buddy.dayPassed": "🔥 {name} ने दिन पूरा किया: {completed}/{planned} पूरे · स्ट्रीक {streak}",
+  "buddy.dayFailed": "📉 {name} ने दिन पूरा किया: {completed}/{planned} पूरे · स्ट्रीक टूटी",
+};
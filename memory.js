@@ -0,0 +1,109 @@
+import { pool } from "./db.js";
+import { getDatePlusDays } from "./time.js";
+
+//--------------
+// Coach memory
+// A compact summary of what the user has been doing — streak, how each task went
+// over the last week, today so far and recent /stuck problems — that ai.js adds to
+// praise, scold, morning, summary and stuck prompts. Most telling lines come first
+// and the whole thing is cut at MEMORY_MAX_CHARS (default 700).
+// /forget drops the /stuck history and hides tasks up to that day (users.memory_since).
+//--------------
+export const MEMORY_KINDS = new Set(["praise", "scold", "morning", "summary", "stuck"]);
+
+const HISTORY_DAYS = 7;
+const STUCK_DAYS = 14;
+const MAX_TASK_LINES = 6;
+const MAX_STUCK_LINES = 3;
+const MISSED = new Set(["missed", "skipped"]);
+
+function maxChars() {
+  return Number(process.env.MEMORY_MAX_CHARS) || 700;
+}
+
+export async function rememberStuck(userId, problem) {
+  await pool.query(`INSERT INTO stuck_problems (user_id, problem) VALUES ($1, $2)`, [userId, problem.slice(0, 200)]);
+}
+
+export async function forgetUser(userId, today) {
+  await pool.query(`DELETE FROM stuck_problems WHERE user_id = $1`, [userId]);
+  await pool.query(`UPDATE users SET memory_since = $2 WHERE id = $1`, [userId, today]);
+}
+
+// One line per task name over the last week; tasks on a losing run come first
+function taskLines(rows) {
+  const byName = new Map();
+  for (const row of rows) {
+    const key = row.task_name.trim().toLowerCase();
+    if (!byName.has(key)) byName.set(key, { name: row.task_name.trim(), statuses: [] });
+    byName.get(key).statuses.push(row.status);
+  }
+  const tasks = [...byName.values()].map(({ name, statuses }) => {
+    let run = 0;
+    while (run < statuses.length && MISSED.has(statuses[statuses.length - 1 - run])) run++;
+    const done = statuses.filter(s => s === "done").length;
+    const partial = statuses.filter(s => s === "partial").length;
+    return { name, total: statuses.length, done, partial, run };
+  });
+  tasks.sort((a, b) => b.run - a.run || b.total - a.total);
+  return tasks.slice(0, MAX_TASK_LINES).map(t => {
+    let line = `- "${t.name}": done ${t.done}/${t.total}`;
+    if (t.partial) line += `, partly ${t.partial}`;
+    if (t.run >= 2) line += `, missed or skipped the last ${t.run} in a row`;
+    return line;
+  });
+}
+
+// Prompt section for `userId` as of their local `date`; "" when there's nothing to tell
+export async function buildMemory(userId, date) {
+  const user = await pool.query(`SELECT memory_since FROM users WHERE id = $1`, [userId]);
+  const since = user.rows[0]?.memory_since || null;
+  const from = getDatePlusDays(date, -HISTORY_DAYS);
+
+  const [stats, history, today, stuck] = await Promise.all([
+    pool.query(`SELECT current_streak, longest_streak FROM user_stats WHERE user_id = $1`, [userId]),
+    pool.query(
+      `SELECT task_name, status FROM tasks
+       WHERE user_id = $1 AND task_date BETWEEN $2 AND $3 AND ($4::date IS NULL OR task_date > $4)
+       AND status <> 'pending' ORDER BY task_date, task_time`,
+      [userId, from, getDatePlusDays(date, -1), since]
+    ),
+    pool.query(
+      `SELECT task_name, status FROM tasks
+       WHERE user_id = $1 AND task_date = $2 AND ($3::date IS NULL OR task_date > $3)
+       ORDER BY task_time`,
+      [userId, date, since]
+    ),
+    pool.query(
+      `SELECT problem FROM stuck_problems
+       WHERE user_id = $1 AND created_at > NOW() - $2 * interval '1 day'
+       ORDER BY created_at DESC LIMIT $3`,
+      [userId, STUCK_DAYS, MAX_STUCK_LINES]
+    ),
+  ]);
+
+  const lines = [];
+  const streak = stats.rows[0];
+  if (streak?.current_streak > 0) {
+    lines.push(`Streak: ${streak.current_streak} successful day(s) in a row (best ${streak.longest_streak}).`);
+  }
+  if (today.rows.length > 0) {
+    const settled = today.rows.filter(t => t.status !== "pending").map(t => `"${t.task_name}" ${t.status}`);
+    const pending = today.rows.length - settled.length;
+    lines.push(`Today: ${[...settled, ...(pending ? [`${pending} still to do`] : [])].join(", ")}.`);
+  }
+  if (history.rows.length > 0) {
+    lines.push(`Last ${HISTORY_DAYS} days:`, ...taskLines(history.rows));
+  }
+  if (stuck.rows.length > 0) {
+    lines.push(`Recently stuck on: ${stuck.rows.map(r => `"${r.problem}"`).join("; ")}.`);
+  }
+
+  let memory = "";
+  for (const line of lines) {
+    if (memory.length + line.length + 1 > maxChars()) break;
+    memory += (memory ? "\n" : "") + line;
+  }
+  // Don't leave a heading whose lines were cut
+  return memory.replace(/\n?[^\n]*:$/, "");
+}
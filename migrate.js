@@ -0,0 +1,146 @@
+import "dotenv/config";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "./db.js";
+
+//--------------
+// Schema migrations
+// migrations/NNN_name.sql, each with a "-- migrate:up" and a "-- migrate:down" section.
+// Applied versions are recorded in schema_migrations. Every migration runs in its own
+// transaction, under an advisory lock so two deploys can't migrate at the same time.
+//
+//   node migrate.js             → apply everything pending (npm run migrate)
+//   node migrate.js up [n]      → apply the next n
+//   node migrate.js down [n]    → roll back the last n (default 1)
+//   node migrate.js status
+//--------------
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const SECTIONS_RE = /^-- migrate:up[ \t]*$([\s\S]*?)^-- migrate:down[ \t]*$([\s\S]*)/m;
+
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter(f => /^\d+_.+\.sql$/.test(f)).sort();
+  return Promise.all(files.map(async file => {
+    const sections = (await fs.readFile(path.join(MIGRATIONS_DIR, file), "utf8")).match(SECTIONS_RE);
+    if (!sections) throw new Error(`${file}: needs "-- migrate:up" and "-- migrate:down" sections`);
+    return { version: parseInt(file, 10), name: file.replace(/\.sql$/, ""), up: sections[1], down: sections[2] };
+  }));
+}
+
+async function appliedVersions(client) {
+  const exists = await client.query("SELECT to_regclass('schema_migrations') AS name");
+  if (!exists.rows[0].name) return [];
+  const result = await client.query("SELECT version FROM schema_migrations ORDER BY version ASC");
+  return result.rows.map(r => r.version);
+}
+
+// Migrations on disk the database hasn't applied yet (the startup check in index.js)
+export async function pendingMigrations() {
+  const applied = new Set(await appliedVersions(pool));
+  return (await loadMigrations()).filter(m => !applied.has(m.version));
+}
+
+async function withMigrationLock(work) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    try {
+      await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+           version INTEGER PRIMARY KEY,
+           name TEXT NOT NULL,
+           applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+         )`
+      );
+      return await work(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function inTransaction(client, work) {
+  await client.query("BEGIN");
+  try {
+    await work();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// Applies up to `steps` pending migrations in order; returns their names
+export async function migrateUp(steps = Infinity) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async client => {
+    const applied = new Set(await appliedVersions(client));
+    const pending = migrations.filter(m => !applied.has(m.version)).slice(0, steps);
+    for (const migration of pending) {
+      await inTransaction(client, async () => {
+        await client.query(migration.up);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name]
+        );
+      });
+      console.log(`⬆️  ${migration.name}`);
+    }
+    return pending.map(m => m.name);
+  });
+}
+
+// Rolls back the last `steps` applied migrations; returns their names
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async client => {
+    const versions = (await appliedVersions(client)).reverse().slice(0, steps);
+    const rolledBack = [];
+    for (const version of versions) {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+      await inTransaction(client, async () => {
+        await client.query(migration.down);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+      });
+      console.log(`⬇️  ${migration.name}`);
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+async function printStatus() {
+  const applied = new Set(await appliedVersions(pool));
+  for (const m of await loadMigrations()) console.log(`${applied.has(m.version) ? "✅" : "⏳"} ${m.name}`);
+}
+
+//--------------
+// CLI
+//--------------
+async function main([command = "up", count]) {
+  const steps = count === undefined ? undefined : parseInt(count, 10);
+  if (count !== undefined && !(steps > 0)) throw new Error(`Invalid step count "${count}"`);
+  switch (command) {
+    case "up": {
+      const done = await migrateUp(steps);
+      if (done.length === 0) console.log("Schema is up to date.");
+      break;
+    }
+    case "down":
+      if ((await migrateDown(steps)).length === 0) console.log("Nothing to roll back.");
+      break;
+    case "status":
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}" (use up, down or status)`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .catch(err => { console.error("Migration failed:", err.message, err.hint ? `\n${err.hint}` : ""); process.exitCode = 1; })
+    .finally(() => pool.end());
+}
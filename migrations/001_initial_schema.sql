@@ -0,0 +1,204 @@
+-- Baseline schema. Safe to run against a database that was set up by hand before
+-- migrations existed: tables are created if missing and every column is added if missing.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  chat_id BIGINT NOT NULL
+);
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone_offset INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS timezone TEXT,
+  ADD COLUMN IF NOT EXISTS ai_calls_today INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS ai_reset_date DATE,
+  ADD COLUMN IF NOT EXISTS stuck_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS stuck_reset_date DATE,
+  ADD COLUMN IF NOT EXISTS export_token_hash TEXT,
+  ADD COLUMN IF NOT EXISTS inactive_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS inactive_reason TEXT,
+  ADD COLUMN IF NOT EXISTS coach_persona TEXT,
+  ADD COLUMN IF NOT EXISTS coach_strictness SMALLINT,
+  ADD COLUMN IF NOT EXISTS language TEXT,
+  ADD COLUMN IF NOT EXISTS coach_emoji BOOLEAN NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS memory_since DATE,
+  ADD COLUMN IF NOT EXISTS morning_time TIME,
+  ADD COLUMN IF NOT EXISTS plan_time TIME,
+  ADD COLUMN IF NOT EXISTS summary_time TIME,
+  ADD COLUMN IF NOT EXISTS reminder_lead INTEGER,
+  ADD COLUMN IF NOT EXISTS plan_cutoff_hour INTEGER,
+  ADD COLUMN IF NOT EXISTS quiet_start TIME,
+  ADD COLUMN IF NOT EXISTS quiet_end TIME,
+  ADD COLUMN IF NOT EXISTS display_name TEXT,
+  ADD COLUMN IF NOT EXISTS share_level TEXT NOT NULL DEFAULT 'counts',
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS routines (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE
+);
+ALTER TABLE routines
+  ADD COLUMN IF NOT EXISTS recurrence TEXT NOT NULL DEFAULT 'daily',
+  ADD COLUMN IF NOT EXISTS weekdays INTEGER[],
+  ADD COLUMN IF NOT EXISTS interval_days INTEGER,
+  ADD COLUMN IF NOT EXISTS start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  ADD COLUMN IF NOT EXISTS task_time TIME NOT NULL DEFAULT '00:00',
+  ADD COLUMN IF NOT EXISTS end_time TIME,
+  ADD COLUMN IF NOT EXISTS task_name TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE TABLE IF NOT EXISTS routine_skips (
+  routine_id INTEGER NOT NULL REFERENCES routines(id) ON DELETE CASCADE,
+  skip_date DATE NOT NULL,
+  PRIMARY KEY (routine_id, skip_date)
+);
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE
+);
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS task_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  ADD COLUMN IF NOT EXISTS task_time TIME NOT NULL DEFAULT '00:00',
+  ADD COLUMN IF NOT EXISTS end_time TIME,
+  ADD COLUMN IF NOT EXISTS task_name TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS routine_id INTEGER REFERENCES routines(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending',
+  ADD COLUMN IF NOT EXISTS skip_reason TEXT,
+  ADD COLUMN IF NOT EXISTS status_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS user_response TEXT,
+  ADD COLUMN IF NOT EXISTS verdict TEXT,
+  ADD COLUMN IF NOT EXISTS verdict_confidence REAL,
+  ADD COLUMN IF NOT EXISTS verdict_source TEXT,
+  ADD COLUMN IF NOT EXISTS reminder_sent BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS reminded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS responded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS checkin_sent BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS praised BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS scolded BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS snooze_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS carried_from INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+-- Tasks from before outcomes existed only have praised/scolded: praised ones were done,
+-- scolded ones and anything left over from earlier days were missed. Yesterday counts as
+-- today for users behind UTC, so only older pending tasks are closed here; the daily
+-- reset handles the rest. Rows the new code has touched (status_at set) are left alone.
+UPDATE tasks SET
+  status    = CASE WHEN praised THEN 'done' ELSE 'missed' END,
+  status_at = NOW(),
+  closed_at = CASE WHEN task_date < CURRENT_DATE - 1 THEN NOW() END
+WHERE status = 'pending' AND status_at IS NULL AND closed_at IS NULL
+  AND (praised OR scolded OR task_date < CURRENT_DATE - 1);
+
+CREATE TABLE IF NOT EXISTS user_stats (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  current_streak INTEGER NOT NULL DEFAULT 0,
+  longest_streak INTEGER NOT NULL DEFAULT 0,
+  last_success_date DATE,
+  last_summary_date DATE
+);
+
+CREATE TABLE IF NOT EXISTS user_events (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL,
+  event_date DATE NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS processed_updates (
+  update_id BIGINT PRIMARY KEY,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS outbox (
+  id SERIAL PRIMARY KEY,
+  chat_id BIGINT NOT NULL,
+  method TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  not_before TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name TEXT NOT NULL,
+  trigger TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  due_at TIMESTAMPTZ,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  users_processed INTEGER NOT NULL DEFAULT 0,
+  errors INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  usage_date DATE NOT NULL,
+  message_type TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS stuck_problems (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  problem TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS buddy_invites (
+  code TEXT PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS buddies (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  buddy_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, buddy_id)
+);
+
+CREATE TABLE IF NOT EXISTS groups (
+  chat_id BIGINT PRIMARY KEY,
+  title TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_chat_id BIGINT NOT NULL REFERENCES groups(chat_id) ON UPDATE CASCADE ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (group_chat_id, user_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS groups;
+DROP TABLE IF EXISTS buddies;
+DROP TABLE IF EXISTS buddy_invites;
+DROP TABLE IF EXISTS stuck_problems;
+DROP TABLE IF EXISTS ai_usage;
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS outbox;
+DROP TABLE IF EXISTS processed_updates;
+DROP TABLE IF EXISTS user_events;
+DROP TABLE IF EXISTS user_stats;
+DROP TABLE IF EXISTS tasks;
+DROP TABLE IF EXISTS routine_skips;
+DROP TABLE IF EXISTS routines;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,60 @@
+-- Unique constraints the ON CONFLICT clauses depend on, and indexes for the
+-- per-user, per-day lookups every scheduled job makes.
+
+-- migrate:up
+-- Duplicates from before the constraint existed would block it; keep the oldest row
+DELETE FROM user_events a USING user_events b
+WHERE a.user_id = b.user_id AND a.event_type = b.event_type AND a.event_date = b.event_date AND a.id > b.id;
+CREATE UNIQUE INDEX IF NOT EXISTS user_events_once_per_day ON user_events (user_id, event_type, event_date);
+
+-- getOrCreateUser used to select, then insert, so two first messages at once could create
+-- a chat twice. Each copy may own tasks and stats, so stop and name them instead of guessing.
+DO $$
+DECLARE
+  duplicates TEXT;
+BEGIN
+  SELECT string_agg(chat_id::text || ' (users ' || ids || ')', ', ') INTO duplicates
+  FROM (
+    SELECT chat_id, string_agg(id::text, ', ' ORDER BY id) AS ids
+    FROM users GROUP BY chat_id HAVING COUNT(*) > 1
+  ) d;
+  IF duplicates IS NOT NULL THEN
+    RAISE EXCEPTION 'users has duplicate chat_ids: %', duplicates
+      USING HINT = 'Keep one row per chat_id (point the other rows'' tasks and stats at it, then delete them) and run the migration again.';
+  END IF;
+END $$;
+CREATE UNIQUE INDEX IF NOT EXISTS users_chat_id ON users (chat_id);
+CREATE UNIQUE INDEX IF NOT EXISTS users_export_token_hash ON users (export_token_hash);
+
+CREATE UNIQUE INDEX IF NOT EXISTS tasks_routine_occurrence ON tasks (routine_id, task_date);
+CREATE INDEX IF NOT EXISTS tasks_user_date ON tasks (user_id, task_date);
+CREATE INDEX IF NOT EXISTS tasks_carried_from ON tasks (carried_from) WHERE carried_from IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS routines_user ON routines (user_id);
+CREATE INDEX IF NOT EXISTS processed_updates_received_at ON processed_updates (received_at);
+CREATE INDEX IF NOT EXISTS outbox_due ON outbox (next_attempt_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS outbox_chat ON outbox (chat_id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS job_runs_job_started ON job_runs (job_name, started_at DESC);
+CREATE INDEX IF NOT EXISTS ai_usage_user_date ON ai_usage (user_id, usage_date);
+CREATE INDEX IF NOT EXISTS ai_usage_created_at ON ai_usage (created_at);
+CREATE INDEX IF NOT EXISTS stuck_problems_user ON stuck_problems (user_id, created_at);
+CREATE INDEX IF NOT EXISTS buddy_invites_user ON buddy_invites (user_id);
+CREATE INDEX IF NOT EXISTS group_members_user ON group_members (user_id);
+
+-- migrate:down
+DROP INDEX IF EXISTS group_members_user;
+DROP INDEX IF EXISTS buddy_invites_user;
+DROP INDEX IF EXISTS stuck_problems_user;
+DROP INDEX IF EXISTS ai_usage_created_at;
+DROP INDEX IF EXISTS ai_usage_user_date;
+DROP INDEX IF EXISTS job_runs_job_started;
+DROP INDEX IF EXISTS outbox_chat;
+DROP INDEX IF EXISTS outbox_due;
+DROP INDEX IF EXISTS processed_updates_received_at;
+DROP INDEX IF EXISTS routines_user;
+DROP INDEX IF EXISTS tasks_carried_from;
+DROP INDEX IF EXISTS tasks_user_date;
+DROP INDEX IF EXISTS tasks_routine_occurrence;
+DROP INDEX IF EXISTS users_export_token_hash;
+DROP INDEX IF EXISTS users_chat_id;
+DROP INDEX IF EXISTS user_events_once_per_day;
@@ -0,0 +1,26 @@
+-- Long-term goals (goals.js) and the tasks and routines that count towards them.
+
+-- migrate:up
+CREATE TABLE goals (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  deadline DATE,
+  target_hours NUMERIC,
+  target_tasks INTEGER,
+  nudged_on DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX goals_active_tag ON goals (user_id, tag) WHERE completed_at IS NULL;
+
+ALTER TABLE tasks ADD COLUMN goal_id INTEGER REFERENCES goals(id) ON DELETE SET NULL;
+ALTER TABLE routines ADD COLUMN goal_id INTEGER REFERENCES goals(id) ON DELETE SET NULL;
+CREATE INDEX tasks_goal ON tasks (goal_id) WHERE goal_id IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS tasks_goal;
+ALTER TABLE routines DROP COLUMN IF EXISTS goal_id;
+ALTER TABLE tasks DROP COLUMN IF EXISTS goal_id;
+DROP TABLE IF EXISTS goals;
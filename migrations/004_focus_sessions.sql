@@ -0,0 +1,27 @@
+-- Focus sessions (focus.js): persisted timers, so a restart doesn't lose them.
+
+-- migrate:up
+CREATE TABLE focus_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  task_id INTEGER REFERENCES tasks(id) ON DELETE SET NULL,
+  label TEXT,
+  session_date DATE NOT NULL,
+  focus_minutes INTEGER NOT NULL,
+  break_minutes INTEGER NOT NULL,
+  cycles INTEGER NOT NULL,
+  cycle INTEGER NOT NULL DEFAULT 1,
+  phase TEXT NOT NULL DEFAULT 'focus',
+  phase_ends_at TIMESTAMPTZ NOT NULL,
+  cycles_done INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'active',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX focus_sessions_one_active ON focus_sessions (user_id) WHERE status = 'active';
+CREATE INDEX focus_sessions_due ON focus_sessions (phase_ends_at) WHERE status = 'active';
+CREATE INDEX focus_sessions_task ON focus_sessions (task_id) WHERE task_id IS NOT NULL;
+CREATE INDEX focus_sessions_user_date ON focus_sessions (user_id, session_date);
+
+-- migrate:down
+DROP TABLE IF EXISTS focus_sessions;
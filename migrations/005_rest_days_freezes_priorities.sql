@@ -0,0 +1,21 @@
+-- Task priorities, rest days, per-user success threshold and streak freezes (stats.js).
+
+-- migrate:up
+ALTER TABLE tasks ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal';
+ALTER TABLE routines ADD COLUMN priority TEXT NOT NULL DEFAULT 'normal';
+
+ALTER TABLE users
+  ADD COLUMN rest_days INTEGER[],
+  ADD COLUMN success_threshold INTEGER;
+
+-- streak_date: the last day that kept the streak going (passed, rest day or freeze)
+ALTER TABLE user_stats
+  ADD COLUMN streak_date DATE,
+  ADD COLUMN freezes INTEGER NOT NULL DEFAULT 0;
+UPDATE user_stats SET streak_date = last_success_date;
+
+-- migrate:down
+ALTER TABLE user_stats DROP COLUMN IF EXISTS freezes, DROP COLUMN IF EXISTS streak_date;
+ALTER TABLE users DROP COLUMN IF EXISTS success_threshold, DROP COLUMN IF EXISTS rest_days;
+ALTER TABLE routines DROP COLUMN IF EXISTS priority;
+ALTER TABLE tasks DROP COLUMN IF EXISTS priority;
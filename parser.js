@@ -0,0 +1,145 @@
+import { getLocalParts, getDatePlusDays } from "./time.js";
+
+//--------------
+// Natural-language task parsing
+// Turns lines like these into { date, time, end, name }:
+//   gym at 7am
+//   call mom in 45 minutes
+//   study Go 3pm-5pm tomorrow
+//   lunch 12:30
+//   team sync friday 10:30am
+// Returns null when no time can be found, so the caller can try the AI parser.
+//--------------
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const TIME = String.raw`(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?`;
+const RANGE_RE = new RegExp(String.raw`(?:\bfrom\s+)?\b${TIME}\s*(?:-|–|\bto\b|\buntil\b|\btill\b)\s*${TIME}(?![\w:])`, "i");
+const MERIDIEM_RE = new RegExp(String.raw`(?:\b(?:at|@)\s*)?\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)(?!\w)`, "i");
+const CLOCK_RE = /(?:\b(?:at|@)\s*)?\b([01]?\d|2[0-3]):([0-5]\d)\b/i;
+const BARE_AT_RE = /(?:\bat|@)\s*(\d{1,2})\b(?![:.]\d)/i;
+const NAMED_RE = /(?:\bat\s+)?\b(noon|midday|midnight)\b/i;
+const RELATIVE_RE = /\bin\s+(?:(\d+(?:\.\d+)?)|an?|half\s+an)\s*(minutes?|mins?|m|hours?|hrs?|h)\b(?:\s*(?:and\s*)?(\d+)\s*(?:minutes?|mins?|m)\b)?/i;
+const DAY_RE = /\b(?:on\s+)?(?:next\s+)?(today|tonight|tomorrow|tmrw|tmr|sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i;
+
+const pad = n => String(n).padStart(2, "0");
+
+function meridiemOf(text) {
+  return text ? text.replace(/\./g, "").toLowerCase() : null;
+}
+
+// Hour/minute/am-pm → minutes of day. Bare hours without am/pm are guessed:
+// 1–6 → afternoon, 7–11 → morning ("gym at 7" is 07:00, "call at 3" is 15:00).
+function toMinutes(hour, minute, meridiem, { evening = false, guess = true } = {}) {
+  let h = hour;
+  if (h > 23 || minute > 59) return null;
+  if (meridiem) {
+    if (h < 1 || h > 12) return null;
+    if (meridiem === "pm" && h < 12) h += 12;
+    if (meridiem === "am" && h === 12) h = 0;
+  } else if (guess && h >= 1 && h <= 11 && (evening || h <= 6)) {
+    h += 12;
+  }
+  return h * 60 + minute;
+}
+
+function formatMinutes(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function cleanName(text) {
+  return text
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,;:\-–@]+|[\s,;:\-–@]+$/g, "")
+    .replace(/\s+\b(at|on|from|by|for)$/i, "")
+    .replace(/^(at|on|from|by)\s+/i, "")
+    .trim();
+}
+
+// Words that place a task in time without a clock time ("gym after lunch", "call at seven").
+// Lines without any of these, or a digit, aren't sent to the AI parser: they're small talk.
+const TIME_HINT_RE = /\d|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|half|quarter|noon|midday|midnight|morning|afternoon|evening|night|tonight|today|tomorrow|tmrw|tmr|breakfast|lunch|dinner|bed|sunday|monday|tuesday|wednesday|thursday|friday|saturday|weekend|hours?|minutes?|mins?)\b/i;
+
+export function looksLikeTask(line) {
+  return TIME_HINT_RE.test(line);
+}
+
+// ctx: { zone, today: "YYYY-MM-DD", activeDate: "YYYY-MM-DD", now?: ms since epoch }
+export function parseNaturalTask(line, ctx) {
+  let rest = line.trim();
+  const cut = match => { rest = rest.slice(0, match.index) + " " + rest.slice(match.index + match[0].length); };
+
+  // Explicit day
+  let date = null, evening = false;
+  const dayMatch = rest.match(DAY_RE);
+  if (dayMatch) {
+    const day = dayMatch[1].toLowerCase();
+    if (day === "today" || day === "tonight") {
+      date = ctx.today;
+      evening = day === "tonight";
+    } else if (day.startsWith("tm") || day === "tomorrow") {
+      date = getDatePlusDays(ctx.today, 1);
+    } else {
+      const todayDow = new Date(`${ctx.today}T00:00:00Z`).getUTCDay();
+      const ahead = (WEEKDAYS.indexOf(day) - todayDow + 7) % 7;
+      date = getDatePlusDays(ctx.today, ahead === 0 && /next/i.test(dayMatch[0]) ? 7 : ahead);
+    }
+    cut(dayMatch);
+  }
+
+  // "in 45 minutes" — relative to now, so it ignores the planning cutoff
+  const relMatch = rest.match(RELATIVE_RE);
+  if (relMatch) {
+    const amount = relMatch[1] ? parseFloat(relMatch[1]) : /half/i.test(relMatch[0]) ? 0.5 : 1;
+    const unitMinutes = /^h/i.test(relMatch[2]) ? 60 : 1;
+    const extra = relMatch[3] ? parseInt(relMatch[3], 10) : 0;
+    const delta = Math.round(amount * unitMinutes + extra);
+    if (delta <= 0 || delta > 24 * 60) return null;
+    cut(relMatch);
+    const name = cleanName(rest);
+    if (!name) return null;
+    const local = getLocalParts(ctx.zone, (ctx.now || Date.now()) + delta * 60000);
+    return { date: local.date, time: local.time, end: null, name };
+  }
+
+  let start = null, end = null;
+  const rangeMatch = rest.match(RANGE_RE);
+  if (rangeMatch) {
+    const [, h1, m1 = "0", ap1, h2, m2 = "0", ap2] = rangeMatch;
+    let mer1 = meridiemOf(ap1);
+    const mer2 = meridiemOf(ap2);
+    const hasClock = rangeMatch[2] !== undefined || rangeMatch[5] !== undefined;
+    end = toMinutes(+h2, +m2, mer2, { evening, guess: !hasClock });
+    if (!mer1 && mer2) {
+      // "3-5pm" shares the am/pm; "11-1pm" crosses noon
+      start = toMinutes(+h1, +m1, mer2);
+      if (start !== null && end !== null && start > end) start = toMinutes(+h1, +m1, mer2 === "pm" ? "am" : "pm");
+    } else {
+      start = toMinutes(+h1, +m1, mer1, { evening, guess: !hasClock });
+    }
+    if (start !== null && end !== null && end <= start && !mer2 && end + 12 * 60 < 24 * 60) end += 12 * 60;
+    if (start === null || end === null || end <= start) return null;
+    cut(rangeMatch);
+  } else {
+    let m;
+    if ((m = rest.match(MERIDIEM_RE))) {
+      start = toMinutes(+m[1], +(m[2] || 0), meridiemOf(m[3]));
+    } else if ((m = rest.match(CLOCK_RE))) {
+      start = toMinutes(+m[1], +m[2], null, { guess: false });
+    } else if ((m = rest.match(NAMED_RE))) {
+      start = m[1].toLowerCase() === "midnight" ? 0 : 12 * 60;
+    } else if ((m = rest.match(BARE_AT_RE))) {
+      start = toMinutes(+m[1], 0, null, { evening });
+    }
+    if (!m || start === null) return null;
+    cut(m);
+  }
+
+  const name = cleanName(rest);
+  if (!name) return null;
+  return {
+    date: date || ctx.activeDate,
+    time: formatMinutes(start),
+    end: end === null ? null : formatMinutes(end),
+    name,
+  };
+}
@@ -0,0 +1,75 @@
+import OpenAI from "openai";
+
+/* =========================
+   LLM providers
+   Chosen with AI_PROVIDER:
+     openai      → OpenAI (OPENAI_API_KEY)
+     compatible  → any OpenAI-compatible server, e.g. Ollama or llama.cpp
+                   (AI_BASE_URL such as http://localhost:11434/v1, AI_MODEL required)
+     stub        → no network; each request's own `stub()` template is used
+   Without AI_PROVIDER: openai when OPENAI_API_KEY is set, otherwise stub.
+
+   A provider is { name, defaultModel, complete(request) } where request is
+   { type, system, user, model, temperature, maxTokens, timeoutMs, stub } and
+   complete() resolves to { text, promptTokens, completionTokens }.
+========================= */
+function openAIProvider({ name, apiKey, baseURL, defaultModel }) {
+  const client = new OpenAI({ apiKey, baseURL });
+  return {
+    name,
+    defaultModel,
+    async complete({ system, user, model, temperature, maxTokens, timeoutMs }) {
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: user }
+        ],
+        temperature,
+        max_tokens: maxTokens,
+      }, { timeout: timeoutMs, maxRetries: 1 });
+      const content = response.choices[0]?.message?.content;
+      if (!content) throw new Error(`${name}: empty completion`);
+      return {
+        text: content.trim(),
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+      };
+    },
+  };
+}
+
+const stubProvider = {
+  name: "stub",
+  defaultModel: "stub",
+  async complete({ type, stub }) {
+    if (!stub) throw new Error(`stub provider: no template for "${type}"`);
+    return { text: stub(), promptTokens: 0, completionTokens: 0 };
+  },
+};
+
+export function createProvider(env = process.env) {
+  const kind = (env.AI_PROVIDER || (env.OPENAI_API_KEY ? "openai" : "stub")).toLowerCase();
+  switch (kind) {
+    case "openai":
+      return openAIProvider({
+        name: "openai",
+        apiKey: env.OPENAI_API_KEY,
+        defaultModel: env.AI_MODEL || "gpt-4o-mini",
+      });
+    case "compatible":
+    case "ollama":
+      if (!env.AI_MODEL) throw new Error("AI_MODEL is required for AI_PROVIDER=compatible");
+      return openAIProvider({
+        name: "compatible",
+        // Local servers ignore the key, but the client refuses to start without one
+        apiKey: env.AI_API_KEY || "local",
+        baseURL: env.AI_BASE_URL || "http://localhost:11434/v1",
+        defaultModel: env.AI_MODEL,
+      });
+    case "stub":
+      return stubProvider;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${kind}" (use openai, compatible or stub)`);
+  }
+}
@@ -0,0 +1,138 @@
+import { pool } from "./db.js";
+import { DEFAULT_LOCALE, t, weekdayName } from "./i18n.js";
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+//--------------
+// Recurrence parsing
+// Supported schedules:
+//   daily            → every day
+//   weekdays         → Mon–Fri
+//   mon,wed,fri      → specific weekdays
+//   every 3 days     → every N days starting from the day it was added
+//--------------
+function parseSchedule(spec) {
+  const s = spec.toLowerCase().trim();
+  if (s === "daily" || s === "everyday") return { recurrence: "daily" };
+  if (s === "weekdays") return { recurrence: "weekdays" };
+
+  const every = s.match(/^every\s+(\d{1,2})\s*(?:days?|d)$/);
+  if (every) {
+    const n = parseInt(every[1], 10);
+    if (n < 1 || n > 60) return null;
+    return n === 1 ? { recurrence: "daily" } : { recurrence: "interval", interval_days: n };
+  }
+
+  const weekdays = parseWeekdays(s);
+  return weekdays && { recurrence: "weekly", weekdays };
+}
+
+// "mon,wed fri" → [1, 3, 5] (0 = Sunday), or null
+export function parseWeekdays(spec) {
+  const weekdays = [];
+  for (const d of spec.toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+    const idx = DAY_NAMES.indexOf(d.slice(0, 3));
+    if (idx === -1) return null;
+    if (!weekdays.includes(idx)) weekdays.push(idx);
+  }
+  return weekdays.length ? weekdays.sort() : null;
+}
+
+export function formatWeekdays(weekdays, locale = DEFAULT_LOCALE) {
+  return weekdays.map(d => weekdayName(locale, d)).join(", ");
+}
+
+// "/routine add <schedule> HH:MM[-HH:MM] <task>" → everything after "add"
+export function parseRoutine(text) {
+  const match = text.trim().match(/^(.+?)\s+([01]\d|2[0-3]):([0-5]\d)(?:\s*-\s*([01]\d|2[0-3]):([0-5]\d))?\s+(.+)$/);
+  if (!match) return null;
+  const schedule = parseSchedule(match[1]);
+  if (!schedule) return null;
+  const time = `${match[2]}:${match[3]}`;
+  const end = match[4] ? `${match[4]}:${match[5]}` : null;
+  if (end && end <= time) return null;
+  return { ...schedule, time, end, name: match[6].trim() };
+}
+
+export function describeRoutine(routine, locale = DEFAULT_LOCALE) {
+  switch (routine.recurrence) {
+    case "daily": return t(locale, "routine.daily");
+    case "weekdays": return t(locale, "routine.weekdays");
+    case "interval": return t(locale, "routine.every", { days: routine.interval_days });
+    default: return formatWeekdays(routine.weekdays, locale);
+  }
+}
+
+function dayNumber(date) {
+  return Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+}
+
+// `date` and routine.start_date are "YYYY-MM-DD" (getRoutines formats start_date)
+export function routineOccursOn(routine, date) {
+  if (date < routine.start_date) return false;
+  const dow = new Date(`${date}T00:00:00Z`).getUTCDay();
+  switch (routine.recurrence) {
+    case "daily": return true;
+    case "weekdays": return dow >= 1 && dow <= 5;
+    case "weekly": return routine.weekdays.includes(dow);
+    case "interval": return (dayNumber(date) - dayNumber(routine.start_date)) % routine.interval_days === 0;
+    default: return false;
+  }
+}
+
+//--------------
+// DB Helpers
+//--------------
+export async function getRoutines(userId) {
+  const result = await pool.query(
+    `SELECT id, recurrence, weekdays, interval_days, start_date,
+            task_time, end_time, task_name, goal_id, priority
+     FROM routines WHERE user_id = $1 ORDER BY task_time ASC, id ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+export async function addRoutine(userId, routine, startDate) {
+  const result = await pool.query(
+    `INSERT INTO routines (user_id, recurrence, weekdays, interval_days, start_date, task_time, end_time, task_name, goal_id, priority)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id`,
+    [userId, routine.recurrence, routine.weekdays || null, routine.interval_days || null,
+     startDate, routine.time, routine.end || null, routine.name, routine.goalId || null, routine.priority || "normal"]
+  );
+  return result.rows[0].id;
+}
+
+// Removes the routine and any occurrences from `fromDate` on that haven't been reminded yet.
+// Past occurrences stay in `tasks` (routine_id is set to NULL by the FK).
+export async function removeRoutine(routineId, fromDate) {
+  await pool.query(
+    `DELETE FROM tasks WHERE routine_id = $1 AND task_date >= $2 AND reminder_sent = false`,
+    [routineId, fromDate]
+  );
+  await pool.query("DELETE FROM routines WHERE id = $1", [routineId]);
+}
+
+// Copies every routine that occurs on `date` into `tasks`. Safe to call repeatedly:
+// the (routine_id, task_date) unique index keeps one row per occurrence, and
+// occurrences deleted by the user are recorded in routine_skips so they stay gone.
+export async function materializeRoutines(userId, date) {
+  const routines = await getRoutines(userId);
+  for (const routine of routines) {
+    if (!routineOccursOn(routine, date)) continue;
+    await pool.query(
+      `INSERT INTO tasks (user_id, task_date, task_time, end_time, task_name, routine_id, goal_id, priority)
+       SELECT $1, $2, $3, $4, $5, $6, $7, $8
+       WHERE NOT EXISTS (SELECT 1 FROM routine_skips WHERE routine_id = $6 AND skip_date = $2)
+       ON CONFLICT (routine_id, task_date) DO NOTHING`,
+      [userId, date, routine.task_time, routine.end_time, routine.task_name, routine.id, routine.goal_id, routine.priority]
+    );
+  }
+}
+
+export async function skipRoutineOccurrence(routineId, date) {
+  await pool.query(
+    `INSERT INTO routine_skips (routine_id, skip_date) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+    [routineId, date]
+  );
+}
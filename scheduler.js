@@ -0,0 +1,148 @@
+import { pool } from "./db.js";
+
+//--------------
+// In-process job scheduler
+// Schedules are in UTC:
+//   { every: 5 }                    → every 5 minutes (on the 5-minute mark)
+//   { at: "17:30" }                 → daily
+//   { at: "14:30", weekday: 0 }     → weekly (0 = Sunday)
+// Every minute each job's latest due time is compared with its last successful run.
+// Jobs that were due while the server was down run on the next tick, as long as
+// they're no more than `maxLateMinutes` late. A Postgres advisory lock per job
+// keeps two instances (or a manual trigger) from running the same job at once.
+// The lock belongs to the connection that took it, so that connection is held for
+// the whole run while the job's own queries use the rest of the pool (see db.js).
+//--------------
+const TICK_MS = 60 * 1000;
+const running = new Set();
+const attempted = new Map(); // job name → due time already tried by this process
+let startedAt = null;
+
+// Most recent time at or before `now` that the schedule fired
+export function lastDueAt(schedule, now = Date.now()) {
+  if (schedule.every) {
+    const step = schedule.every * 60000;
+    return Math.floor(now / step) * step;
+  }
+  const [h, m] = schedule.at.split(":").map(Number);
+  const d = new Date(now);
+  let due = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), h, m);
+  if (due > now) due -= 86400000;
+  if (schedule.weekday !== undefined) {
+    due -= ((new Date(due).getUTCDay() - schedule.weekday + 7) % 7) * 86400000;
+  }
+  return due;
+}
+
+export function describeSchedule(schedule) {
+  if (schedule.every) return `every ${schedule.every} min`;
+  const day = schedule.weekday !== undefined
+    ? ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][schedule.weekday] + " "
+    : "daily ";
+  return `${day}${schedule.at} UTC`;
+}
+
+async function lastSuccessfulRun(jobName) {
+  const result = await pool.query(
+    `SELECT started_at FROM job_runs WHERE job_name = $1 AND status = 'ok'
+     ORDER BY started_at DESC LIMIT 1`,
+    [jobName]
+  );
+  return result.rows[0]?.started_at || null;
+}
+
+// Runs `job` once and records it in job_runs.
+// job.run(run) gets { since, users, errors }: `since` is when the last successful run
+// started (null if never), and the job adds to users/errors as it goes.
+// Returns { skipped: true } when another run holds the lock or already covered `dueAt`.
+export async function runJob(job, { trigger = "manual", dueAt = null } = {}) {
+  const client = await pool.connect();
+  const lockKey = `job:${job.name}`;
+  let broken;
+  try {
+    const lock = await client.query("SELECT pg_try_advisory_lock(hashtext($1)) AS locked", [lockKey]);
+    if (!lock.rows[0].locked) return { skipped: true };
+    try {
+      const since = await lastSuccessfulRun(job.name);
+      if (dueAt && since && since.getTime() >= dueAt) return { skipped: true };
+
+      const inserted = await pool.query(
+        `INSERT INTO job_runs (job_name, trigger, due_at) VALUES ($1, $2, $3) RETURNING id`,
+        [job.name, trigger, dueAt ? new Date(dueAt) : null]
+      );
+      const runId = inserted.rows[0].id;
+      const run = { since, users: 0, errors: [] };
+      try {
+        await job.run(run);
+      } catch (err) {
+        await pool.query(
+          `UPDATE job_runs SET status = 'failed', finished_at = NOW(), users_processed = $2,
+             errors = $3, error = $4 WHERE id = $1`,
+          [runId, run.users, run.errors.length + 1, err.message]
+        );
+        throw err;
+      }
+      await pool.query(
+        `UPDATE job_runs SET status = 'ok', finished_at = NOW(), users_processed = $2,
+           errors = $3, error = $4 WHERE id = $1`,
+        [runId, run.users, run.errors.length, run.errors.slice(0, 5).join("\n") || null]
+      );
+      return { runId, users: run.users, errors: run.errors.length };
+    } finally {
+      // A connection that can't unlock is discarded, which drops its lock too
+      await client.query("SELECT pg_advisory_unlock(hashtext($1))", [lockKey]).catch(err => { broken = err; });
+    }
+  } finally {
+    client.release(broken);
+  }
+}
+
+// What a tick at `now` should run for `job` → { dueAt, trigger }, or null when this process
+// already tried that due time or it's more than maxLateMinutes ago
+export function pendingRun(job, now, { attemptedAt = null, startedAt = now } = {}) {
+  const dueAt = lastDueAt(job.schedule, now);
+  if (attemptedAt === dueAt) return null;
+  if (job.maxLateMinutes && now - dueAt > job.maxLateMinutes * 60000) return null;
+  // Due before this process started means it was missed while we were down
+  return { dueAt, trigger: dueAt < startedAt ? "catch-up" : "schedule" };
+}
+
+async function tick(jobs) {
+  const now = Date.now();
+  for (const job of jobs) {
+    if (running.has(job.name)) continue;
+    const pending = pendingRun(job, now, { attemptedAt: attempted.get(job.name), startedAt });
+    if (!pending) continue;
+    const { dueAt, trigger } = pending;
+    attempted.set(job.name, dueAt);
+    running.add(job.name);
+    runJob(job, { trigger, dueAt })
+      .then(result => {
+        if (!result.skipped && trigger === "catch-up") console.log(`Caught up on ${job.name}`);
+      })
+      .catch(err => console.error(`Scheduled job ${job.name} failed:`, err))
+      .finally(() => running.delete(job.name));
+  }
+}
+
+// Starts ticking on the next minute boundary
+export function startScheduler(jobs) {
+  startedAt = Date.now();
+  const start = () => {
+    tick(jobs);
+    setInterval(() => tick(jobs), TICK_MS);
+  };
+  setTimeout(start, TICK_MS - (Date.now() % TICK_MS) + 1000);
+  console.log(`Scheduler started: ${jobs.map(j => `${j.name} (${describeSchedule(j.schedule)})`).join(", ")}`);
+}
+
+export async function getJobRuns({ jobName = null, limit = 50 } = {}) {
+  const result = await pool.query(
+    `SELECT id, job_name, trigger, status, due_at, started_at, finished_at,
+            users_processed, errors, error
+     FROM job_runs WHERE ($1::text IS NULL OR job_name = $1)
+     ORDER BY started_at DESC LIMIT $2`,
+    [jobName, limit]
+  );
+  return result.rows;
+}
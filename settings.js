@@ -0,0 +1,86 @@
+import { getLocalParts, getDatePlusDays, localToInstant } from "./time.js";
+import { formatWeekdays } from "./routines.js";
+import { DEFAULT_LOCALE, t } from "./i18n.js";
+
+//--------------
+// Per-user schedule settings
+// Stored on the user row; every column is nullable and falls back to the default.
+// Times are the user's local wall clock ("HH:MM").
+//   morning / plan / summary   when the morning message, planning nudge and daily summary go out
+//   lead                       minutes before a task's start that its reminder is sent
+//   cutoff                     hour from which new tasks go to tomorrow instead of today (24 = never)
+//   quietStart / quietEnd      no scheduled messages in between (may wrap past midnight)
+//   restDays                   weekdays (0 = Sunday) that can't break the streak
+//   threshold                  score (percent) a day needs to pass, see stats.js
+//--------------
+export const DEFAULT_SETTINGS = {
+  morning: "07:00",
+  plan: "22:00",
+  summary: "23:00",
+  lead: 0,
+  cutoff: 18,
+  quietStart: null,
+  quietEnd: null,
+  restDays: [],
+  threshold: 70,
+};
+
+export const MAX_LEAD_MINUTES = 120;
+export const THRESHOLD_RANGE = [10, 100];
+
+// Columns to select wherever settings are needed
+export const SETTINGS_COLUMNS =
+  "morning_time, plan_time, summary_time, reminder_lead, plan_cutoff_hour, quiet_start, quiet_end, " +
+  "rest_days, success_threshold";
+
+const hhmm = value => (value ? String(value).slice(0, 5) : null);
+
+export function settingsFromUser(row) {
+  const quietStart = hhmm(row.quiet_start);
+  const quietEnd = hhmm(row.quiet_end);
+  return {
+    morning: hhmm(row.morning_time) || DEFAULT_SETTINGS.morning,
+    plan: hhmm(row.plan_time) || DEFAULT_SETTINGS.plan,
+    summary: hhmm(row.summary_time) || DEFAULT_SETTINGS.summary,
+    lead: row.reminder_lead ?? DEFAULT_SETTINGS.lead,
+    cutoff: row.plan_cutoff_hour ?? DEFAULT_SETTINGS.cutoff,
+    quietStart: quietStart && quietEnd ? quietStart : null,
+    quietEnd: quietStart && quietEnd ? quietEnd : null,
+    restDays: row.rest_days || DEFAULT_SETTINGS.restDays,
+    threshold: row.success_threshold ?? DEFAULT_SETTINGS.threshold,
+  };
+}
+
+export function isRestDay(settings, date) {
+  return settings.restDays.includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+// Equal start and end (which /settings refuses) is an empty period, not a whole day
+export function inQuietHours(settings, zone, now = Date.now()) {
+  const { quietStart, quietEnd } = settings;
+  if (!quietStart || quietStart === quietEnd) return false;
+  const { time } = getLocalParts(zone, now);
+  return quietStart < quietEnd
+    ? time >= quietStart && time < quietEnd
+    : time >= quietStart || time < quietEnd;
+}
+
+// Instant the current quiet period ends
+export function quietEndsAt(settings, zone, now = Date.now()) {
+  const { date, time } = getLocalParts(zone, now);
+  const endDate = time < settings.quietEnd ? date : getDatePlusDays(date, 1);
+  return localToInstant(endDate, settings.quietEnd, zone);
+}
+
+export function describeSettings(settings, locale = DEFAULT_LOCALE) {
+  return t(locale, "settings.describe", {
+    morning: settings.morning,
+    plan: settings.plan,
+    summary: settings.summary,
+    lead: settings.lead ? t(locale, "settings.leadBefore", { minutes: settings.lead }) : t(locale, "settings.atTaskTime"),
+    cutoff: settings.cutoff >= 24 ? t(locale, "settings.never") : `${String(settings.cutoff).padStart(2, "0")}:00`,
+    quiet: settings.quietStart ? `${settings.quietStart}–${settings.quietEnd}` : t(locale, "common.off"),
+    rest: settings.restDays.length ? formatWeekdays(settings.restDays, locale) : t(locale, "settings.noRestDays"),
+    threshold: settings.threshold,
+  });
+}
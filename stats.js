@@ -0,0 +1,238 @@
+import { pool } from "./db.js";
+import { getDatePlusDays } from "./time.js";
+import { DEFAULT_SETTINGS } from "./settings.js";
+import { DEFAULT_LOCALE, t, formatDate, weekdayName } from "./i18n.js";
+
+//--------------
+// Day success
+// A day's score is its finished tasks weighted by priority: done counts 1, partial ½,
+// skipped tasks (with a reason) drop out. The day passes when the score reaches the
+// user's threshold (/settings threshold, default 70%).
+//--------------
+export const PRIORITIES = {
+  high:   { weight: 2,   icon: "🔺" },
+  normal: { weight: 1,   icon: "" },
+  low:    { weight: 0.5, icon: "🔽" },
+};
+
+const WEIGHT_SQL = `CASE priority ${Object.entries(PRIORITIES).map(([p, { weight }]) => `WHEN '${p}' THEN ${weight}`).join(" ")} ELSE 1 END`;
+
+export const DAY_COUNTS_SQL = `COUNT(id) AS planned,
+  COUNT(*) FILTER (WHERE status='done') AS completed,
+  COUNT(*) FILTER (WHERE status='partial') AS partial,
+  COUNT(*) FILTER (WHERE status='skipped') AS skipped,
+  COALESCE(SUM(${WEIGHT_SQL}) FILTER (WHERE status<>'skipped'), 0) AS weight_planned,
+  COALESCE(SUM(${WEIGHT_SQL} * CASE status WHEN 'done' THEN 1 WHEN 'partial' THEN 0.5 ELSE 0 END), 0) AS weight_done`;
+
+// Weighted score of a per-day aggregate row, 0–1 (null when every task was skipped)
+export function dayScore(counts) {
+  const planned = Number(counts.weight_planned);
+  if (planned <= 0) return null;
+  return Number(counts.weight_done) / planned;
+}
+
+// `counts` is a row of the per-day aggregate (DAY_COUNTS_SQL); `threshold` in percent
+export function isSuccessfulCounts(counts, threshold = DEFAULT_SETTINGS.threshold) {
+  const score = dayScore(counts);
+  return score !== null && Math.round(score * 1000) >= threshold * 10;
+}
+
+// Completion rate of an aggregate row, 0–1 (null when nothing counted)
+export function completionRate(counts) {
+  const planned = Number(counts.planned) - Number(counts.skipped);
+  if (planned <= 0) return null;
+  return (Number(counts.completed) + Number(counts.partial) / 2) / planned;
+}
+
+//--------------
+// Streaks
+// The streak goes on from the last day that kept it: a passed day adds one, a rest day
+// (/settings rest) keeps it as is, and a failed day spends a streak freeze if there is
+// one, resetting it otherwise. A freeze is earned every FREEZE_EVERY days of streak,
+// up to MAX_FREEZES. A day without tasks that isn't a rest day counts as failed.
+//--------------
+export const FREEZE_EVERY = 7;
+export const MAX_FREEZES = 3;
+
+// `state`: { current, longest, keptDate, freezes }; `day`: { date, rest, success }.
+// Returns the next state plus `outcome` (success | rest | freeze | reset) and `earned`.
+export function advanceStreak(state, day) {
+  let current = state.keptDate === getDatePlusDays(day.date, -1) ? state.current : 0;
+  let freezes = state.freezes;
+  let outcome;
+  let earned = false;
+  if (day.success) {
+    current += 1;
+    outcome = "success";
+    if (current % FREEZE_EVERY === 0 && freezes < MAX_FREEZES) { freezes += 1; earned = true; }
+  } else if (day.rest) {
+    outcome = "rest";
+  } else if (current > 0 && freezes > 0) {
+    freezes -= 1;
+    outcome = "freeze";
+  } else {
+    current = 0;
+    outcome = "reset";
+  }
+  return {
+    current,
+    longest: Math.max(state.longest, current),
+    keptDate: outcome === "reset" ? state.keptDate : day.date,
+    freezes,
+    outcome,
+    earned,
+  };
+}
+
+//--------------
+// Analytics
+//--------------
+// Weekdays are numbered (0 = Sunday) and time-of-day buckets keyed; formatStatsReport names them
+const HOUR_BUCKETS = [
+  { key: "night",     from: 0,  to: 5 },
+  { key: "morning",   from: 5,  to: 12 },
+  { key: "afternoon", from: 12, to: 17 },
+  { key: "evening",   from: 17, to: 21 },
+  { key: "late",      from: 21, to: 24 },
+];
+
+// All numbers for the inclusive date range [fromDate, toDate] of one user
+export async function computeStats(userId, fromDate, toDate, threshold = DEFAULT_SETTINGS.threshold) {
+  const params = [userId, fromDate, toDate];
+  const range = "user_id = $1 AND task_date BETWEEN $2 AND $3";
+
+  const [total, byDay, byHour, byTask, skippedTasks, slipped, latency, streaks] = await Promise.all([
+    pool.query(`SELECT ${DAY_COUNTS_SQL} FROM tasks WHERE ${range}`, params),
+    pool.query(
+      `SELECT task_date, ${DAY_COUNTS_SQL} FROM tasks WHERE ${range}
+       GROUP BY task_date ORDER BY task_date ASC`, params
+    ),
+    pool.query(
+      `SELECT EXTRACT(HOUR FROM task_time::time)::int AS hour, ${DAY_COUNTS_SQL}
+       FROM tasks WHERE ${range} GROUP BY hour`, params
+    ),
+    pool.query(
+      `SELECT MIN(task_name) AS name, ${DAY_COUNTS_SQL}
+       FROM tasks WHERE ${range} GROUP BY LOWER(task_name)
+       ORDER BY COUNT(id) DESC, name ASC LIMIT 8`, params
+    ),
+    pool.query(
+      `SELECT MIN(task_name) AS name, COUNT(*) AS skipped
+       FROM tasks WHERE ${range} AND status = 'skipped'
+       GROUP BY LOWER(task_name) ORDER BY skipped DESC, name ASC LIMIT 3`, params
+    ),
+    // Carried tasks are the copies on the later day, so each carry counts once
+    pool.query(
+      `SELECT MIN(task_name) AS name,
+              COUNT(*) FILTER (WHERE carried_from IS NOT NULL) AS carried,
+              SUM(snooze_count) AS snoozed
+       FROM tasks WHERE ${range} AND (carried_from IS NOT NULL OR snooze_count > 0)
+       GROUP BY LOWER(task_name) ORDER BY carried DESC, snoozed DESC, name ASC`, params
+    ),
+    pool.query(
+      `SELECT ROUND(AVG(EXTRACT(EPOCH FROM (responded_at - reminded_at))) / 60) AS avg_reply_min
+       FROM tasks WHERE ${range} AND responded_at IS NOT NULL AND reminded_at IS NOT NULL`, params
+    ),
+    pool.query(`SELECT current_streak, longest_streak, freezes FROM user_stats WHERE user_id = $1`, [userId]),
+  ]);
+
+  const weekday = Array.from({ length: 7 }, () => ({ planned: 0, completed: 0, partial: 0, skipped: 0 }));
+  const runs = [];
+  let run = 0, prevDate = null;
+  for (const day of byDay.rows) {
+    const slot = weekday[new Date(`${day.task_date}T00:00:00Z`).getUTCDay()];
+    for (const k of Object.keys(slot)) slot[k] += Number(day[k]);
+    if (isSuccessfulCounts(day, threshold)) {
+      run = prevDate === getDatePlusDays(day.task_date, -1) ? run + 1 : 1;
+      prevDate = day.task_date;
+    } else {
+      if (run > 0) runs.push(run);
+      run = 0;
+      prevDate = null;
+    }
+  }
+  if (run > 0) runs.push(run);
+
+  const hours = HOUR_BUCKETS.map(b => ({ key: b.key, planned: 0, completed: 0, partial: 0, skipped: 0 }));
+  for (const row of byHour.rows) {
+    const slot = hours[HOUR_BUCKETS.findIndex(b => row.hour >= b.from && row.hour < b.to)];
+    for (const k of ["planned", "completed", "partial", "skipped"]) slot[k] += Number(row[k]);
+  }
+
+  const stats = streaks.rows[0] || { current_streak: 0, longest_streak: 0, freezes: 0 };
+  return {
+    fromDate,
+    toDate,
+    total: total.rows[0],
+    days: byDay.rows.length,
+    successfulDays: byDay.rows.filter(day => isSuccessfulCounts(day, threshold)).length,
+    weekdays: weekday.map((c, i) => ({ day: i, rate: completionRate(c) })),
+    hours: hours.map(h => ({ key: h.key, rate: completionRate(h) })),
+    tasks: byTask.rows.map(t => ({ name: t.name, done: Number(t.completed), planned: Number(t.planned), rate: completionRate(t) })),
+    mostSkipped: skippedTasks.rows.map(t => ({ name: t.name, skipped: Number(t.skipped) })),
+    slipped: slipped.rows.map(t => ({ name: t.name, carried: Number(t.carried), snoozed: Number(t.snoozed) })),
+    avgReplyMinutes: latency.rows[0].avg_reply_min === null ? null : Number(latency.rows[0].avg_reply_min),
+    streakRuns: runs,
+    currentStreak: stats.current_streak,
+    longestStreak: stats.longest_streak,
+    freezes: stats.freezes,
+  };
+}
+
+function pct(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// "3/5 done, 1 partial, 1 skipped" for an aggregate row (also used by /history week)
+export function countsText(counts, locale = DEFAULT_LOCALE) {
+  const parts = [t(locale, "counts.done", { completed: counts.completed, planned: counts.planned })];
+  if (Number(counts.partial)) parts.push(t(locale, "counts.partial", { n: counts.partial }));
+  if (Number(counts.skipped)) parts.push(t(locale, "counts.skipped", { n: counts.skipped }));
+  return parts.join(", ");
+}
+
+export function formatStatsReport(title, stats, locale = DEFAULT_LOCALE) {
+  const range = t(locale, "stats.range", {
+    title, from: formatDate(locale, stats.fromDate), to: formatDate(locale, stats.toDate),
+  });
+  if (Number(stats.total.planned) === 0) return `${range}\n\n${t(locale, "stats.empty")}`;
+
+  const overall = completionRate(stats.total);
+  let report = `${range}\n\n`;
+  report += t(locale, "stats.completion", { rate: overall === null ? "—" : pct(overall), counts: countsText(stats.total, locale) });
+  report += `\n${t(locale, "stats.successful", { days: stats.successfulDays, total: stats.days })}\n`;
+  if (stats.avgReplyMinutes !== null) report += `${t(locale, "stats.avgReply", { minutes: stats.avgReplyMinutes })}\n`;
+
+  const weekdays = stats.weekdays.filter(d => d.rate !== null);
+  if (weekdays.length) {
+    report += `\n${t(locale, "stats.byDay")}\n${weekdays.map(d => `${weekdayName(locale, d.day)} ${pct(d.rate)}`).join(" · ")}\n`;
+  }
+
+  const hours = stats.hours.filter(h => h.rate !== null);
+  if (hours.length) {
+    report += `\n${t(locale, "stats.byHour")}\n${hours.map(h => `${t(locale, `stats.hour.${h.key}`)} ${pct(h.rate)}`).join(" · ")}\n`;
+  }
+
+  if (stats.tasks.length) {
+    report += `\n${t(locale, "stats.byTask")}\n`;
+    for (const task of stats.tasks) {
+      report += `${task.name} — ${task.done}/${task.planned}${task.rate === null ? "" : ` (${pct(task.rate)})`}\n`;
+    }
+  }
+
+  if (stats.mostSkipped.length) {
+    report += `\n${t(locale, "stats.mostSkipped")}\n${stats.mostSkipped.map(task => `${task.name} ×${task.skipped}`).join(" · ")}\n`;
+  }
+
+  if (stats.slipped.length) {
+    const carried = stats.slipped.reduce((sum, task) => sum + task.carried, 0);
+    const snoozed = stats.slipped.reduce((sum, task) => sum + task.snoozed, 0);
+    report += `\n${t(locale, "stats.slipped", { carried, snoozed })}\n`;
+    report += stats.slipped.slice(0, 3).map(task => `${task.name} ↪️${task.carried} 😴${task.snoozed}`).join(" · ") + "\n";
+  }
+
+  report += `\n${t(locale, "stats.streaks", { current: stats.currentStreak, longest: stats.longestStreak })}`;
+  if (stats.freezes) report += t(locale, "stats.freezes", { n: stats.freezes });
+  if (stats.streakRuns.length) report += `\n${t(locale, "stats.runs", { runs: stats.streakRuns.join(", ") })}`;
+  return report;
+}
@@ -1,16 +1,67 @@
-import fetch from "node-fetch";
+import fetch, { FormData, Blob } from "node-fetch";
 import dotenv from 'dotenv';
 dotenv.config();
 
-export async function sendMessage(chatId, text) {
-  const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+// Raw Bot API call. Returns Telegram's JSON ({ ok, result } or { ok: false, error_code, description });
+// throws only on network errors. Messages to users go through delivery.js instead.
+export async function callTelegram(method, payload) {
+  const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
 
-  await fetch(url, {
+  const response = await fetch(url, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      chat_id: chatId,
-      text,
-    }),
+    body: JSON.stringify(payload),
   });
+  return parseResponse(response);
+}
+
+// Gateway errors come back as HTML, not JSON
+async function parseResponse(response) {
+  try {
+    return await response.json();
+  } catch {
+    return { ok: false, error_code: response.status, description: response.statusText };
+  }
+}
+
+// Best effort: a callback query can only be answered for a few seconds, so there's
+// nothing to retry. The keyboard edit and reply that follow go through delivery.js.
+export async function answerCallbackQuery(callbackQueryId, text) {
+  await callTelegram("answerCallbackQuery", {
+    callback_query_id: callbackQueryId,
+    text,
+  });
+}
+
+// Uploads `content` (string or Buffer) as a file attachment
+export async function uploadDocument(chatId, filename, content, mimeType, caption) {
+  const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendDocument`;
+  const form = new FormData();
+  form.append("chat_id", String(chatId));
+  form.append("document", new Blob([content], { type: mimeType }), filename);
+  if (caption) form.append("caption", caption);
+
+  return parseResponse(await fetch(url, { method: "POST", body: form }));
+}
+
+// Points Telegram at our webhook. With a secret, Telegram sends it back in the
+// X-Telegram-Bot-Api-Secret-Token header of every update (A–Z, a–z, 0–9, _ and -).
+export async function setWebhook(url, secretToken) {
+  const result = await callTelegram("setWebhook", {
+    url,
+    ...(secretToken ? { secret_token: secretToken } : {}),
+    allowed_updates: ["message", "callback_query", "my_chat_member"],
+  });
+  if (!result.ok) throw new Error(`setWebhook failed: ${result.description}`);
+  return result;
+}
+
+// Downloads a file the user sent (document, photo, ...) and returns its contents as text
+export async function downloadFile(fileId) {
+  const info = await callTelegram("getFile", { file_id: fileId });
+  if (!info.ok) throw new Error(`getFile failed: ${info.description}`);
+  const url = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${info.result.file_path}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`File download failed: ${response.status}`);
+  return response.text();
 }
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { MAX_BACKOFF_MS, backoffMs, classify, handedOff } from "../delivery.js";
+
+test("sent messages carry their id", () => {
+  assert.deepEqual(classify({ ok: true, result: { message_id: 7 } }), { kind: "sent", messageId: 7 });
+});
+
+test("rate limits are retried after Telegram's retry_after", () => {
+  const outcome = classify({ ok: false, error_code: 429, description: "Too Many Requests", parameters: { retry_after: 12 } });
+  assert.deepEqual(outcome, { kind: "retry", error: "Too Many Requests", retryAfterMs: 12000 });
+  assert.equal(classify({ ok: false, error_code: 429 }).retryAfterMs, 5000);
+});
+
+test("server errors and responses without a code are retried", () => {
+  assert.equal(classify({ ok: false, error_code: 502, description: "Bad Gateway" }).kind, "retry");
+  assert.deepEqual(classify({ ok: false }), { kind: "retry", error: "HTTP undefined" });
+});
+
+test("blocked and deleted chats are told apart from other failures", () => {
+  assert.equal(classify({ ok: false, error_code: 403, description: "Forbidden: bot was blocked by the user" }).kind, "blocked");
+  assert.equal(classify({ ok: false, error_code: 400, description: "Bad Request: chat not found" }).kind, "blocked");
+  assert.deepEqual(classify({ ok: false, error_code: 400, description: "Bad Request: message is too long" }),
+    { kind: "failed", error: "Bad Request: message is too long" });
+});
+
+test("backoff doubles from 5 s with jitter and stops at the cap", (context) => {
+  context.mock.method(Math, "random", () => 1);
+  assert.deepEqual([0, 1, 2, 3].map(backoffMs), [5000, 10000, 20000, 40000]);
+  assert.equal(backoffMs(20), MAX_BACKOFF_MS);
+  Math.random.mock.mockImplementation(() => 0);
+  assert.equal(backoffMs(0), 2500);
+  assert.equal(backoffMs(20), MAX_BACKOFF_MS / 2);
+});
+
+test("queued and deferred messages count as handed off", () => {
+  assert.equal(handedOff({ ok: true, messageId: 1 }), true);
+  assert.equal(handedOff({ ok: true, deferred: true }), true);
+  assert.equal(handedOff({ ok: false, queued: true }), true);
+  assert.equal(handedOff({ ok: false, blocked: true }), false);
+  assert.equal(handedOff({ ok: false, dropped: true }), false);
+});
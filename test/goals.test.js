@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pool } from "../db.js";
+import { STALL_DAYS, goalProgress, parseGoal, resolveGoalTag, stalledGoals } from "../goals.js";
+
+test("parseGoal reads the title, tag, deadline and target", () => {
+  assert.deepEqual(parseGoal('"Learn Go" #go by 2026-12-31 target 40h'),
+    { title: "Learn Go", tag: "go", deadline: "2026-12-31", targetHours: 40, targetTasks: null });
+  assert.deepEqual(parseGoal('"Read 12 books" #read target 12 tasks'),
+    { title: "Read 12 books", tag: "read", deadline: null, targetHours: null, targetTasks: 12 });
+  assert.equal(parseGoal("Run a 10k target 7.5 hours").targetHours, 7.5);
+});
+
+test("parseGoal makes a tag from the title when there's none", () => {
+  assert.equal(parseGoal('"Learn Go!"').tag, "learngo");
+  assert.equal(parseGoal("Ship the Side-Project for real").tag, "shipthesideprojectfo");
+});
+
+test("parseGoal refuses impossible deadlines and targets", () => {
+  assert.equal(parseGoal('"Learn Go" by 2026-02-30'), null);
+  assert.equal(parseGoal('"Learn Go" target 2.5 tasks'), null);
+  assert.equal(parseGoal('"Learn Go" target 0h'), null);
+  assert.equal(parseGoal('"日本語"'), null);
+});
+
+test("resolveGoalTag links the first tag of an active goal and strips it", async (context) => {
+  const query = context.mock.method(pool, "query", async () => ({ rows: [{ id: 3, title: "Learn Go", tag: "go" }] }));
+  assert.deepEqual(await resolveGoalTag(1, "Study #misc Go #GO today"),
+    { name: "Study #misc Go today", goalId: 3, tag: "go" });
+  assert.deepEqual(query.mock.calls[0].arguments[1], [1, ["misc", "go"]]);
+  assert.deepEqual(await resolveGoalTag(1, "#go"), { name: "Learn Go", goalId: 3, tag: "go" });
+});
+
+test("resolveGoalTag leaves names without a known tag alone", async (context) => {
+  const query = context.mock.method(pool, "query", async () => ({ rows: [] }));
+  assert.deepEqual(await resolveGoalTag(1, "Study Go #go"), { name: "Study Go #go", goalId: null });
+  assert.deepEqual(await resolveGoalTag(1, "C# practice"), { name: "C# practice", goalId: null });
+  assert.equal(query.mock.callCount(), 1);
+});
+
+test("progress counts partial tasks as half and stops at the target", () => {
+  assert.equal(goalProgress({ target_tasks: 4, done: 1, partial: 2, hours: 0 }), 0.5);
+  assert.equal(goalProgress({ target_hours: 10, hours: 12 }), 1);
+  assert.equal(goalProgress({ done: 3, partial: 0, hours: 0 }), null);
+});
+
+test("a goal stalls after STALL_DAYS without progress, plans or a nudge", () => {
+  const today = "2026-10-19";
+  const old = { created_on: "2026-10-01", last_progress: "2026-10-05", planned_ahead: 0, nudged_on: null };
+  assert.equal(STALL_DAYS, 7);
+  assert.equal(stalledGoals([old], today).length, 1);
+  assert.equal(stalledGoals([{ ...old, last_progress: "2026-10-15" }], today).length, 0);
+  assert.equal(stalledGoals([{ ...old, planned_ahead: 1 }], today).length, 0);
+  assert.equal(stalledGoals([{ ...old, nudged_on: "2026-10-14" }], today).length, 0);
+  assert.equal(stalledGoals([{ ...old, created_on: "2026-10-15", last_progress: null }], today).length, 0);
+});
@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { heuristicJudgement } from "../ai.js";
+
+const verdict = (task, reply) => heuristicJudgement(task, reply).verdict;
+
+test("a reply naming the task is on task", () => {
+  assert.deepEqual(heuristicJudgement("Gym", "at the gym"), { verdict: "on_task", confidence: 0.8 });
+  assert.equal(verdict("Call mom", "on the phone with mom"), "on_task");
+});
+
+test("a synonym counts as on task with less confidence", () => {
+  assert.deepEqual(heuristicJudgement("Gym", "doing a workout"), { verdict: "on_task", confidence: 0.65 });
+  assert.equal(verdict("Read a book", "studying chapter 3"), "on_task");
+});
+
+test("getting ready for the task is related", () => {
+  assert.equal(verdict("Gym", "heading to the gym"), "related");
+});
+
+test("a negated task or a plain no is a refusal", () => {
+  assert.equal(verdict("Gym", "won't go to gym"), "refusal");
+  assert.equal(verdict("Study Go", "not studying"), "refusal");
+  assert.deepEqual(heuristicJudgement("Study Go", "no"), { verdict: "refusal", confidence: 0.6 });
+});
+
+test("anything else is off task", () => {
+  assert.deepEqual(heuristicJudgement("Study Go", "watching netflix"), { verdict: "off_task", confidence: 0.5 });
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LOCALES, formatDate, formatTime, localeOf, parseLocale, t, weekdayName } from "../i18n.js";
+
+const placeholders = text => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test("t fills placeholders and leaves unknown ones alone", () => {
+  assert.equal(t("en", "carry.toast", { date: "Mon 19 Oct" }), "↪️ Carried to Mon 19 Oct");
+  assert.equal(t("en", "carry.toast"), "↪️ Carried to {date}");
+});
+
+test("t falls back to English, then to the key", (context) => {
+  context.mock.method(console, "error", () => {});
+  assert.equal(t("hi", "group.welcome"), LOCALES.en.messages["group.welcome"]);
+  assert.equal(t("xx", "carry.toast", { date: "x" }), "↪️ Carried to x");
+  assert.equal(t("en", "no.such.key"), "no.such.key");
+});
+
+test("every translation uses the same placeholders as English", () => {
+  for (const [code, { messages }] of Object.entries(LOCALES)) {
+    for (const [key, text] of Object.entries(messages)) {
+      assert.ok(key in LOCALES.en.messages, `${code}: ${key} isn't an English key`);
+      assert.deepEqual(placeholders(text), placeholders(LOCALES.en.messages[key]), `${code}: ${key}`);
+    }
+  }
+});
+
+test("localeOf and parseLocale only pick locales with a catalog", () => {
+  assert.equal(localeOf({ language: "hi" }), "hi");
+  assert.equal(localeOf({ language: "es" }), "en");
+  assert.equal(localeOf(null), "en");
+  assert.equal(parseLocale("Hindi"), "hi");
+  assert.equal(parseLocale("हिन्दी"), "hi");
+  assert.equal(parseLocale("klingon"), null);
+});
+
+test("dates and times follow the locale", () => {
+  assert.equal(formatDate("en", "2026-10-19"), "Mon 19 Oct");
+  assert.equal(formatTime("en", "19:05"), "19:05");
+  assert.equal(formatTime("hi", "19:05"), "7:05 pm");
+  assert.equal(weekdayName("en", 0), "Sun");
+});
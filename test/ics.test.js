@@ -0,0 +1,86 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendar, eventsOnDate, parseCalendar } from "../ics.js";
+
+const calendar = (...events) => [
+  "BEGIN:VCALENDAR", "VERSION:2.0",
+  ...events.flatMap(lines => ["BEGIN:VEVENT", ...lines, "END:VEVENT"]),
+  "END:VCALENDAR",
+].join("\r\n");
+
+const on = (ics, date, zone = "Asia/Kolkata") => eventsOnDate(parseCalendar(ics), date, zone);
+
+test("a TZID start is moved into the user's zone", () => {
+  const ics = calendar(["SUMMARY:Standup", "DTSTART;TZID=Europe/Berlin:20261019T090000", "DTEND;TZID=Europe/Berlin:20261019T093000"]);
+  // Berlin is UTC+2 until the end of October, Kolkata UTC+5:30
+  assert.deepEqual(on(ics, "2026-10-19"), [{ time: "12:30", end: "13:00", name: "Standup", allDay: false }]);
+});
+
+test("UTC and floating times, with an unknown TZID treated as floating", () => {
+  const ics = calendar(
+    ["SUMMARY:Call", "DTSTART:20261019T020000Z"],
+    ["SUMMARY:Lunch", "DTSTART:20261019T130000"],
+    ["SUMMARY:Review", "DTSTART;TZID=W. Europe Standard Time:20261019T170000"],
+  );
+  assert.deepEqual(on(ics, "2026-10-19").map(e => [e.time, e.name]), [["07:30", "Call"], ["13:00", "Lunch"], ["17:00", "Review"]]);
+});
+
+test("DURATION sets the end, and an end past midnight is dropped", () => {
+  const ics = calendar(
+    ["SUMMARY:Deep work", "DTSTART:20261019T100000", "DURATION:PT1H30M"],
+    ["SUMMARY:Late show", "DTSTART:20261019T230000", "DURATION:PT2H"],
+  );
+  assert.deepEqual(on(ics, "2026-10-19").map(e => [e.time, e.end]), [["10:00", "11:30"], ["23:00", null]]);
+});
+
+test("all-day events have no time", () => {
+  const ics = calendar(["SUMMARY:Holiday", "DTSTART;VALUE=DATE:20261019", "DTEND;VALUE=DATE:20261020"]);
+  assert.deepEqual(on(ics, "2026-10-19"), [{ time: null, end: null, name: "Holiday", allDay: true }]);
+  assert.deepEqual(on(ics, "2026-10-20"), []);
+});
+
+test("RRULE with BYDAY, INTERVAL, COUNT and UNTIL", () => {
+  const weekly = calendar(["SUMMARY:Gym", "DTSTART:20261005T070000", "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE"]);
+  assert.equal(on(weekly, "2026-10-19").length, 1);
+  assert.equal(on(weekly, "2026-10-21").length, 1);
+  assert.equal(on(weekly, "2026-10-12").length, 0);
+
+  const counted = calendar(["SUMMARY:Course", "DTSTART:20261016T180000", "RRULE:FREQ=DAILY;COUNT=3"]);
+  assert.equal(on(counted, "2026-10-18").length, 1);
+  assert.equal(on(counted, "2026-10-19").length, 0);
+
+  const until = calendar(["SUMMARY:Sprint", "DTSTART:20261001T090000", "RRULE:FREQ=DAILY;UNTIL=20261018T235959Z"]);
+  assert.equal(on(until, "2026-10-18").length, 1);
+  assert.equal(on(until, "2026-10-19").length, 0);
+
+  const monthly = calendar(["SUMMARY:Retro", "DTSTART:20260101T150000", "RRULE:FREQ=MONTHLY;BYDAY=-1FR"]);
+  assert.equal(on(monthly, "2026-10-30").length, 1);
+  assert.equal(on(monthly, "2026-10-23").length, 0);
+});
+
+test("EXDATE and moved occurrences are left out of the series", () => {
+  const ics = calendar(
+    ["UID:daily-1", "SUMMARY:Walk", "DTSTART:20261015T080000", "RRULE:FREQ=DAILY", "EXDATE:20261019T080000"],
+    ["UID:daily-1", "SUMMARY:Walk (late)", "RECURRENCE-ID:20261020T080000", "DTSTART:20261020T190000"],
+  );
+  assert.deepEqual(on(ics, "2026-10-19"), []);
+  assert.deepEqual(on(ics, "2026-10-20").map(e => [e.time, e.name]), [["19:00", "Walk (late)"]]);
+  assert.equal(on(ics, "2026-10-21").length, 1);
+});
+
+test("cancelled events and nested alarms are ignored", () => {
+  const ics = calendar(
+    ["SUMMARY:Gone", "STATUS:CANCELLED", "DTSTART:20261019T090000"],
+    ["SUMMARY:Dentist", "DTSTART:20261019T160000", "BEGIN:VALARM", "SUMMARY:Alarm", "END:VALARM"],
+  );
+  assert.deepEqual(on(ics, "2026-10-19").map(e => e.name), ["Dentist"]);
+});
+
+test("an exported calendar reads back at the same local times", () => {
+  const tasks = [
+    { task_date: "2026-10-19", task_time: "07:00", end_time: null, task_name: "Gym, then shower" },
+    { task_date: "2026-10-19", task_time: "15:00", end_time: "17:00", task_name: "Study Go" },
+  ];
+  const events = eventsOnDate(parseCalendar(buildCalendar(tasks, "Asia/Kolkata")), "2026-10-19", "Asia/Kolkata");
+  assert.deepEqual(events.map(e => [e.time, e.end, e.name]), [["07:00", "07:30", "Gym, then shower"], ["15:00", "17:00", "Study Go"]]);
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMigrations } from "../migrate.js";
+
+test("migrations are numbered 1, 2, 3, ... without gaps", async () => {
+  const migrations = await loadMigrations();
+  assert.ok(migrations.length > 0);
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((m, i) => i + 1));
+});
+
+test("every migration has SQL in both its up and down sections", async () => {
+  for (const migration of await loadMigrations()) {
+    assert.match(migration.up, /\S/, `${migration.name} up`);
+    assert.match(migration.down, /\S/, `${migration.name} down`);
+    assert.doesNotMatch(migration.up, /-- migrate:down/, `${migration.name} has one down section`);
+  }
+});
+
+test("the unique chat_id index is guarded against duplicate users", async () => {
+  const constraints = (await loadMigrations()).find(m => m.version === 2);
+  assert.ok(constraints.up.indexOf("duplicate chat_ids") < constraints.up.indexOf("users_chat_id"));
+});
+
+test("the baseline carries outcomes over from a tasks table that predates it", async () => {
+  const { newDb } = await import("pg-mem");
+  // CREATE TABLE IF NOT EXISTS skips the existing tables, which pg-mem reports as unread columns
+  const db = newDb({ noAstCoverageCheck: true }).public;
+  db.none(`
+    CREATE TABLE users (id SERIAL PRIMARY KEY, chat_id BIGINT NOT NULL, timezone_offset INTEGER DEFAULT 0);
+    CREATE TABLE tasks (
+      id SERIAL PRIMARY KEY, user_id INTEGER NOT NULL REFERENCES users(id), task_date DATE NOT NULL,
+      task_time TIME NOT NULL, task_name TEXT NOT NULL, reminder_sent BOOLEAN DEFAULT false,
+      praised BOOLEAN DEFAULT false, scolded BOOLEAN DEFAULT false, user_response TEXT
+    );
+    INSERT INTO users (chat_id) VALUES (42);
+    INSERT INTO tasks (user_id, task_date, task_time, task_name, praised, scolded) VALUES
+      (1, CURRENT_DATE - 5, '07:00', 'old praised', true, false),
+      (1, CURRENT_DATE - 5, '08:00', 'old scolded', false, true),
+      (1, CURRENT_DATE - 5, '09:00', 'old untouched', false, false),
+      (1, CURRENT_DATE, '07:00', 'today praised', true, false),
+      (1, CURRENT_DATE, '18:00', 'today pending', false, false);
+  `);
+  const baseline = (await loadMigrations()).find(m => m.version === 1);
+  db.none(baseline.up);
+
+  const tasks = Object.fromEntries(
+    db.many("SELECT task_name, status, status_at, closed_at FROM tasks").map(task => [task.task_name, task])
+  );
+  const outcome = name => [tasks[name].status, tasks[name].status_at !== null, tasks[name].closed_at !== null];
+  assert.deepEqual(outcome("old praised"), ["done", true, true]);
+  assert.deepEqual(outcome("old scolded"), ["missed", true, true]);
+  assert.deepEqual(outcome("old untouched"), ["missed", true, true]);
+  assert.deepEqual(outcome("today praised"), ["done", true, false]);
+  assert.deepEqual(outcome("today pending"), ["pending", false, false]);
+});
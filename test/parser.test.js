@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { looksLikeTask, parseNaturalTask } from "../parser.js";
+
+// Monday 2026-10-19, 14:00 in Kolkata; new tasks go to today
+const ctx = {
+  zone: "Asia/Kolkata",
+  today: "2026-10-19",
+  activeDate: "2026-10-19",
+  now: Date.parse("2026-10-19T08:30:00Z"),
+};
+const parse = line => parseNaturalTask(line, ctx);
+
+test("reads am/pm, clock and named times", () => {
+  assert.deepEqual(parse("gym at 7am"), { date: "2026-10-19", time: "07:00", end: null, name: "gym" });
+  assert.deepEqual(parse("lunch 12:30"), { date: "2026-10-19", time: "12:30", end: null, name: "lunch" });
+  assert.equal(parse("team sync at 10:30pm").time, "22:30");
+  assert.equal(parse("call dad at noon").time, "12:00");
+  assert.equal(parse("sleep at midnight").time, "00:00");
+});
+
+test("guesses the half of the day for bare hours", () => {
+  assert.equal(parse("gym at 7").time, "07:00");
+  assert.equal(parse("call at 3").time, "15:00");
+  assert.equal(parse("read tonight at 9").time, "21:00");
+});
+
+test("reads ranges, sharing or crossing am/pm", () => {
+  assert.deepEqual(parse("study Go 3pm-5pm"), { date: "2026-10-19", time: "15:00", end: "17:00", name: "study Go" });
+  assert.deepEqual(parse("study Go 3-5pm"), { date: "2026-10-19", time: "15:00", end: "17:00", name: "study Go" });
+  assert.deepEqual(parse("deep work 11-1pm"), { date: "2026-10-19", time: "11:00", end: "13:00", name: "deep work" });
+  assert.equal(parse("focus from 09:00 to 11:30").end, "11:30");
+});
+
+test("explicit days override the active date", () => {
+  assert.equal(parse("study Go 3pm-5pm tomorrow").date, "2026-10-20");
+  assert.equal(parse("team sync friday 10:30am").date, "2026-10-23");
+  assert.equal(parse("review next monday at 9am").date, "2026-10-26");
+  assert.equal(parse("review monday at 9am").date, "2026-10-19");
+});
+
+test("relative times count from now in the user's zone", () => {
+  assert.deepEqual(parse("call mom in 45 minutes"), { date: "2026-10-19", time: "14:45", end: null, name: "call mom" });
+  assert.equal(parse("stretch in 2 hours").time, "16:00");
+  assert.equal(parse("tea in half an hour").time, "14:30");
+  assert.equal(parse("wind down in 11 hours").date, "2026-10-20");
+});
+
+test("returns null without a usable time or name", () => {
+  assert.equal(parse("buy milk"), null);
+  assert.equal(parse("at 7am"), null);
+  assert.equal(parse("meeting 25:00"), null);
+  assert.equal(parse("nap in 0 minutes"), null);
+});
+
+test("only lines that place something in time look like tasks", () => {
+  assert.equal(looksLikeTask("gym after lunch"), true);
+  assert.equal(looksLikeTask("call grandma at seven"), true);
+  assert.equal(looksLikeTask("read chapter 4"), true);
+  assert.equal(looksLikeTask("how are you"), false);
+  assert.equal(looksLikeTask("thanks!"), false);
+});
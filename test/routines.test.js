@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseRoutine, parseWeekdays, routineOccursOn } from "../routines.js";
+
+// 2026-10-19 is a Monday
+test("parseRoutine reads schedule, time, block end and name", () => {
+  assert.deepEqual(parseRoutine("weekdays 07:00 Gym"), { recurrence: "weekdays", time: "07:00", end: null, name: "Gym" });
+  assert.deepEqual(parseRoutine("mon,wed fri 18:00-19:30 Study Go"), {
+    recurrence: "weekly", weekdays: [1, 3, 5], time: "18:00", end: "19:30", name: "Study Go",
+  });
+  assert.deepEqual(parseRoutine("every 3 days 09:00 Water plants"), {
+    recurrence: "interval", interval_days: 3, time: "09:00", end: null, name: "Water plants",
+  });
+  assert.equal(parseRoutine("every 1 day 09:00 Read").recurrence, "daily");
+});
+
+test("parseRoutine rejects bad schedules and blocks", () => {
+  assert.equal(parseRoutine("someday 07:00 Gym"), null);
+  assert.equal(parseRoutine("every 61 days 07:00 Gym"), null);
+  assert.equal(parseRoutine("daily 25:00 Gym"), null);
+  assert.equal(parseRoutine("daily 10:00-09:00 Gym"), null);
+  assert.equal(parseWeekdays("mon,funday"), null);
+});
+
+test("routineOccursOn follows each recurrence", () => {
+  const start = "2026-10-19";
+  assert.equal(routineOccursOn({ recurrence: "daily", start_date: start }, "2026-10-25"), true);
+  assert.equal(routineOccursOn({ recurrence: "weekdays", start_date: start }, "2026-10-23"), true);
+  assert.equal(routineOccursOn({ recurrence: "weekdays", start_date: start }, "2026-10-24"), false);
+  assert.equal(routineOccursOn({ recurrence: "weekly", weekdays: [0, 3], start_date: start }, "2026-10-21"), true);
+  assert.equal(routineOccursOn({ recurrence: "weekly", weekdays: [0, 3], start_date: start }, "2026-10-22"), false);
+});
+
+test("routineOccursOn counts intervals from the start date, across month ends", () => {
+  const routine = { recurrence: "interval", interval_days: 3, start_date: "2026-10-29" };
+  assert.equal(routineOccursOn(routine, "2026-10-29"), true);
+  assert.equal(routineOccursOn(routine, "2026-11-01"), true);
+  assert.equal(routineOccursOn(routine, "2026-11-02"), false);
+});
+
+test("routineOccursOn never fires before the start date", () => {
+  assert.equal(routineOccursOn({ recurrence: "daily", start_date: "2026-10-19" }, "2026-10-18"), false);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { describeSchedule, lastDueAt, pendingRun } from "../scheduler.js";
+
+const utc = text => Date.parse(`${text}Z`);
+
+test("interval schedules fall on their own marks", () => {
+  assert.equal(lastDueAt({ every: 5 }, utc("2026-10-19T10:07:30")), utc("2026-10-19T10:05:00"));
+  assert.equal(lastDueAt({ every: 5 }, utc("2026-10-19T10:05:00")), utc("2026-10-19T10:05:00"));
+  assert.equal(lastDueAt({ every: 60 }, utc("2026-10-19T10:59:59")), utc("2026-10-19T10:00:00"));
+});
+
+test("daily schedules are due today once their time has passed, else yesterday", () => {
+  assert.equal(lastDueAt({ at: "14:30" }, utc("2026-10-19T14:30:00")), utc("2026-10-19T14:30:00"));
+  assert.equal(lastDueAt({ at: "14:30" }, utc("2026-10-19T14:29:00")), utc("2026-10-18T14:30:00"));
+});
+
+test("weekly schedules go back to the last matching weekday", () => {
+  // 2026-10-18 is a Sunday
+  const weekly = { at: "14:30", weekday: 0 };
+  assert.equal(lastDueAt(weekly, utc("2026-10-21T09:00:00")), utc("2026-10-18T14:30:00"));
+  assert.equal(lastDueAt(weekly, utc("2026-10-18T14:00:00")), utc("2026-10-11T14:30:00"));
+  assert.equal(describeSchedule(weekly), "Sun 14:30 UTC");
+});
+
+test("a due time is only tried once per process", () => {
+  const job = { schedule: { every: 5 } };
+  const now = utc("2026-10-19T10:06:00");
+  assert.deepEqual(pendingRun(job, now, { startedAt: utc("2026-10-19T09:00:00") }),
+    { dueAt: utc("2026-10-19T10:05:00"), trigger: "schedule" });
+  assert.equal(pendingRun(job, now, { attemptedAt: utc("2026-10-19T10:05:00") }), null);
+});
+
+test("a run missed while the server was down is caught up, within maxLateMinutes", () => {
+  const weekly = { schedule: { at: "14:30", weekday: 0 }, maxLateMinutes: 1440 };
+  // Down over Sunday's run, back on Monday morning
+  const monday = utc("2026-10-19T08:00:00");
+  assert.deepEqual(pendingRun(weekly, monday, { startedAt: monday - 60000 }),
+    { dueAt: utc("2026-10-18T14:30:00"), trigger: "catch-up" });
+  // Back on Tuesday: more than a day late, so it waits for next week
+  const tuesday = utc("2026-10-20T08:00:00");
+  assert.equal(pendingRun(weekly, tuesday, { startedAt: tuesday - 60000 }), null);
+});
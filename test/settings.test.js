@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS, inQuietHours, quietEndsAt, settingsFromUser } from "../settings.js";
+
+const quiet = (quietStart, quietEnd) => ({ ...DEFAULT_SETTINGS, quietStart, quietEnd });
+// Local wall clock in Kolkata (UTC+5:30) on 2026-10-19 → instant
+const at = time => Date.parse(`2026-10-19T${time}:00+05:30`);
+const zone = "Asia/Kolkata";
+
+test("quiet hours within a day include the start and exclude the end", () => {
+  const settings = quiet("13:00", "15:00");
+  assert.equal(inQuietHours(settings, zone, at("12:59")), false);
+  assert.equal(inQuietHours(settings, zone, at("13:00")), true);
+  assert.equal(inQuietHours(settings, zone, at("14:59")), true);
+  assert.equal(inQuietHours(settings, zone, at("15:00")), false);
+});
+
+test("quiet hours can wrap past midnight", () => {
+  const settings = quiet("22:00", "07:00");
+  assert.equal(inQuietHours(settings, zone, at("21:59")), false);
+  assert.equal(inQuietHours(settings, zone, at("23:30")), true);
+  assert.equal(inQuietHours(settings, zone, at("00:00")), true);
+  assert.equal(inQuietHours(settings, zone, at("06:59")), true);
+  assert.equal(inQuietHours(settings, zone, at("07:00")), false);
+});
+
+test("no quiet hours, or equal start and end, is never quiet", () => {
+  assert.equal(inQuietHours(DEFAULT_SETTINGS, zone, at("03:00")), false);
+  assert.equal(inQuietHours(quiet("22:00", "22:00"), zone, at("22:00")), false);
+  assert.equal(inQuietHours(quiet("22:00", "22:00"), zone, at("03:00")), false);
+  assert.equal(settingsFromUser({ quiet_start: "22:00:00", quiet_end: null }).quietStart, null);
+});
+
+test("quiet hours end later the same day, or the next one after midnight", () => {
+  const settings = quiet("22:00", "07:00");
+  assert.equal(quietEndsAt(settings, zone, at("02:00")), at("07:00"));
+  assert.equal(quietEndsAt(settings, zone, at("23:00")), Date.parse("2026-10-20T07:00:00+05:30"));
+  assert.equal(quietEndsAt(quiet("13:00", "15:00"), zone, at("14:00")), at("15:00"));
+});
+
+test("the end follows the zone's clock across a DST change", () => {
+  // Berlin falls back on 2026-10-25: 07:00 that morning is UTC+1
+  const settings = quiet("23:00", "07:00");
+  const lateSaturday = Date.parse("2026-10-24T23:30:00+02:00");
+  assert.equal(quietEndsAt(settings, "Europe/Berlin", lateSaturday), Date.parse("2026-10-25T07:00:00+01:00"));
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { FREEZE_EVERY, MAX_FREEZES, advanceStreak, completionRate, dayScore, isSuccessfulCounts } from "../stats.js";
+
+const fresh = { current: 0, longest: 0, keptDate: null, freezes: 0 };
+
+// Replays `days` ({ success, rest }) from 2026-10-01 on
+function replay(days, state = fresh) {
+  const outcomes = [];
+  days.forEach((day, i) => {
+    state = advanceStreak(state, { date: `2026-10-${String(i + 1).padStart(2, "0")}`, ...day });
+    outcomes.push(state.outcome);
+  });
+  return { state, outcomes };
+}
+
+test("passed days grow the streak and keep the longest", () => {
+  const { state } = replay([{ success: true }, { success: true }, { success: false }, { success: true }]);
+  assert.equal(state.current, 1);
+  assert.equal(state.longest, 2);
+  assert.equal(state.keptDate, "2026-10-04");
+});
+
+test("a rest day keeps the streak without adding to it", () => {
+  const { state, outcomes } = replay([{ success: true }, { success: false, rest: true }, { success: true }]);
+  assert.deepEqual(outcomes, ["success", "rest", "success"]);
+  assert.equal(state.current, 2);
+});
+
+test("a passed rest day still counts", () => {
+  assert.equal(replay([{ success: true }, { success: true, rest: true }]).state.current, 2);
+});
+
+test("a freeze is earned every FREEZE_EVERY days and spent on a failed day", () => {
+  const week = Array.from({ length: FREEZE_EVERY }, () => ({ success: true }));
+  const earned = replay(week);
+  assert.equal(earned.state.freezes, 1);
+  assert.equal(advanceStreak(fresh, { date: "2026-10-01", success: true }).earned, false);
+
+  const { state, outcomes } = replay([...week, { success: false }, { success: true }]);
+  assert.equal(outcomes[FREEZE_EVERY], "freeze");
+  assert.equal(state.freezes, 0);
+  assert.equal(state.current, FREEZE_EVERY + 1);
+});
+
+test("freezes are capped at MAX_FREEZES", () => {
+  const days = Array.from({ length: FREEZE_EVERY * (MAX_FREEZES + 1) }, () => ({ success: true }));
+  assert.equal(replay(days).state.freezes, MAX_FREEZES);
+});
+
+test("a failed day without a freeze resets the streak", () => {
+  const { state, outcomes } = replay([{ success: true }, { success: false }]);
+  assert.equal(outcomes[1], "reset");
+  assert.equal(state.current, 0);
+  assert.equal(state.longest, 1);
+});
+
+test("a gap since the last kept day starts over", () => {
+  const state = { current: 5, longest: 5, keptDate: "2026-10-01", freezes: 0 };
+  assert.equal(advanceStreak(state, { date: "2026-10-03", success: true }).current, 1);
+});
+
+test("the day score weighs priorities and leaves skipped tasks out", () => {
+  // high done (2) + normal missed (1) + low partial (0.5 × ½)
+  const counts = { planned: 4, completed: 1, partial: 1, skipped: 1, weight_planned: 3.5, weight_done: 2.25 };
+  assert.equal(dayScore(counts), 2.25 / 3.5);
+  assert.equal(isSuccessfulCounts(counts, 60), true);
+  assert.equal(isSuccessfulCounts(counts, 70), false);
+  assert.equal(completionRate(counts), 0.5);
+});
+
+test("a day where everything was skipped has no score and doesn't pass", () => {
+  const counts = { planned: 2, completed: 0, partial: 0, skipped: 2, weight_planned: 0, weight_done: 0 };
+  assert.equal(dayScore(counts), null);
+  assert.equal(isSuccessfulCounts(counts), false);
+  assert.equal(completionRate(counts), null);
+});
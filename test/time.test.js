@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { getDatePlusDays, getLocalParts, getZoneOffset, localToInstant, normalizeTimeZone } from "../time.js";
+
+const utc = iso => Date.parse(iso);
+
+test("localToInstant converts fixed offsets", () => {
+  assert.equal(localToInstant("2026-10-19", "07:00", 330), utc("2026-10-19T01:30:00Z"));
+  assert.equal(localToInstant("2026-10-19", "07:00", -300), utc("2026-10-19T12:00:00Z"));
+});
+
+test("localToInstant applies the offset in force on that date", () => {
+  assert.equal(localToInstant("2026-01-15", "09:00", "Europe/Berlin"), utc("2026-01-15T08:00:00Z"));
+  assert.equal(localToInstant("2026-07-15", "09:00", "Europe/Berlin"), utc("2026-07-15T07:00:00Z"));
+});
+
+test("localToInstant moves times in a DST gap forward", () => {
+  // Europe/Berlin springs forward from 02:00 to 03:00 on 2026-03-29
+  assert.equal(localToInstant("2026-03-29", "02:30", "Europe/Berlin"), utc("2026-03-29T01:30:00Z"));
+  assert.equal(getLocalParts("Europe/Berlin", utc("2026-03-29T01:30:00Z")).time, "03:30");
+});
+
+test("localToInstant resolves a repeated hour to its first occurrence", () => {
+  // 02:30 happens twice in Europe/Berlin on 2026-10-25
+  assert.equal(localToInstant("2026-10-25", "02:30", "Europe/Berlin"), utc("2026-10-25T00:30:00Z"));
+});
+
+test("getLocalParts and getZoneOffset follow DST", () => {
+  assert.equal(getZoneOffset("America/New_York", utc("2026-01-15T12:00:00Z")), -300);
+  assert.equal(getZoneOffset("America/New_York", utc("2026-07-15T12:00:00Z")), -240);
+  assert.deepEqual(getLocalParts("Asia/Kolkata", utc("2026-10-19T20:00:00Z")), { date: "2026-10-20", time: "01:30" });
+});
+
+test("getDatePlusDays crosses month and year ends", () => {
+  assert.equal(getDatePlusDays("2026-12-31", 1), "2027-01-01");
+  assert.equal(getDatePlusDays("2026-03-01", -1), "2026-02-28");
+});
+
+test("normalizeTimeZone returns null for unknown zones", () => {
+  assert.equal(normalizeTimeZone("Europe/Berlin"), "Europe/Berlin");
+  assert.equal(normalizeTimeZone("Mars/Olympus"), null);
+});
@@ -0,0 +1,118 @@
+//--------------
+// Timezone & Date Helpers
+// A "zone" is either an IANA name ("Europe/Berlin") or a fixed offset in
+// minutes from UTC (330 for IST). IANA zones go through Intl so DST rules are
+// applied for the exact instant; fixed offsets are kept as a fallback for users
+// who set their timezone before zone names were supported.
+//--------------
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  return fmt;
+}
+
+// Returns the canonical IANA name, or null if the runtime doesn't know the zone.
+export function normalizeTimeZone(name) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+export function userZone(row) {
+  return row.timezone || Number(row.timezone_offset) || 0;
+}
+
+// Offset from UTC in minutes that `zone` observes at `instant` (ms since epoch).
+export function getZoneOffset(zone, instant = Date.now()) {
+  if (typeof zone === "number") return zone;
+  const parts = {};
+  for (const p of getFormatter(zone).formatToParts(new Date(instant))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+// Wall clock in `zone` at `instant` as { date: "YYYY-MM-DD", time: "HH:MM" }
+export function getLocalParts(zone, instant = Date.now()) {
+  const local = new Date(instant + getZoneOffset(zone, instant) * 60000).toISOString();
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+}
+
+// Converts a local date + "HH:MM" in `zone` to an instant (ms since epoch).
+// Times inside a DST gap (e.g. 02:30 on spring-forward night) are moved forward
+// by the gap length; times in a repeated hour resolve to the first occurrence.
+export function localToInstant(date, time, zone) {
+  const [y, mo, d] = date.split("-").map(Number);
+  const [h, mi] = time.split(":").map(Number);
+  const wall = Date.UTC(y, mo - 1, d, h, mi);
+  if (typeof zone === "number") return wall - zone * 60000;
+
+  const before = wall - getZoneOffset(zone, wall - 86400000) * 60000;
+  const after = wall - getZoneOffset(zone, wall + 86400000) * 60000;
+  const matches = t => getZoneOffset(zone, t) * 60000 + t === wall;
+  const candidates = [before, after].filter(matches);
+  if (candidates.length > 0) return Math.min(...candidates);
+  return before;
+}
+
+export function getUserDate(zone = 0) {
+  return getLocalParts(zone).date;
+}
+
+export function getUserTime(zone = 0) {
+  return getLocalParts(zone).time; // HH:MM
+}
+
+export function getUserMinutes(zone = 0) {
+  const [h, m] = getUserTime(zone).split(":").map(Number);
+  return h * 60 + m;
+}
+
+export function getDatePlusDays(baseDate, days) {
+  const d = new Date(`${baseDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split("T")[0];
+}
+
+export function getUserTomorrowDate(zone = 0) {
+  return getDatePlusDays(getUserDate(zone), 1);
+}
+
+// From `cutoffHour` on, new tasks are for tomorrow
+export function getActiveDate(zone = 0, cutoffHour = 18) {
+  const { date, time } = getLocalParts(zone);
+  const [h] = time.split(":").map(Number);
+  if (h >= cutoffHour) {
+    return { date: getDatePlusDays(date, 1), label: "tomorrow" };
+  }
+  return { date, label: "today" };
+}
+
+// Minutes from now until the task's local start (negative once it has passed).
+export function minutesUntil(date, time, zone, now = Date.now()) {
+  return (localToInstant(date, time, zone) - now) / 60000;
+}
+
+export function formatOffset(offset) {
+  const sign = offset >= 0 ? "+" : "-";
+  const abs = Math.abs(offset);
+  return abs % 60 === 0
+    ? `UTC${sign}${abs / 60}`
+    : `UTC${sign}${Math.floor(abs / 60)}:${String(abs % 60).padStart(2, "0")}`;
+}
+
+export function formatZone(zone) {
+  if (typeof zone === "number") return formatOffset(zone);
+  return `${zone} (${formatOffset(getZoneOffset(zone))})`;
+}
@@ -0,0 +1,111 @@
+import { pool } from "./db.js";
+
+//--------------
+// AI usage & budgets
+// askAI records every completion in ai_usage (tokens + cost). Before a call,
+// reserveAIQuota in index.js asks budgetBlock() whether the user still has room
+// today and this month, and whether the global monthly cap is reached — in which
+// case everyone gets the plain-text fallbacks until the month ends.
+//
+// Limits (unset currency limits don't apply):
+//   AI_USER_DAILY_TOKENS    default 20000
+//   AI_USER_MONTHLY_TOKENS  default 300000
+//   AI_USER_DAILY_USD / AI_USER_MONTHLY_USD
+//   AI_MONTHLY_BUDGET_USD   global cap, default 10
+// Prices are USD per 1M tokens; AI_PRICES (JSON) adds or overrides models.
+//--------------
+const MODEL_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+};
+const GLOBAL_CHECK_TTL_MS = 60 * 1000;
+
+function envNumber(name, fallback = null) {
+  const value = process.env[name];
+  return value === undefined || value === "" ? fallback : Number(value);
+}
+
+export function budgetLimits() {
+  return {
+    dailyTokens: envNumber("AI_USER_DAILY_TOKENS", 20000),
+    monthlyTokens: envNumber("AI_USER_MONTHLY_TOKENS", 300000),
+    dailyUsd: envNumber("AI_USER_DAILY_USD"),
+    monthlyUsd: envNumber("AI_USER_MONTHLY_USD"),
+    globalMonthlyUsd: envNumber("AI_MONTHLY_BUDGET_USD", 10),
+  };
+}
+
+let prices = null;
+
+// Local and stub models aren't in the table and cost nothing
+export function computeCost(model, promptTokens, completionTokens) {
+  if (!prices) prices = { ...MODEL_PRICES, ...(process.env.AI_PRICES ? JSON.parse(process.env.AI_PRICES) : {}) };
+  const price = prices[model];
+  if (!price) return 0;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// `date` is the user's local date (defaults to today in UTC for calls without a user)
+export async function recordUsage({ userId = null, date = null, type, provider, model, promptTokens = 0, completionTokens = 0 }) {
+  await pool.query(
+    `INSERT INTO ai_usage (user_id, usage_date, message_type, provider, model, prompt_tokens, completion_tokens, cost_usd)
+     VALUES ($1, COALESCE($2, CURRENT_DATE), $3, $4, $5, $6, $7, $8)`,
+    [userId, date, type, provider, model, promptTokens, completionTokens, computeCost(model, promptTokens, completionTokens)]
+  );
+}
+
+// Tokens, cost and calls for the user's local `date` and its month
+export async function getUserUsage(userId, date) {
+  const result = await pool.query(
+    `SELECT
+       COALESCE(SUM(prompt_tokens + completion_tokens) FILTER (WHERE usage_date = $2), 0) AS day_tokens,
+       COALESCE(SUM(cost_usd) FILTER (WHERE usage_date = $2), 0) AS day_cost,
+       COUNT(*) FILTER (WHERE usage_date = $2) AS day_calls,
+       COALESCE(SUM(prompt_tokens + completion_tokens), 0) AS month_tokens,
+       COALESCE(SUM(cost_usd), 0) AS month_cost,
+       COUNT(*) AS month_calls
+     FROM ai_usage WHERE user_id = $1 AND usage_date BETWEEN $3 AND $2`,
+    [userId, date, `${date.slice(0, 7)}-01`]
+  );
+  const row = result.rows[0];
+  return {
+    day: { tokens: Number(row.day_tokens), cost: Number(row.day_cost), calls: Number(row.day_calls) },
+    month: { tokens: Number(row.month_tokens), cost: Number(row.month_cost), calls: Number(row.month_calls) },
+  };
+}
+
+// Per message type for the user's current month
+export async function getUsageByType(userId, date) {
+  const result = await pool.query(
+    `SELECT message_type, COUNT(*) AS calls, SUM(prompt_tokens + completion_tokens) AS tokens
+     FROM ai_usage WHERE user_id = $1 AND usage_date BETWEEN $3 AND $2
+     GROUP BY message_type ORDER BY tokens DESC`,
+    [userId, date, `${date.slice(0, 7)}-01`]
+  );
+  return result.rows.map(r => ({ type: r.message_type, calls: Number(r.calls), tokens: Number(r.tokens) }));
+}
+
+let globalCheck = { at: 0, spent: 0 };
+
+export async function getGlobalMonthlySpend() {
+  if (Date.now() - globalCheck.at < GLOBAL_CHECK_TTL_MS) return globalCheck.spent;
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM ai_usage WHERE created_at >= date_trunc('month', NOW())`
+  );
+  globalCheck = { at: Date.now(), spent: Number(result.rows[0].spent) };
+  return globalCheck.spent;
+}
+
+// Which limit (if any) stops another AI call: null when there's room
+export async function budgetBlock(userId, date) {
+  const limits = budgetLimits();
+  if (limits.globalMonthlyUsd !== null && await getGlobalMonthlySpend() >= limits.globalMonthlyUsd) return "global";
+  const { day, month } = await getUserUsage(userId, date);
+  if (limits.dailyTokens !== null && day.tokens >= limits.dailyTokens) return "daily";
+  if (limits.dailyUsd !== null && day.cost >= limits.dailyUsd) return "daily";
+  if (limits.monthlyTokens !== null && month.tokens >= limits.monthlyTokens) return "monthly";
+  if (limits.monthlyUsd !== null && month.cost >= limits.monthlyUsd) return "monthly";
+  return null;
+}